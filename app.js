@@ -0,0 +1,267 @@
+// Express app factory. createApp(db) builds the whole API on an injected
+// database handle, so the same app runs as a serverless function, on a
+// server with app.listen(), or against a local MongoDB in tests.
+
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const multer = require("multer");
+const { tokenVerifierFromEnv, createAuthMiddleware } = require("./middleware/auth");
+const { createRateLimiters } = require("./middleware/rateLimit");
+const { sendError, sendValidationError } = require("./utils/errors");
+const { createCache } = require("./utils/cache");
+const { createAuditLogger } = require("./services/audit");
+const { transportFromEnv, createMailer } = require("./services/mailer");
+const { storageFromEnv } = require("./services/storage");
+const { createLedger, publicEntry } = require("./services/ledger");
+const { createEventHub } = require("./services/events");
+const { leavePolicyFromEnv } = require("./services/leave");
+const { piiCipherFromEnv } = require("./services/pii");
+const { createRouteHelpers } = require("./routes/helpers");
+const { createUserRouter } = require("./routes/users");
+const { createMessageRouter } = require("./routes/messages");
+const { createGuardRouter } = require("./routes/guards");
+const { createLedgerRouter } = require("./routes/ledger");
+const { createEmploymentRouter } = require("./routes/employment");
+const { createAttendanceRouter } = require("./routes/attendance");
+const { createCheckInRouter } = require("./routes/checkin");
+const { createLeaveRouter } = require("./routes/leave");
+const { createIncidentRouter } = require("./routes/incidents");
+const { createRosterRouter } = require("./routes/roster");
+const { createSiteRouter } = require("./routes/sites");
+const { createPayrollRouter } = require("./routes/payroll");
+const { createSpreadsheetRouter } = require("./routes/spreadsheets");
+const { createDocumentRouter } = require("./routes/documents");
+const { createPdfRouter } = require("./routes/pdfs");
+const { createAnalyticsRouter } = require("./routes/analytics");
+const { createAuditRouter } = require("./routes/audit");
+const { createEmailRouter } = require("./routes/emails");
+const { createEventRouter } = require("./routes/events");
+
+// Mounted in this order
+const ROUTERS = [
+  createUserRouter,
+  createMessageRouter,
+  createGuardRouter,
+  createLedgerRouter,
+  createEmploymentRouter,
+  createAttendanceRouter,
+  createCheckInRouter,
+  createLeaveRouter,
+  createIncidentRouter,
+  createRosterRouter,
+  createSiteRouter,
+  createPayrollRouter,
+  createSpreadsheetRouter,
+  createDocumentRouter,
+  createPdfRouter,
+  createAnalyticsRouter,
+  createAuditRouter,
+  createEmailRouter,
+  createEventRouter,
+];
+
+function collectionsOf(db) {
+  return {
+    usersCollection: db.collection("users"),
+    usersMessagesCollection: db.collection("usersMessages"),
+    guardsCollection: db.collection("guards"),
+    sitesCollection: db.collection("sites"),
+    shiftsCollection: db.collection("shifts"),
+    rosterAssignmentsCollection: db.collection("rosterAssignments"),
+    presenceCollection: db.collection("presence"),
+    checkInRejectionsCollection: db.collection("checkInRejections"),
+    auditLogCollection: db.collection("auditLog"),
+    emailsCollection: db.collection("emails"),
+    rateLimitsCollection: db.collection("rateLimits"),
+    guardDocumentsCollection: db.collection("guardDocuments"),
+    ledgerCollection: db.collection("ledger"),
+    leaveRequestsCollection: db.collection("leaveRequests"),
+    incidentsCollection: db.collection("incidents"),
+  };
+}
+
+async function ensureIndexes({
+  usersMessagesCollection,
+  guardsCollection,
+  sitesCollection,
+  shiftsCollection,
+  rosterAssignmentsCollection,
+  presenceCollection,
+  checkInRejectionsCollection,
+  auditLogCollection,
+  emailsCollection,
+  guardDocumentsCollection,
+  ledgerCollection,
+  leaveRequestsCollection,
+  incidentsCollection,
+}) {
+  await sitesCollection.createIndex({ name: 1 }, { unique: true });
+  await guardsCollection.createIndex({ siteId: 1 });
+  await shiftsCollection.createIndex({ siteId: 1 });
+  await rosterAssignmentsCollection.createIndex({ guardId: 1, startDate: 1, endDate: 1 });
+  await rosterAssignmentsCollection.createIndex({ siteId: 1, startDate: 1, endDate: 1 });
+  // One attendance record per guard per day
+  await presenceCollection.createIndex({ guardId: 1, date: 1 }, { unique: true });
+  await presenceCollection.createIndex({ siteId: 1, date: 1 });
+  await presenceCollection.createIndex({ leaveRequestId: 1 });
+  await leaveRequestsCollection.createIndex({ guardId: 1, from: 1, to: 1 });
+  await leaveRequestsCollection.createIndex({ status: 1, siteId: 1, requestedAt: 1 });
+  await incidentsCollection.createIndex({ siteId: 1, occurredAt: -1 });
+  await incidentsCollection.createIndex({ guardId: 1, occurredAt: -1 });
+  await incidentsCollection.createIndex({ status: 1, severity: 1, occurredAt: -1 });
+  await guardsCollection.createIndex({ name: 1 });
+  await guardsCollection.createIndex({ "employment.status": 1, archivedAt: 1 });
+  await guardsCollection.createIndex({ "idCard.code": 1 }, { unique: true, sparse: true });
+  await guardDocumentsCollection.createIndex({ guardId: 1, type: 1, uploadedAt: -1 });
+  await guardDocumentsCollection.createIndex({ type: 1, expiresAt: 1 });
+  await ledgerCollection.createIndex({ guardId: 1, date: 1, sequence: 1 });
+  await ledgerCollection.createIndex({ type: 1, payrollMonth: 1 });
+  await ledgerCollection.createIndex({ date: 1 });
+  await ledgerCollection.createIndex(
+    { idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+  );
+  // A guard's salary for a month is recorded once (see services/ledger)
+  await ledgerCollection.createIndex(
+    { guardId: 1, paysMonth: 1 },
+    { unique: true, partialFilterExpression: { paysMonth: { $type: "string" } } }
+  );
+  await usersMessagesCollection.createIndex({ createdAt: -1 });
+  await usersMessagesCollection.createIndex({ userEmail: 1, createdAt: -1 });
+  await usersMessagesCollection.createIndex({ assignedTo: 1, status: 1 });
+  await usersMessagesCollection.createIndex({ contentHash: 1, createdAt: -1 });
+  await usersMessagesCollection.createIndex({ ip: 1, createdAt: -1 });
+  await checkInRejectionsCollection.createIndex({ siteId: 1, at: -1 });
+  await auditLogCollection.createIndex({ at: -1 });
+  await auditLogCollection.createIndex({ "actor.id": 1, at: -1 });
+  await auditLogCollection.createIndex({ "target.collection": 1, "target.id": 1, at: -1 });
+  await emailsCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+  await emailsCollection.createIndex({ createdAt: -1 });
+
+  // NIDs and phone numbers are unique among guards, by their lookup hashes
+  // (see services/pii.js). Data from before they were normalized may hold
+  // duplicates, which `npm run migrate:guard-contacts` reports; until then the
+  // API still checks on create and update.
+  try {
+    await guardsCollection.createIndex({ nidHash: 1 }, { unique: true, partialFilterExpression: { nidHash: { $type: "string" } } });
+    await guardsCollection.createIndex({ phoneHash: 1 }, { unique: true, partialFilterExpression: { phoneHash: { $type: "string" } } });
+  } catch (err) {
+    console.warn(`⚠️ Guard NID/phone indexes not created (${err.message}); run npm run migrate:guard-contacts`);
+  }
+}
+
+// Options replace what is otherwise read from the environment:
+//   corsOrigins      origins allowed to call the API; ["*"] allows any
+//   trustProxy       Express "trust proxy" setting
+//   verifyIdToken    Firebase ID token verifier (see middleware/auth.js)
+//   mailTransport    outbound email transport (see services/mailer.js)
+//   documentStorage  where guard documents are kept (see services/storage.js)
+//   events           live event hub (see services/events.js)
+//   leavePolicy      yearly leave allowances (see services/leave.js)
+//   pii              encryption of guards' personal data (see services/pii.js)
+async function createApp(db, {
+  corsOrigins = ["*"],
+  trustProxy = null,
+  verifyIdToken = tokenVerifierFromEnv(),
+  mailTransport = transportFromEnv(),
+  documentStorage = storageFromEnv(),
+  events = createEventHub(),
+  leavePolicy = leavePolicyFromEnv(),
+  pii = piiCipherFromEnv(),
+} = {}) {
+  const app = express();
+
+  // Behind a reverse proxy, trust it so req.ip is the client's address
+  if (trustProxy !== null) {
+    app.set("trust proxy", trustProxy);
+  }
+
+  // Middleware
+  app.use(cors({ origin: corsOrigins.includes("*") ? "*" : corsOrigins }));
+  app.use(helmet());
+  app.use(express.json());
+
+  const collections = collectionsOf(db);
+  await ensureIndexes(collections);
+
+  const { verifyFirebaseToken, verifyToken, optionalToken } = createAuthMiddleware({
+    verifyIdToken,
+    usersCollection: collections.usersCollection,
+  });
+
+  const mailer = createMailer({ emailsCollection: collections.emailsCollection, transport: mailTransport });
+  await mailer.start();
+
+  const { contactLimiters, signupLimiters } = await createRateLimiters({
+    rateLimitsCollection: collections.rateLimitsCollection,
+  });
+
+  const ctx = {
+    ...collections,
+    verifyFirebaseToken,
+    verifyToken,
+    optionalToken,
+    audit: createAuditLogger(collections.auditLogCollection),
+    ledger: createLedger({
+      ...collections,
+      onEntry: (entry) => events.publish(
+        "transactions",
+        entry.type === "reversal" ? "transaction.reversed" : "transaction.posted",
+        publicEntry(entry),
+        { siteId: entry.siteId }
+      ),
+    }),
+    mailer,
+    events,
+    contactLimiters,
+    signupLimiters,
+    documentStorage,
+    leavePolicy,
+    pii,
+    // Dashboard numbers may be this stale
+    analyticsCache: createCache({ ttlMs: Number(process.env.ANALYTICS_CACHE_SECONDS ?? 60) * 1000 }),
+  };
+  Object.assign(ctx, createRouteHelpers(ctx));
+
+  for (const createRouter of ROUTERS) {
+    app.use(createRouter(ctx));
+  }
+
+  // ======================
+  // ✅ Health & Default
+  // ======================
+  app.get("/", (_req, res) => res.send("🚀 NSS Server is running"));
+
+  app.get("/health", async (_req, res) => {
+    try {
+      const info = await db.admin().command({ serverStatus: 1 });
+      res.json({
+        status: "ok",
+        time: new Date(),
+        uptime: process.uptime(),
+        mongoOk: info.ok === 1,
+        mongoHost: info.host,
+      });
+    } catch (err) {
+      console.error("Health check failed:", err);
+      res.status(500).json({ status: "error", message: "Database connection failed" });
+    }
+  });
+
+  // Errors thrown outside the route handlers, e.g. a malformed JSON body
+  app.use((err, _req, res, _next) => {
+    if (err.type === "entity.parse.failed") {
+      return sendValidationError(res, [{ field: "body", message: "Request body is not valid JSON" }]);
+    }
+    if (err instanceof multer.MulterError) {
+      return sendValidationError(res, [{ field: err.field || "file", message: err.message }]);
+    }
+    console.error("Unhandled error:", err);
+    sendError(res, err.status || 500, err.status ? err.message : "Internal server error");
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
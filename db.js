@@ -0,0 +1,40 @@
+// MongoDB connection shared by the server and the scripts. The connected
+// client is cached on globalThis, so a warm serverless instance reuses it
+// across invocations instead of connecting on every request.
+
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const { loadConfig } = require("./config");
+
+const CACHE_KEY = Symbol.for("nssbd-server.mongo");
+
+// The database from `config` (default: loadConfig()), connecting on first use
+function connectDb({ mongoUri, dbName } = loadConfig()) {
+  let cached = globalThis[CACHE_KEY];
+  if (!cached || cached.uri !== mongoUri) {
+    const client = new MongoClient(mongoUri, {
+      serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+      },
+    });
+    cached = { uri: mongoUri, client, connecting: client.connect() };
+    globalThis[CACHE_KEY] = cached;
+
+    // A failed attempt is forgotten, so the next call tries again
+    cached.connecting.catch(() => {
+      if (globalThis[CACHE_KEY] === cached) delete globalThis[CACHE_KEY];
+    });
+  }
+  return cached.connecting.then(client => client.db(dbName));
+}
+
+// Close the cached connection, if any
+async function closeDb() {
+  const cached = globalThis[CACHE_KEY];
+  if (!cached) return;
+  delete globalThis[CACHE_KEY];
+  await cached.client.close();
+}
+
+module.exports = { connectDb, closeDb };
@@ -0,0 +1,135 @@
+// Bangla text for response messages, keyed by the English message. Field
+// names, formats and enum values are API identifiers and stay as they are.
+
+const MESSAGES = {
+  // General
+  "Internal server error": "সার্ভারে একটি সমস্যা হয়েছে",
+  "Validation failed": "দেওয়া তথ্যে ভুল আছে",
+  "Request body must be a JSON object": "রিকোয়েস্ট বডি একটি JSON অবজেক্ট হতে হবে",
+  "Request body is not valid JSON": "রিকোয়েস্ট বডি সঠিক JSON নয়",
+  "Too many requests, please try again later": "অনেক বেশি অনুরোধ এসেছে, কিছুক্ষণ পরে আবার চেষ্টা করুন",
+  "No valid update fields provided": "হালনাগাদ করার মতো কোনো সঠিক তথ্য দেওয়া হয়নি",
+  "Nothing to update": "হালনাগাদ করার কিছু নেই",
+
+  // Sign-in and accounts
+  "Authorization bearer token is required": "Authorization bearer টোকেন প্রয়োজন",
+  "Invalid or expired token": "টোকেনটি সঠিক নয় বা এর মেয়াদ শেষ হয়ে গেছে",
+  "Invalid or expired ticket": "টিকিটটি সঠিক নয় বা এর মেয়াদ শেষ হয়ে গেছে",
+  "No account found for this token": "এই টোকেনের কোনো অ্যাকাউন্ট পাওয়া যায়নি",
+  "This account has been deactivated": "এই অ্যাকাউন্টটি নিষ্ক্রিয় করা হয়েছে",
+  "This account can no longer sign in": "এই অ্যাকাউন্ট দিয়ে আর সাইন ইন করা যাবে না",
+  "Signup could not be completed": "সাইনআপ সম্পন্ন করা যায়নি",
+  "User already exists": "এই ব্যবহারকারী আগে থেকেই আছেন",
+  "User not found": "ব্যবহারকারী পাওয়া যায়নি",
+  "Cannot view another user's profile": "অন্য ব্যবহারকারীর প্রোফাইল দেখা যাবে না",
+  "Cannot update another user's profile": "অন্য ব্যবহারকারীর প্রোফাইল পরিবর্তন করা যাবে না",
+  "Cannot view another user's messages": "অন্য ব্যবহারকারীর বার্তা দেখা যাবে না",
+  "Cannot reply to another user's message": "অন্য ব্যবহারকারীর বার্তার উত্তর দেওয়া যাবে না",
+  "Cannot check another user's role": "অন্য ব্যবহারকারীর ভূমিকা দেখা যাবে না",
+  "Only a super-admin can change super-admin access": "শুধু সুপার-অ্যাডমিন সুপার-অ্যাডমিন অ্যাক্সেস পরিবর্তন করতে পারেন",
+  "Your account is not linked to a guard": "আপনার অ্যাকাউন্ট কোনো গার্ডের সাথে যুক্ত নয়",
+
+  // Contact form and messages
+  "Thank you for your message! We'll get back to you soon.": "আপনার বার্তার জন্য ধন্যবাদ! আমরা শিগগিরই আপনার সাথে যোগাযোগ করব।",
+  "You have already sent us this message. We'll get back to you soon.": "আপনি এই বার্তাটি আগেই পাঠিয়েছেন। আমরা শিগগিরই আপনার সাথে যোগাযোগ করব।",
+  "Failed to submit your message. Please try again later.": "আপনার বার্তা পাঠানো যায়নি। অনুগ্রহ করে পরে আবার চেষ্টা করুন।",
+  "Please provide a valid email address": "একটি সঠিক ইমেইল ঠিকানা দিন",
+  "Message not found": "বার্তা পাওয়া যায়নি",
+  "Message updated successfully": "বার্তা হালনাগাদ করা হয়েছে",
+
+  // Guards
+  "Guard not found": "গার্ড পাওয়া যায়নি",
+  "Guard is not assigned to one of your sites": "গার্ড আপনার কোনো সাইটে নিয়োজিত নন",
+  "Guard is no longer employed": "গার্ড আর কর্মরত নন",
+  "Guard is archived; restore it first": "গার্ড আর্কাইভ করা আছে; আগে পুনরুদ্ধার করুন",
+  "Guard not found or already archived": "গার্ড পাওয়া যায়নি বা আগেই আর্কাইভ করা হয়েছে",
+  "Archived guard not found": "আর্কাইভ করা গার্ড পাওয়া যায়নি",
+  "One or more guards not found": "এক বা একাধিক গার্ড পাওয়া যায়নি",
+  "One or more guards are no longer employed": "এক বা একাধিক গার্ড আর কর্মরত নন",
+  "Leave is recorded by approving a leave request": "ছুটি কেবল ছুটির আবেদন অনুমোদনের মাধ্যমে রেকর্ড হয়",
+  "A former guard has this NID; re-hire them with POST /guards/rehire": "এই এনআইডি একজন সাবেক গার্ডের; POST /guards/rehire দিয়ে পুনর্নিয়োগ করুন",
+  "No guard with this NID": "এই এনআইডির কোনো গার্ড নেই",
+  "The guard with this NID is still employed": "এই এনআইডির গার্ড এখনও কর্মরত",
+  "Another guard has this NID": "অন্য একজন গার্ডের এই এনআইডি আছে",
+  "Another guard has this phone number": "অন্য একজন গার্ডের এই ফোন নম্বর আছে",
+  "A guard with this NID already exists": "এই এনআইডির একজন গার্ড আগে থেকেই আছেন",
+  "A guard with this phone number already exists": "এই ফোন নম্বরের একজন গার্ড আগে থেকেই আছেন",
+  "phone must be a Bangladeshi mobile number, e.g. 01712345678": "phone একটি বাংলাদেশি মোবাইল নম্বর হতে হবে, যেমন 01712345678",
+  "nid must be a 10, 13 or 17 digit national ID number": "nid ১০, ১৩ বা ১৭ অঙ্কের জাতীয় পরিচয়পত্র নম্বর হতে হবে",
+  "No base salary configured for this guard or site": "এই গার্ড বা সাইটের মূল বেতন ঠিক করা নেই",
+  "Guard was not employed on that day": "সেদিন গার্ড কর্মরত ছিলেন না",
+  "Guard is not rostered on that shift that day": "সেদিন ওই শিফটে গার্ডের ডিউটি ছিল না",
+  "Guard has several shifts that day; shiftId is required": "সেদিন গার্ডের একাধিক শিফট আছে; shiftId প্রয়োজন",
+
+  // Sites, shifts and rosters
+  "Site not found": "সাইট পাওয়া যায়নি",
+  "Site is not one of your sites": "এই সাইটটি আপনার দায়িত্বে নেই",
+  "Site deleted": "সাইট মুছে ফেলা হয়েছে",
+  "A site with this name already exists": "এই নামে একটি সাইট আগে থেকেই আছে",
+  "Shift not found": "শিফট পাওয়া যায়নি",
+  "Shift deleted": "শিফট মুছে ফেলা হয়েছে",
+  "One or more shifts not found": "এক বা একাধিক শিফট পাওয়া যায়নি",
+  "Assignment not found": "অ্যাসাইনমেন্ট পাওয়া যায়নি",
+  "Assignment deleted": "অ্যাসাইনমেন্ট মুছে ফেলা হয়েছে",
+
+  // Check-in
+  "ID card not recognised": "আইডি কার্ড শনাক্ত করা যায়নি",
+  "Already checked in for this shift": "এই শিফটে আগেই চেক-ইন করা হয়েছে",
+  "Already checked out of this shift": "এই শিফট থেকে আগেই চেক-আউট করা হয়েছে",
+  "You have not checked in to this shift": "আপনি এই শিফটে চেক-ইন করেননি",
+  "lat and lng are required": "lat এবং lng প্রয়োজন",
+  "The site has no location set; ask your supervisor": "সাইটের অবস্থান ঠিক করা নেই; আপনার সুপারভাইজারকে জানান",
+
+  // Money, documents, leave and incidents
+  "Transaction not found": "লেনদেন পাওয়া যায়নি",
+  "Document not found": "ডকুমেন্ট পাওয়া যায়নি",
+  "Leave request not found": "ছুটির আবেদন পাওয়া যায়নি",
+  "Leave cannot start before the guard's join date": "যোগদানের তারিখের আগে ছুটি শুরু হতে পারে না",
+  "Incident not found": "ঘটনা পাওয়া যায়নি",
+  "Incident is closed": "ঘটনাটি বন্ধ করা হয়েছে",
+  "Incident is not at one of your sites": "ঘটনাটি আপনার কোনো সাইটের নয়",
+  "You can only report incidents at your own site": "আপনি শুধু নিজের সাইটের ঘটনা জানাতে পারেন",
+  "You can only report incidents as yourself": "আপনি শুধু নিজের নামে ঘটনা জানাতে পারেন",
+  "Photo not found": "ছবি পাওয়া যায়নি",
+  "Upload at least one photo in the photos field": "photos ফিল্ডে অন্তত একটি ছবি আপলোড করুন",
+
+  // Spreadsheet import
+  "Upload a CSV or XLSX file in the file field": "file ফিল্ডে একটি CSV বা XLSX ফাইল আপলোড করুন",
+  "The file has no data rows": "ফাইলে কোনো ডেটা সারি নেই",
+  "Some rows are invalid; nothing was imported": "কিছু সারিতে ভুল আছে; কিছুই ইমপোর্ট করা হয়নি",
+};
+
+// Messages built from a field name or value, tried in order
+const PATTERNS = [
+  [/^(\S+) is required$/, "$1 প্রয়োজন"],
+  [/^(\S+) is not allowed$/, "$1 গ্রহণযোগ্য নয়"],
+  [/^(\S+) must be one of: (.+)$/, "$1 এগুলোর একটি হতে হবে: $2"],
+  [/^(\S+) must be a valid (.+)$/, "$1 একটি সঠিক $2 হতে হবে"],
+  [/^(\S+) must be valid ids$/, "$1-এর সব id সঠিক হতে হবে"],
+  [/^(\S+) must be at most (\d+) characters$/, "$1 সর্বোচ্চ $2 অক্ষরের হতে পারে"],
+  [/^(\S+) must have at most (\d+) decimal places$/, "$1-এ দশমিকের পর সর্বোচ্চ $2 ঘর থাকতে পারে"],
+  [/^(\S+) must be in (\S+) format$/, "$1 $2 ফরম্যাটে হতে হবে"],
+  [/^(\S+) must be (YYYY-MM-DD|HH:mm)$/, "$1 $2 ফরম্যাটে হতে হবে"],
+  [/^(\S+) must not be negative$/, "$1 ঋণাত্মক হতে পারে না"],
+  [/^(\S+) must be a non-negative number$/, "$1 একটি অঋণাত্মক সংখ্যা হতে হবে"],
+  [/^(\S+) must be a positive integer$/, "$1 একটি ধনাত্মক পূর্ণসংখ্যা হতে হবে"],
+  [/^(\S+) must be an integer from (\d+) to (\d+)$/, "$1 $2 থেকে $3-এর মধ্যে একটি পূর্ণসংখ্যা হতে হবে"],
+  [/^(\S+) must be greater than (\S+)$/, "$1 অবশ্যই $2-এর বেশি হতে হবে"],
+  [/^(\S+) must be at most (\S+)$/, "$1 সর্বোচ্চ $2 হতে পারে"],
+  [/^(\S+) must be true or false$/, "$1 true বা false হতে হবে"],
+  [/^(\S+) cannot be in the future$/, "$1 ভবিষ্যতের সময় হতে পারে না"],
+  [/^Permission required: (.+)$/, "অনুমতি প্রয়োজন: $1"],
+  [/^Site "(.+)" not found$/, "\"$1\" সাইট পাওয়া যায়নি"],
+  [/^Duplicate NID, also on row (\d+)$/, "একই এনআইডি $1 নম্বর সারিতেও আছে"],
+  [/^Duplicate phone number, also on row (\d+)$/, "একই ফোন নম্বর $1 নম্বর সারিতেও আছে"],
+  [/^Could not read the file: (.+)$/, "ফাইলটি পড়া যায়নি: $1"],
+  [/^The range can be at most (\d+) days$/, "সময়সীমা সর্বোচ্চ $1 দিনের হতে পারে"],
+  [/^A request can cover at most (\d+) days$/, "একটি আবেদনে সর্বোচ্চ $1 দিনের ছুটি চাওয়া যায়"],
+  [/^An incident can have at most (\d+) photos$/, "একটি ঘটনায় সর্বোচ্চ $1টি ছবি থাকতে পারে"],
+  [/^Only (\S+) day\(s\) of (\S+) leave left in (\d{4}); this request needs (\S+)$/,
+    "$3 সালে $2 ছুটি আর $1 দিন বাকি আছে; এই আবেদনে $4 দিন প্রয়োজন"],
+  [/^You are (\d+)m from the site; check-in is allowed within (\d+)m$/,
+    "আপনি সাইট থেকে $1 মিটার দূরে আছেন; $2 মিটারের মধ্যে চেক-ইন করা যায়"],
+];
+
+module.exports = { MESSAGES, PATTERNS };
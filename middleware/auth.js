@@ -0,0 +1,128 @@
+const fs = require("fs");
+const { createRemoteJWKSet, createLocalJWKSet, jwtVerify } = require("jose");
+const { sendError } = require("../utils/errors");
+
+// Google publishes the keys that sign Firebase ID tokens here
+const FIREBASE_JWKS_URL =
+  "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+
+// Build a function that verifies a Firebase ID token and returns its identity.
+// Pass `keySet` (a JWKS object) to verify against local keys instead of Google's,
+// e.g. when running against a test key set with no network access.
+function createFirebaseTokenVerifier({ projectId, keySet } = {}) {
+  if (!projectId) {
+    throw new Error("FIREBASE_PROJECT_ID is required to verify ID tokens");
+  }
+
+  const jwks = keySet
+    ? createLocalJWKSet(keySet)
+    : createRemoteJWKSet(new URL(FIREBASE_JWKS_URL));
+
+  return async function verifyIdToken(token) {
+    const { payload } = await jwtVerify(token, jwks, {
+      issuer: `https://securetoken.google.com/${projectId}`,
+      audience: projectId,
+      algorithms: ["RS256"],
+    });
+
+    if (!payload.sub) {
+      throw new Error("ID token has no subject");
+    }
+
+    return {
+      uid: payload.sub,
+      email: payload.email || null,
+      emailVerified: payload.email_verified === true,
+    };
+  };
+}
+
+// Default verifier from environment: FIREBASE_JWKS_FILE points at a local JWKS
+// JSON file for offline/test runs, otherwise Google's published keys are used.
+function tokenVerifierFromEnv(env = process.env) {
+  const keySet = env.FIREBASE_JWKS_FILE
+    ? JSON.parse(fs.readFileSync(env.FIREBASE_JWKS_FILE, "utf8"))
+    : undefined;
+
+  return createFirebaseTokenVerifier({ projectId: env.FIREBASE_PROJECT_ID, keySet });
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  return token;
+}
+
+// Middleware factories. `verifyIdToken` is any function that resolves a raw
+// token to `{ uid, email, emailVerified }` or throws.
+function createAuthMiddleware({ verifyIdToken, usersCollection }) {
+  // Verifies the bearer token only and attaches its identity as `req.auth`.
+  // Used where the caller may not have a user record yet (signup).
+  async function verifyFirebaseToken(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+      return sendError(res, 401, "Authorization bearer token is required");
+    }
+
+    try {
+      req.auth = await verifyIdToken(token);
+    } catch (err) {
+      return sendError(res, 401, "Invalid or expired token");
+    }
+
+    next();
+  }
+
+  // Verifies the bearer token and attaches the matching user record as `req.user`.
+  async function verifyToken(req, res, next) {
+    await verifyFirebaseToken(req, res, async () => {
+      try {
+        const { uid, email, emailVerified } = req.auth;
+        let user = await usersCollection.findOne({ firebaseUID: uid });
+
+        // Accounts created before firebaseUID was stored are matched by the
+        // token's email once, then linked to the uid. Only a verified email
+        // counts: anyone can sign up to Firebase with someone else's address.
+        if (!user && email && emailVerified) {
+          user = await usersCollection.findOne({ email, firebaseUID: { $exists: false } });
+          if (user) {
+            await usersCollection.updateOne(
+              { _id: user._id },
+              { $set: { firebaseUID: uid, updatedAt: new Date() } }
+            );
+            user.firebaseUID = uid;
+          }
+        }
+
+        if (!user || user.deletedAt) {
+          return sendError(res, 403, "No account found for this token");
+        }
+        if (user.deactivatedAt) {
+          return sendError(res, 403, "This account has been deactivated");
+        }
+
+        req.user = user;
+        next();
+      } catch (err) {
+        console.error("Error resolving authenticated user:", err);
+        sendError(res, 500, "Internal server error");
+      }
+    });
+  }
+
+  // verifyToken for routes that are also open to anonymous callers: without a
+  // bearer token the request goes on with no `req.user`
+  function optionalToken(req, res, next) {
+    if (!getBearerToken(req)) return next();
+    return verifyToken(req, res, next);
+  }
+
+  return { verifyFirebaseToken, verifyToken, optionalToken };
+}
+
+module.exports = {
+  createFirebaseTokenVerifier,
+  tokenVerifierFromEnv,
+  createAuthMiddleware,
+};
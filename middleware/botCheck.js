@@ -0,0 +1,16 @@
+const { formSignals } = require("../services/spam");
+
+// Takes the anti-bot fields (`website`, `formStartedAt`) off the body before
+// schema validation and records what they reveal in req.botSignals
+function botCheck(req, _res, next) {
+  if (req.body && typeof req.body === "object" && !Array.isArray(req.body)) {
+    const { website, formStartedAt, ...body } = req.body;
+    req.botSignals = formSignals({ website, formStartedAt });
+    req.body = body;
+  } else {
+    req.botSignals = [];
+  }
+  next();
+}
+
+module.exports = { botCheck };
@@ -0,0 +1,200 @@
+// Role-based permissions. Every role has a fixed permission set; routes ask for
+// a permission with requirePermission() instead of checking isAdmin directly.
+
+const { sendError } = require("../utils/errors");
+
+const PERMISSIONS = [
+  "users:read",
+  "users:manage-roles",
+  "messages:read",
+  "messages:update",
+  "guards:read",
+  "guards:create",
+  "guards:update",
+  // Unmasked NIDs, phone numbers and addresses (see services/pii.js)
+  "pii:view",
+  "transactions:create",
+  "presence:record",
+  "presence:self-check-in",
+  "attendance:read",
+  "leave:request",
+  "leave:approve",
+  "leave:self-request",
+  "incidents:report",
+  "incidents:read",
+  "incidents:manage",
+  "sites:read",
+  "sites:create",
+  "sites:update",
+  "sites:delete",
+  "roster:read",
+  "roster:manage",
+  "payroll:read",
+  "payroll:run",
+  "payroll:manage-rates",
+  "audit:read",
+  "emails:read",
+  "emails:manage",
+  "analytics:read",
+  "events:subscribe",
+];
+
+const ROLES = {
+  "super-admin": {
+    label: "Super admin",
+    isAdmin: true,
+    permissions: PERMISSIONS,
+  },
+  "operations-manager": {
+    label: "Operations manager",
+    isAdmin: true,
+    permissions: [
+      "users:read",
+      "users:manage-roles",
+      "messages:read",
+      "messages:update",
+      "guards:read",
+      "guards:create",
+      "guards:update",
+      "transactions:create",
+      "presence:record",
+      "attendance:read",
+      "leave:request",
+      "leave:approve",
+      "incidents:report",
+      "incidents:read",
+      "incidents:manage",
+      "sites:read",
+      "sites:create",
+      "sites:update",
+      "sites:delete",
+      "roster:read",
+      "roster:manage",
+      "payroll:read",
+      "payroll:run",
+      "payroll:manage-rates",
+      "emails:read",
+      "emails:manage",
+      "analytics:read",
+      "events:subscribe",
+    ],
+  },
+  "site-supervisor": {
+    label: "Site supervisor",
+    isAdmin: false,
+    // Limited to the sites listed in the user's assignedSites
+    siteScoped: true,
+    permissions: [
+      "guards:read",
+      "presence:record",
+      "attendance:read",
+      "leave:request",
+      "leave:approve",
+      "incidents:report",
+      "incidents:read",
+      "incidents:manage",
+      "sites:read",
+      "roster:read",
+    ],
+  },
+  accountant: {
+    label: "Accountant",
+    isAdmin: false,
+    permissions: [
+      "guards:read",
+      "transactions:create",
+      "attendance:read",
+      "sites:read",
+      "payroll:read",
+      "payroll:run",
+      "payroll:manage-rates",
+      "analytics:read",
+    ],
+  },
+  guard: {
+    label: "Guard",
+    isAdmin: false,
+    // Linked to a guard record by the user's guardId
+    permissions: ["presence:self-check-in", "leave:self-request", "incidents:report"],
+  },
+  user: {
+    label: "Public user",
+    isAdmin: false,
+    permissions: [],
+  },
+};
+
+const DEFAULT_ROLE = "user";
+
+// Resolve a user's role. Accounts from before roles existed only carry the
+// isAdmin flag, so those are treated as super-admins.
+function getRole(user) {
+  if (user?.role && ROLES[user.role]) return user.role;
+  if (user?.isAdmin) return "super-admin";
+  return DEFAULT_ROLE;
+}
+
+// Mongo filter for accounts that are neither deactivated nor deleted
+const ACTIVE_ACCOUNT = { deactivatedAt: null, deletedAt: null };
+
+const isActiveAccount = (user) => !user?.deactivatedAt && !user?.deletedAt;
+
+// Deactivated and deleted accounts hold no permissions
+function hasPermission(user, permission) {
+  return isActiveAccount(user) && ROLES[getRole(user)].permissions.includes(permission);
+}
+
+// True when the user may act on guards at site `siteId`. Only site-scoped roles
+// are restricted; everyone else with the permission sees every site.
+function canAccessSite(user, siteId) {
+  const role = ROLES[getRole(user)];
+  if (!role.siteScoped) return true;
+  return Array.isArray(user.assignedSites) &&
+    user.assignedSites.some(s => String(s) === String(siteId));
+}
+
+// Mongo filter on `field` limiting a site-scoped user to their sites, or {}
+function siteScopeFilter(user, field = "siteId") {
+  if (!ROLES[getRole(user)].siteScoped) return {};
+  return { [field]: { $in: user.assignedSites || [] } };
+}
+
+// Mongo filter matching active users whose role grants `permission`
+function holdersOfPermission(permission) {
+  const roles = Object.keys(ROLES).filter(name => ROLES[name].permissions.includes(permission));
+  const filter = { ...ACTIVE_ACCOUNT, $or: [{ role: { $in: roles } }] };
+  if (roles.includes("super-admin")) {
+    filter.$or.push({ role: { $exists: false }, isAdmin: true });
+  }
+  return filter;
+}
+
+// Must run after verifyToken
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return sendError(res, 403, `Permission required: ${permission}`);
+    }
+    next();
+  };
+}
+
+// True when the authenticated user owns `email` or holds `permission`
+function isSelfOrPermitted(req, email, permission) {
+  return req.user?.email === email || hasPermission(req.user, permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  ACTIVE_ACCOUNT,
+  getRole,
+  isActiveAccount,
+  hasPermission,
+  canAccessSite,
+  siteScopeFilter,
+  holdersOfPermission,
+  requirePermission,
+  isSelfOrPermitted,
+};
@@ -0,0 +1,92 @@
+// Rate limits for the public endpoints. Counters live in memory by default;
+// with RATE_LIMIT_STORE=mongo they are kept in the `rateLimits` collection so
+// that several server instances share them.
+
+const { rateLimit } = require("express-rate-limit");
+const { sendError } = require("../utils/errors");
+
+const WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES ?? 15);
+const LIMITS = {
+  contactPerIp: Number(process.env.CONTACT_RATE_LIMIT_PER_IP ?? 5),
+  contactPerEmail: Number(process.env.CONTACT_RATE_LIMIT_PER_EMAIL ?? 3),
+  signupPerIp: Number(process.env.SIGNUP_RATE_LIMIT_PER_IP ?? 10),
+  signupPerEmail: Number(process.env.SIGNUP_RATE_LIMIT_PER_EMAIL ?? 3),
+};
+
+// express-rate-limit store backed by a MongoDB collection. One document per
+// key holds the hit count and when the window resets; a TTL index on
+// `resetTime` removes expired windows.
+class MongoRateLimitStore {
+  constructor(collection, prefix) {
+    this.collection = collection;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const active = { $gt: ["$resetTime", now] };
+    // Pipeline update: start a new window when the old one has expired
+    const doc = await this.collection.findOneAndUpdate(
+      { _id: this.prefix + key },
+      [{
+        $set: {
+          hits: { $cond: [active, { $add: ["$hits", 1] }, 1] },
+          resetTime: { $cond: [active, "$resetTime", new Date(now.getTime() + this.windowMs)] },
+        },
+      }],
+      { upsert: true, returnDocument: "after" }
+    );
+    return { totalHits: doc.hits, resetTime: doc.resetTime };
+  }
+
+  async decrement(key) {
+    await this.collection.updateOne({ _id: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+
+  async resetKey(key) {
+    await this.collection.deleteOne({ _id: this.prefix + key });
+  }
+}
+
+// Returns { contactLimiters, signupLimiters }, each a [perIp, perEmail] pair of
+// middleware. The per-email limiter must run after the body (or token) that
+// carries the email has been validated.
+async function createRateLimiters({ rateLimitsCollection, store = process.env.RATE_LIMIT_STORE || "memory" }) {
+  if (!["memory", "mongo"].includes(store)) {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${store}`);
+  }
+  if (store === "mongo") {
+    await rateLimitsCollection.createIndex({ resetTime: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  const limiter = (name, limit, keyGenerator) => rateLimit({
+    windowMs: WINDOW_MINUTES * 60 * 1000,
+    limit,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    ...(keyGenerator && { keyGenerator, skip: (req) => !keyGenerator(req) }),
+    ...(store === "mongo" && { store: new MongoRateLimitStore(rateLimitsCollection, `${name}:`) }),
+    handler: (_req, res) => sendError(res, 429, "Too many requests, please try again later"),
+  });
+
+  const bodyEmail = (req) => req.body?.email?.trim().toLowerCase();
+  const tokenEmail = (req) => req.auth?.email?.toLowerCase();
+
+  return {
+    contactLimiters: [
+      limiter("contact-ip", LIMITS.contactPerIp),
+      limiter("contact-email", LIMITS.contactPerEmail, bodyEmail),
+    ],
+    signupLimiters: [
+      limiter("signup-ip", LIMITS.signupPerIp),
+      limiter("signup-email", LIMITS.signupPerEmail, tokenEmail),
+    ],
+  };
+}
+
+module.exports = { MongoRateLimitStore, createRateLimiters };
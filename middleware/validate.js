@@ -0,0 +1,58 @@
+const { sendValidationError } = require("../utils/errors");
+
+// `field` is the full path, e.g. "initialTransactions.0.amount"
+function formatError(field, err) {
+  if (err.name === "CastError") {
+    const kind = err.kind === "ObjectId" ? "id" : err.kind.toLowerCase();
+    return { field, message: `${field} must be a valid ${kind}` };
+  }
+  return { field, message: err.message };
+}
+
+// Validate and cast `input` against an input model from schemas/. Fields the
+// schema does not declare are rejected. With `partial` (PATCH), only the
+// fields present are validated and the value keeps just those fields.
+// Returns { errors, value }.
+function validateInput(Model, input, { partial = false } = {}) {
+  const keys = Object.keys(input);
+  const errors = keys
+    .filter(key => Model.schema.pathType(key) === "adhocOrUndefined")
+    .map(key => ({ field: key, message: `${key} is not allowed` }));
+
+  const doc = new Model(input);
+  const result = doc.validateSync(partial ? keys : undefined);
+  if (result) {
+    // Subdocument errors are also reported on their parent path; skip those
+    errors.push(...Object.entries(result.errors)
+      .filter(([, err]) => err.name !== "ValidationError")
+      .map(([field, err]) => formatError(field, err)));
+  }
+
+  const value = doc.toObject({ versionKey: false });
+  delete value._id;
+  return {
+    errors,
+    value: partial ? Object.fromEntries(keys.map(key => [key, value[key] ?? null])) : value,
+  };
+}
+
+// validateInput() as middleware: replaces req.body with the cast value, or
+// answers 400 with every field error
+function validateBody(Model, { partial = false } = {}) {
+  return (req, res, next) => {
+    const body = req.body;
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationError(res, [{ field: "body", message: "Request body must be a JSON object" }]);
+    }
+
+    const { errors, value } = validateInput(Model, body, { partial });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = { validateInput, validateBody };
@@ -0,0 +1,205 @@
+// Dashboard analytics, cached briefly (see services/analytics.js).
+
+const express = require("express");
+const { siteScopeFilter, requirePermission } = require("../middleware/permissions");
+const { parseMonth, round2 } = require("../services/payroll");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { DAY_MS, dayKey, localDay } = require("../services/roster");
+const { guardStatusFilter } = require("../services/employment");
+const {
+  GROUP_BY: ANALYTICS_GROUP_BY,
+  parseRange,
+  parseGroupBy,
+  dayRangeMatch,
+  instantRangeMatch,
+  headcountPipeline,
+  attendancePipeline,
+  outstandingAdvancesPipeline,
+  payrollCostPipeline,
+  messageStatsPipeline,
+  joinsPipeline,
+} = require("../services/analytics");
+const { siteQueryFilter } = require("./helpers");
+
+function createAnalyticsRouter(ctx) {
+  const {
+    usersMessagesCollection,
+    guardsCollection,
+    presenceCollection,
+    ledgerCollection,
+    verifyToken,
+    analyticsCache,
+  } = ctx;
+  const router = express.Router();
+
+  // Answer with `load()`'s result, cached per route, query and site scope
+  async function sendAnalytics(req, res, load) {
+    const scope = (siteScopeFilter(req.user).siteId?.$in || ["all"]).map(String).sort().join(",");
+    const query = Object.keys(req.query).sort().map(key => `${key}=${req.query[key]}`).join("&");
+    const { value, cachedAt } = await analyticsCache.wrap(`${req.path}?${query}#${scope}`, load);
+    res.json({ success: true, cachedAt, ...value });
+  }
+
+  const rangeDays = ({ from, to }) => ({
+    from: from && dayKey(from),
+    to: to && dayKey(new Date(to.getTime() - DAY_MS)),
+  });
+
+  // GET /analytics/headcount - guards on the books per site and status
+  // ?siteId=
+  router.get("/analytics/headcount", verifyToken, requirePermission("analytics:read"), async (req, res) => {
+    try {
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      await sendAnalytics(req, res, async () => {
+        const data = await guardsCollection.aggregate(headcountPipeline({ ...filter, ...guardStatusFilter({}).filter })).toArray();
+        return { count: data.length, data };
+      });
+    } catch (err) {
+      console.error("Error computing headcount:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /analytics/attendance - attendance rate from presence records
+  // ?from=&to= (YYYY-MM-DD, default the last 30 days); ?groupBy=site|day|week|month; ?siteId=
+  router.get("/analytics/attendance", verifyToken, requirePermission("analytics:read"), async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const grouping = parseGroupBy(req.query.groupBy, ["site", ...ANALYTICS_GROUP_BY], "site");
+      const invalid = [range.error, grouping.error].filter(Boolean);
+      if (invalid.length > 0) {
+        return sendValidationError(res, invalid);
+      }
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      await sendAnalytics(req, res, async () => {
+        const data = await presenceCollection.aggregate(
+          attendancePipeline({ ...filter, ...dayRangeMatch("date", range) }, grouping.groupBy)
+        ).toArray();
+        return { ...rangeDays(range), groupBy: grouping.groupBy, count: data.length, data };
+      });
+    } catch (err) {
+      console.error("Error computing attendance rate:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /analytics/advances - what each guard owes (advances and fines not
+  // yet recovered), from the ledger
+  // ?from=&to= limit the entries by date (default: all); ?siteId=
+  router.get("/analytics/advances", verifyToken, requirePermission("analytics:read"), async (req, res) => {
+    try {
+      const range = parseRange(req.query, { defaultDays: null });
+      if (range.error) {
+        return sendValidationError(res, [range.error]);
+      }
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      await sendAnalytics(req, res, async () => {
+        const [result] = await ledgerCollection.aggregate(
+          outstandingAdvancesPipeline({ ...filter, archivedAt: null }, instantRangeMatch("date", range))
+        ).toArray();
+        const total = result.total[0] || { outstanding: 0, guards: 0 };
+        return {
+          ...rangeDays(range),
+          total: { outstanding: round2(total.outstanding), guards: total.guards },
+          count: result.guards.length,
+          data: result.guards,
+        };
+      });
+    } catch (err) {
+      console.error("Error computing outstanding advances:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /analytics/payroll - salary recorded per payroll month
+  // ?from=&to= (YYYY-MM, default the last 12 months); ?siteId=
+  router.get("/analytics/payroll", verifyToken, requirePermission("analytics:read"), async (req, res) => {
+    try {
+      const thisMonth = dayKey(localDay(new Date())).slice(0, 7);
+      const toMonth = req.query.to || thisMonth;
+      const fromPeriod = parseMonth(toMonth);
+      const fromMonth = req.query.from || (fromPeriod && dayKey(new Date(Date.UTC(
+        fromPeriod.start.getUTCFullYear(), fromPeriod.start.getUTCMonth() - 11, 1
+      ))).slice(0, 7));
+
+      const errors = [];
+      if (req.query.from !== undefined && !parseMonth(fromMonth)) {
+        errors.push({ field: "from", message: "from must be in YYYY-MM format" });
+      }
+      if (!parseMonth(toMonth)) errors.push({ field: "to", message: "to must be in YYYY-MM format" });
+      if (errors.length === 0 && fromMonth > toMonth) errors.push({ field: "to", message: "to must not be before from" });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      await sendAnalytics(req, res, async () => {
+        const data = await ledgerCollection.aggregate(payrollCostPipeline(filter, { fromMonth, toMonth })).toArray();
+        const total = round2(data.reduce((sum, m) => sum + m.total, 0));
+        return { from: fromMonth, to: toMonth, total, count: data.length, data };
+      });
+    } catch (err) {
+      console.error("Error computing payroll cost:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /analytics/messages - contact messages received and resolved, and
+  // the average time to the first staff reply
+  // ?from=&to= (YYYY-MM-DD, default the last 30 days); ?groupBy=day|week|month
+  router.get("/analytics/messages", verifyToken, requirePermission("analytics:read"), async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const grouping = parseGroupBy(req.query.groupBy, ANALYTICS_GROUP_BY, "day");
+      const invalid = [range.error, grouping.error].filter(Boolean);
+      if (invalid.length > 0) {
+        return sendValidationError(res, invalid);
+      }
+
+      await sendAnalytics(req, res, async () => {
+        const [result] = await usersMessagesCollection.aggregate(messageStatsPipeline(range, grouping.groupBy)).toArray();
+        return { ...rangeDays(range), groupBy: grouping.groupBy, totals: result.totals, data: result.periods };
+      });
+    } catch (err) {
+      console.error("Error computing message stats:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /analytics/joins - new guards per period by join date
+  // ?from=&to= (YYYY-MM-DD, default the last 365 days); ?groupBy=day|week|month (default month); ?siteId=
+  router.get("/analytics/joins", verifyToken, requirePermission("analytics:read"), async (req, res) => {
+    try {
+      const range = parseRange(req.query, { defaultDays: 365 });
+      const grouping = parseGroupBy(req.query.groupBy, ANALYTICS_GROUP_BY, "month");
+      const invalid = [range.error, grouping.error].filter(Boolean);
+      if (invalid.length > 0) {
+        return sendValidationError(res, invalid);
+      }
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      await sendAnalytics(req, res, async () => {
+        const data = await guardsCollection.aggregate(
+          joinsPipeline({ ...filter, archivedAt: null, ...instantRangeMatch("joinDate", range) }, grouping.groupBy)
+        ).toArray();
+        const total = data.reduce((sum, p) => sum + p.joined, 0);
+        return { ...rangeDays(range), groupBy: grouping.groupBy, total, count: data.length, data };
+      });
+    } catch (err) {
+      console.error("Error computing guard joins:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAnalyticsRouter };
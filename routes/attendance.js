@@ -0,0 +1,178 @@
+// Attendance: one presence record per guard per day.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, requirePermission } = require("../middleware/permissions");
+const { parseMonth } = require("../services/payroll");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { validateInput, validateBody } = require("../middleware/validate");
+const { PresenceInput } = require("../schemas");
+const { DAY_MS, parseDay, dayKey } = require("../services/roster");
+
+function createAttendanceRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    presenceCollection,
+    verifyToken,
+    loadInstances,
+    upsertPresence,
+    auditPresence,
+    loadAttendanceSheet,
+  } = ctx;
+  const router = express.Router();
+
+  // POST /guards/:id/presence - record or correct a guard's attendance for a day
+  // (supervisors: own sites only)
+  router.post("/guards/:id/presence", verifyToken, requirePermission("presence:record"), validateBody(PresenceInput), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { date: entryDate, status, note, shiftId } = req.body;
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(id) });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (!canAccessSite(req.user, guard.siteId)) {
+        return sendError(res, 403, "Guard is not assigned to one of your sites");
+      }
+
+      const outcome = await upsertPresence(guard, { date: entryDate, status, note, shiftId }, req.user);
+      if (!outcome.ok) {
+        return sendError(res, outcome.status, outcome.message);
+      }
+      await auditPresence(req, outcome);
+
+      res.status(outcome.result === "created" ? 201 : 200).json({
+        success: true,
+        result: outcome.result,
+        data: outcome.record,
+      });
+    } catch (err) {
+      console.error("Error recording presence:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/presence?month=YYYY-MM - a guard's attendance records
+  router.get("/guards/:id/presence", verifyToken, requirePermission("attendance:read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const period = parseMonth(req.query.month);
+      if (!period) {
+        return sendValidationError(res, [{ field: "month", message: "month query param must be in YYYY-MM format" }]);
+      }
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(id) }, { projection: { siteId: 1 } });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (!canAccessSite(req.user, guard.siteId)) {
+        return sendError(res, 403, "Guard is not assigned to one of your sites");
+      }
+
+      const records = await presenceCollection.find({
+        guardId: guard._id,
+        date: { $gte: period.start, $lt: period.end },
+      }).sort({ date: 1 }).toArray();
+
+      res.json({ success: true, count: records.length, data: records });
+    } catch (err) {
+      console.error("Error fetching presence:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /sites/:id/attendance - a site's whole roll call for one day.
+  // Every entry is checked before anything is saved.
+  router.post("/sites/:id/attendance", verifyToken, requirePermission("presence:record"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { date, entries } = req.body;
+
+      if (!canAccessSite(req.user, id)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+
+      const day = parseDay(date);
+      if (!day) {
+        return sendValidationError(res, [{ field: "date", message: "date must be YYYY-MM-DD" }]);
+      }
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return sendValidationError(res, [{ field: "entries", message: "entries must be a non-empty array" }]);
+      }
+
+      const site = await sitesCollection.findOne({ _id: new ObjectId(id) });
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      // Guards based at the site or rostered there that day
+      const rostered = await loadInstances({ siteId: site._id }, day, new Date(day.getTime() + DAY_MS));
+      const guardIds = entries.filter(e => ObjectId.isValid(e?.guardId)).map(e => new ObjectId(e.guardId));
+      const guards = await guardsCollection.find({ _id: { $in: guardIds } }).toArray();
+      const guardsById = new Map(guards.map(g => [String(g._id), g]));
+
+      // Each entry is a PresenceInput for the roll call's day, plus its guardId
+      const errors = [];
+      const values = [];
+      const seen = new Set();
+      entries.forEach((entry, index) => {
+        const { guardId: _guardId, ...fields } = entry && typeof entry === "object" ? entry : {};
+        const checked = validateInput(PresenceInput, { ...fields, date: day });
+        checked.errors.forEach(err => errors.push({ field: `entries[${index}].${err.field}`, message: err.message }));
+        values.push(checked.value);
+
+        const guard = guardsById.get(String(entry?.guardId));
+        if (!guard) {
+          errors.push({ field: `entries[${index}].guardId`, message: "Guard not found" });
+        } else if (!guard.siteId?.equals(site._id) && !rostered.some(i => i.guardId.equals(guard._id))) {
+          errors.push({ field: `entries[${index}].guardId`, message: "Guard is not based or rostered at this site" });
+        } else if (seen.has(String(guard._id))) {
+          errors.push({ field: `entries[${index}].guardId`, message: "Guard appears more than once" });
+        }
+        seen.add(String(entry?.guardId));
+      });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const summary = { created: 0, corrected: 0, unchanged: 0 };
+      const records = [];
+      const failed = [];
+      for (const [index, entry] of entries.entries()) {
+        const { status, note, shiftId } = values[index];
+        const outcome = await upsertPresence(guardsById.get(String(entry.guardId)), { date: day, status, note, shiftId }, req.user);
+        if (!outcome.ok) {
+          failed.push({ index, guardId: entry.guardId, message: outcome.message });
+          continue;
+        }
+        await auditPresence(req, outcome);
+        summary[outcome.result]++;
+        records.push(outcome.record);
+      }
+
+      res.json({ success: failed.length === 0, date: dayKey(day), ...summary, failed, data: records });
+    } catch (err) {
+      console.error("Error recording roll call:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /attendance/sheet?month=YYYY-MM&siteId= - guards-by-days attendance grid
+  router.get("/attendance/sheet", verifyToken, requirePermission("attendance:read"), async (req, res) => {
+    try {
+      const result = await loadAttendanceSheet(req);
+      if (!result.ok) return sendFailure(res, result);
+
+      res.json({ success: true, data: result.sheet });
+    } catch (err) {
+      console.error("Error building attendance sheet:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAttendanceRouter };
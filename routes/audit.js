@@ -0,0 +1,64 @@
+// The audit log of recorded changes.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { requirePermission } = require("../middleware/permissions");
+const { parseListQuery, dateRangeFilter, paginatedResponse } = require("../utils/listQuery");
+const { sendError, sendValidationError } = require("../utils/errors");
+
+function createAuditRouter(ctx) {
+  const { auditLogCollection, verifyToken, audit } = ctx;
+  const router = express.Router();
+
+  // GET /audit-log - recorded changes, newest first (requires audit:read)
+  // ?actor= user id or email; ?collection=&targetId= the changed document;
+  // ?action= e.g. guard.transaction.advance; ?from=&to= date range; ?page=&limit=
+  router.get("/audit-log", verifyToken, requirePermission("audit:read"), async (req, res) => {
+    try {
+      const { actor, collection, targetId, action } = req.query;
+
+      const list = parseListQuery(req.query, { sortFields: ["at"], defaultSort: { at: -1 } });
+      if (list.error) {
+        return sendValidationError(res, [list.error]);
+      }
+
+      const range = dateRangeFilter("at", req.query.from, req.query.to);
+      if (range.error) {
+        return sendValidationError(res, [range.error]);
+      }
+
+      const filter = { ...range };
+      if (actor && ObjectId.isValid(actor)) {
+        filter["actor.id"] = new ObjectId(actor);
+      } else if (actor) {
+        filter["actor.email"] = actor;
+      }
+      if (collection) filter["target.collection"] = collection;
+      if (targetId) {
+        if (!ObjectId.isValid(targetId)) {
+          return sendValidationError(res, [{ field: "targetId", message: "targetId must be a valid id" }]);
+        }
+        filter["target.id"] = new ObjectId(targetId);
+      }
+      if (action) filter.action = action;
+
+      const [entries, total] = await Promise.all([
+        auditLogCollection.find(filter)
+          .sort(list.sort)
+          .skip(list.skip)
+          .limit(list.limit)
+          .toArray(),
+        auditLogCollection.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse({ data: entries, total, page: list.page, limit: list.limit }));
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,219 @@
+// Guard self check-in and check-out from a phone.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, siteScopeFilter, requirePermission } = require("../middleware/permissions");
+const { sendError, sendValidationError } = require("../utils/errors");
+const { dateRangeFilter } = require("../utils/listQuery");
+const { DAY_MS, parseDay, localDay } = require("../services/roster");
+const {
+  parseLocation,
+  checkGeofence,
+  findCheckInShift,
+  findCheckOutShift,
+  lateness,
+} = require("../services/checkin");
+const { employmentStatusOn } = require("../services/employment");
+
+function createCheckInRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    presenceCollection,
+    checkInRejectionsCollection,
+    verifyToken,
+    audit,
+    events,
+    loadInstances,
+    upsertPresence,
+  } = ctx;
+  const router = express.Router();
+
+  // Keep a record of refused attempts for supervisors to review
+  async function logCheckInRejection(req, guard, type, reason, details = {}) {
+    const siteId = details.siteId || guard.siteId || null;
+    await checkInRejectionsCollection.insertOne({
+      guardId: guard._id,
+      userId: req.user._id,
+      siteId,
+      type,
+      reason,
+      location: details.location || null,
+      distanceMeters: details.distance ?? null,
+      radiusMeters: details.radius ?? null,
+      shiftId: details.shiftId || null,
+      at: new Date(),
+      ip: req.ip,
+    });
+    events.publish("presence", "checkin.rejected", {
+      guardId: guard._id,
+      siteId,
+      type,
+      reason,
+      distanceMeters: details.distance ?? null,
+    }, { siteId });
+  }
+
+  // Shared checks for check-in and check-out: the guard linked to the user,
+  // a valid location, a rostered shift at `now` and the site's geofence.
+  // Rejections are logged and returned as { ok: false, status, message }.
+  async function verifyCheckAttempt(req, type) {
+    if (!req.user.guardId) {
+      return { ok: false, status: 403, message: "Your account is not linked to a guard" };
+    }
+    const guard = await guardsCollection.findOne({ _id: req.user.guardId });
+    if (!guard) {
+      return { ok: false, status: 404, message: "Guard not found" };
+    }
+
+    const location = parseLocation(req.body);
+    if (!location) {
+      return { ok: false, status: 400, message: "lat and lng are required" };
+    }
+
+    const employment = guard.archivedAt ? "archived" : employmentStatusOn(guard, new Date());
+    if (employment !== "active") {
+      await logCheckInRejection(req, guard, type, "not-active", { location });
+      return { ok: false, status: 403, message: `You cannot ${type} while ${employment}` };
+    }
+
+    // Night shifts that started yesterday are still open this morning
+    const now = new Date();
+    const today = localDay(now);
+    const instances = await loadInstances(
+      { guardId: guard._id },
+      new Date(today.getTime() - DAY_MS),
+      new Date(today.getTime() + DAY_MS)
+    );
+    const instance = type === "check-in"
+      ? findCheckInShift(instances, now)
+      : findCheckOutShift(instances, now);
+
+    if (!instance) {
+      await logCheckInRejection(req, guard, type, "outside-shift-window", { location });
+      return { ok: false, status: 403, message: `You have no shift open for ${type} right now` };
+    }
+
+    const site = await sitesCollection.findOne({ _id: instance.siteId });
+    const fence = checkGeofence(site, location);
+    if (!fence.ok) {
+      await logCheckInRejection(req, guard, type, fence.reason, {
+        ...fence,
+        location,
+        siteId: instance.siteId,
+        shiftId: instance.shiftId,
+      });
+      return fence.reason === "outside-geofence"
+        ? { ok: false, status: 403, message: `You are ${fence.distance}m from the site; check-in is allowed within ${fence.radius}m` }
+        : { ok: false, status: 400, message: "The site has no location set; ask your supervisor" };
+    }
+
+    return { ok: true, guard, instance, location, distance: fence.distance, now };
+  }
+
+  // POST /presence/check-in - guard checks in to their current shift from a phone
+  router.post("/presence/check-in", verifyToken, requirePermission("presence:self-check-in"), async (req, res) => {
+    try {
+      const attempt = await verifyCheckAttempt(req, "check-in");
+      if (!attempt.ok) {
+        return sendError(res, attempt.status, attempt.message);
+      }
+      const { guard, instance, location, distance, now } = attempt;
+
+      const existing = await presenceCollection.findOne({ guardId: guard._id, date: parseDay(instance.date) });
+      if (existing?.checkIn) {
+        return sendError(res, 409, "Already checked in for this shift");
+      }
+
+      const { lateMinutes, status } = lateness(instance, now);
+      const outcome = await upsertPresence(
+        guard,
+        { date: instance.start, status, shiftId: instance.shiftId },
+        req.user
+      );
+      if (!outcome.ok) {
+        return sendError(res, outcome.status, outcome.message);
+      }
+
+      await presenceCollection.updateOne(
+        { _id: outcome.record._id },
+        { $set: { checkIn: { at: now, location, distanceMeters: distance, lateMinutes }, updatedAt: now } }
+      );
+      const record = await presenceCollection.findOne({ _id: outcome.record._id });
+      await audit(req, "presence.check-in", { collection: "presence", id: record._id }, outcome.previous || null, record);
+
+      res.status(201).json({ success: true, lateMinutes, data: record });
+    } catch (err) {
+      console.error("Error checking in:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /presence/check-out - guard checks out of their current shift
+  router.post("/presence/check-out", verifyToken, requirePermission("presence:self-check-in"), async (req, res) => {
+    try {
+      const attempt = await verifyCheckAttempt(req, "check-out");
+      if (!attempt.ok) {
+        return sendError(res, attempt.status, attempt.message);
+      }
+      const { guard, instance, location, distance, now } = attempt;
+
+      const record = await presenceCollection.findOne({ guardId: guard._id, date: parseDay(instance.date) });
+      if (!record?.checkIn) {
+        return sendError(res, 409, "You have not checked in to this shift");
+      }
+      if (record.checkOut) {
+        return sendError(res, 409, "Already checked out of this shift");
+      }
+
+      const earlyMinutes = Math.max(0, Math.floor((instance.end - now) / 60000));
+      await presenceCollection.updateOne(
+        { _id: record._id },
+        { $set: { checkOut: { at: now, location, distanceMeters: distance, earlyMinutes }, updatedAt: now } }
+      );
+      const updated = await presenceCollection.findOne({ _id: record._id });
+      await audit(req, "presence.check-out", { collection: "presence", id: record._id }, record, updated);
+
+      res.json({ success: true, data: updated });
+    } catch (err) {
+      console.error("Error checking out:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /presence/rejections?siteId=&from=&to= - refused check-in/out attempts
+  router.get("/presence/rejections", verifyToken, requirePermission("attendance:read"), async (req, res) => {
+    try {
+      const { siteId, from, to } = req.query;
+
+      const filter = { ...siteScopeFilter(req.user) };
+      if (siteId) {
+        if (!ObjectId.isValid(siteId)) {
+          return sendValidationError(res, [{ field: "siteId", message: "siteId must be a valid id" }]);
+        }
+        if (!canAccessSite(req.user, siteId)) {
+          return sendError(res, 403, "Site is not one of your sites");
+        }
+        filter.siteId = new ObjectId(siteId);
+      }
+      const range = dateRangeFilter("at", from, to);
+      if (range.error) {
+        return sendValidationError(res, [range.error]);
+      }
+      Object.assign(filter, range);
+
+      const rejections = await checkInRejectionsCollection.find(filter)
+        .sort({ at: -1 })
+        .limit(500)
+        .toArray();
+      res.json({ success: true, count: rejections.length, data: rejections });
+    } catch (err) {
+      console.error("Error fetching check-in rejections:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCheckInRouter };
@@ -0,0 +1,200 @@
+// Guard documents (certificates, photos) with expiry tracking.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, siteScopeFilter, requirePermission } = require("../middleware/permissions");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { DocumentInput, DOCUMENT_TYPES } = require("../schemas");
+const { DAY_MS } = require("../services/roster");
+const { guardStatusFilter } = require("../services/employment");
+const {
+  REQUIRED_DOCUMENT_TYPES,
+  EXPIRY_WARNING_DAYS,
+  documentIssues,
+  publicDocument,
+} = require("../services/documents");
+const { documentUpload } = require("./helpers");
+
+function createDocumentRouter(ctx) {
+  const {
+    guardsCollection,
+    guardDocumentsCollection,
+    verifyToken,
+    audit,
+    documentStorage,
+    loadGuardForDocuments,
+    saveDocument,
+    sendDocument,
+    revealPii,
+  } = ctx;
+  const router = express.Router();
+
+  // POST /guards/:id/documents - upload a document (multipart: file, type,
+  // and optional issuedAt, expiresAt, note)
+  router.post(
+    "/guards/:id/documents",
+    verifyToken,
+    requirePermission("guards:update"),
+    documentUpload.single("file"),
+    validateBody(DocumentInput),
+    async (req, res) => {
+      try {
+        const found = await loadGuardForDocuments(req, req.params.id);
+        if (!found.ok) return sendFailure(res, found);
+
+        const saved = await saveDocument(req, found.guard, req.file, req.body);
+        if (!saved.ok) return sendFailure(res, saved);
+
+        res.status(201).json({ success: true, data: publicDocument(saved.document) });
+      } catch (err) {
+        console.error("Error uploading guard document:", err);
+        sendError(res, 500, "Internal server error");
+      }
+    }
+  );
+
+  // GET /guards/:id/documents - the guard's documents, newest first
+  // ?type= filters by document type
+  router.get("/guards/:id/documents", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const found = await loadGuardForDocuments(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+
+      const filter = { guardId: found.guard._id };
+      if (req.query.type) {
+        if (!DOCUMENT_TYPES.includes(req.query.type)) {
+          return sendValidationError(res, [{ field: "type", message: `type must be one of: ${DOCUMENT_TYPES.join(", ")}` }]);
+        }
+        filter.type = req.query.type;
+      }
+
+      const documents = await guardDocumentsCollection
+        .find(filter, { projection: { key: 0 } })
+        .sort({ uploadedAt: -1 })
+        .toArray();
+      res.json({ success: true, count: documents.length, data: documents });
+    } catch (err) {
+      console.error("Error fetching guard documents:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/documents/:docId - download a document
+  router.get("/guards/:id/documents/:docId", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const found = await loadGuardForDocuments(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+
+      const document = await guardDocumentsCollection.findOne({
+        _id: new ObjectId(req.params.docId),
+        guardId: found.guard._id,
+      });
+      if (!document) {
+        return sendError(res, 404, "Document not found");
+      }
+      await sendDocument(res, document);
+    } catch (err) {
+      console.error("Error downloading guard document:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // DELETE /guards/:id/documents/:docId - delete a document and its file
+  router.delete("/guards/:id/documents/:docId", verifyToken, requirePermission("guards:update"), async (req, res) => {
+    try {
+      const found = await loadGuardForDocuments(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+
+      const document = await guardDocumentsCollection.findOneAndDelete({
+        _id: new ObjectId(req.params.docId),
+        guardId: found.guard._id,
+      });
+      if (!document) {
+        return sendError(res, 404, "Document not found");
+      }
+
+      await documentStorage.remove(document.key);
+      await audit(req, "guard.document.delete", { collection: "guardDocuments", id: document._id }, publicDocument(document), null);
+      res.json({ success: true, data: publicDocument(document) });
+    } catch (err) {
+      console.error("Error deleting guard document:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /documents/expiring - guards whose required certificates are missing,
+  // expired or expire within ?days= (default 30)
+  // ?siteId= limits to one site; ?type= checks a single document type
+  router.get("/documents/expiring", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const days = req.query.days === undefined ? EXPIRY_WARNING_DAYS : Number(req.query.days);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return sendValidationError(res, [{ field: "days", message: "days must be a whole number from 0 to 365" }]);
+      }
+
+      let required = REQUIRED_DOCUMENT_TYPES;
+      if (req.query.type) {
+        if (!DOCUMENT_TYPES.includes(req.query.type)) {
+          return sendValidationError(res, [{ field: "type", message: `type must be one of: ${DOCUMENT_TYPES.join(", ")}` }]);
+        }
+        required = [req.query.type];
+      }
+
+      // Only guards on the books need their papers in order
+      const filter = { ...siteScopeFilter(req.user), ...guardStatusFilter({}).filter };
+      if (req.query.siteId) {
+        if (!ObjectId.isValid(req.query.siteId)) {
+          return sendValidationError(res, [{ field: "siteId", message: "siteId must be a valid id" }]);
+        }
+        if (!canAccessSite(req.user, req.query.siteId)) {
+          return sendError(res, 403, "Site is not one of your sites");
+        }
+        filter.siteId = new ObjectId(req.query.siteId);
+      }
+
+      const guards = await guardsCollection.aggregate([
+        { $match: filter },
+        { $project: { name: 1, phone: 1, siteId: 1 } },
+        {
+          $lookup: {
+            from: "guardDocuments",
+            localField: "_id",
+            foreignField: "guardId",
+            as: "documents",
+            pipeline: [
+              { $match: { type: { $in: required } } },
+              { $project: { type: 1, expiresAt: 1 } },
+            ],
+          },
+        },
+        {
+          $lookup: {
+            from: "sites",
+            localField: "siteId",
+            foreignField: "_id",
+            as: "site",
+            pipeline: [{ $project: { name: 1 } }],
+          },
+        },
+        { $set: { site: { $first: "$site" } } },
+        { $sort: { name: 1, _id: 1 } },
+      ]).toArray();
+
+      const now = new Date();
+      const until = new Date(now.getTime() + days * DAY_MS);
+      const data = guards
+        .map(({ documents, ...guard }) => ({ ...guard, issues: documentIssues(documents, { required, until, now }) }))
+        .filter(guard => guard.issues.length > 0);
+
+      res.json({ success: true, count: data.length, until, data: await revealPii(req, "guards", data) });
+    } catch (err) {
+      console.error("Error fetching expiring documents:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDocumentRouter };
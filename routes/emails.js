@@ -0,0 +1,80 @@
+// The outbound email queue.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { requirePermission } = require("../middleware/permissions");
+const { parseListQuery, paginatedResponse } = require("../utils/listQuery");
+const { sendError, sendValidationError } = require("../utils/errors");
+const { EMAIL_STATUSES } = require("../services/mailer");
+
+function createEmailRouter(ctx) {
+  const { emailsCollection, verifyToken, audit, mailer } = ctx;
+  const router = express.Router();
+
+  // GET /emails - queued, sent and failed emails, newest first (requires emails:read)
+  // ?status=queued|sending|sent|failed; ?template=; ?to= recipient; ?page=&limit=
+  router.get("/emails", verifyToken, requirePermission("emails:read"), async (req, res) => {
+    try {
+      const { status, template, to } = req.query;
+
+      const list = parseListQuery(req.query, { sortFields: ["createdAt", "sentAt"] });
+      if (list.error) {
+        return sendValidationError(res, [list.error]);
+      }
+      if (status && !EMAIL_STATUSES.includes(status)) {
+        return sendValidationError(res, [{ field: "status", message: `status must be one of: ${EMAIL_STATUSES.join(", ")}` }]);
+      }
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (template) filter.template = template;
+      if (to) filter.to = to;
+
+      const [emails, total] = await Promise.all([
+        emailsCollection.find(filter)
+          .project({ html: 0 })
+          .sort(list.sort)
+          .skip(list.skip)
+          .limit(list.limit)
+          .toArray(),
+        emailsCollection.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse({ data: emails, total, page: list.page, limit: list.limit }));
+    } catch (err) {
+      console.error("Error fetching emails:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /emails/:id/retry - send a failed email again
+  router.post("/emails/:id/retry", verifyToken, requirePermission("emails:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return sendValidationError(res, [{ field: "id", message: "id must be a valid id" }]);
+      }
+
+      const email = await emailsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), status: "failed" },
+        { $set: { status: "queued", attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!email) {
+        return sendError(res, 404, "No failed email with this id");
+      }
+      await audit(req, "email.retry", { collection: "emails", id: email._id }, null, { status: "queued" });
+
+      await mailer.processQueue();
+      const updated = await emailsCollection.findOne({ _id: email._id }, { projection: { html: 0 } });
+      res.json({ success: true, data: updated });
+    } catch (err) {
+      console.error("Error retrying email:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEmailRouter };
@@ -0,0 +1,250 @@
+// Guard lifecycle: employment status, final settlement, archive and re-hire.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { requirePermission } = require("../middleware/permissions");
+const { resolveBaseSalary, parseMonth } = require("../services/payroll");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { EmploymentChangeInput, RehireInput } = require("../schemas");
+const { DAY_MS, parseDay, localDay } = require("../services/roster");
+const {
+  employmentStatus,
+  canChangeEmployment,
+  employmentChange,
+  computeSettlement,
+} = require("../services/employment");
+
+function createEmploymentRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    presenceCollection,
+    verifyToken,
+    audit,
+    ledger,
+    pii,
+    checkGuardContacts,
+    revealGuard,
+  } = ctx;
+  const router = express.Router();
+
+  // Final settlement of `guard` up to and including `lastDay`, from month
+  // `from` when given, or { ok: false, ... }
+  async function loadSettlement(guard, lastDay, from = null) {
+    const sites = await sitesCollection.find({ _id: guard.siteId }).toArray();
+    const baseSalary = resolveBaseSalary(guard, sites);
+    if (baseSalary === null) {
+      return { ok: false, status: 400, message: "No base salary configured for this guard or site" };
+    }
+
+    const [presence, entries] = await Promise.all([
+      presenceCollection.find({ guardId: guard._id, date: { $lte: lastDay } }).toArray(),
+      ledger.activeEntries({ guardId: guard._id }),
+    ]);
+    return { ok: true, settlement: computeSettlement(guard, baseSalary, presence, lastDay, entries, from) };
+  }
+
+  // POST /guards/:id/employment - change employment status
+  // Body: { status, effectiveFrom?, reason?, settleFrom? }. The status applies
+  // from effectiveFrom (default today, never later, since lists and payroll go
+  // by the current status); a terminated guard's last working day is the day
+  // before, and their final settlement is recorded.
+  router.post("/guards/:id/employment", verifyToken, requirePermission("guards:update"), validateBody(EmploymentChangeInput), async (req, res) => {
+    try {
+      const { status, reason, settleFrom } = req.body;
+      const effectiveFrom = localDay(req.body.effectiveFrom);
+      if (effectiveFrom > localDay(new Date())) {
+        return sendValidationError(res, [{ field: "effectiveFrom", message: "effectiveFrom cannot be in the future" }]);
+      }
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (guard.archivedAt) {
+        return sendError(res, 400, "Guard is archived; restore it first");
+      }
+
+      const current = employmentStatus(guard);
+      if (current === status) {
+        return sendError(res, 400, `Guard is already ${status}`);
+      }
+      if (!canChangeEmployment(current, status)) {
+        return sendError(res, 400, current === "terminated"
+          ? "Terminated guards can only come back through POST /guards/rehire"
+          : `Cannot change employment from ${current} to ${status}`);
+      }
+
+      const now = new Date();
+      const employment = { status, effectiveFrom, reason, changedAt: now, changedBy: req.user._id };
+      if (status === "terminated") {
+        const result = await loadSettlement(guard, new Date(effectiveFrom.getTime() - DAY_MS), settleFrom);
+        // A guard without a salary can still be terminated; the settlement is left out
+        employment.settlement = result.ok
+          ? {
+            from: result.settlement.from,
+            amountDue: result.settlement.amountDue,
+            unpaidMonths: result.settlement.unpaidMonths,
+            computedAt: now,
+          }
+          : null;
+      }
+
+      await guardsCollection.updateOne(
+        { _id: guard._id },
+        {
+          $set: { employment, updatedAt: now },
+          $push: { employmentHistory: employmentChange(current, status, { effectiveFrom, reason }, req.user, now) },
+        }
+      );
+      const updatedGuard = await guardsCollection.findOne({ _id: guard._id });
+      await audit(req, `guard.employment.${status}`, { collection: "guards", id: guard._id }, guard, updatedGuard);
+
+      res.json({ success: true, data: await revealGuard(req, updatedGuard) });
+    } catch (err) {
+      console.error("Error changing guard employment:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/settlement - final settlement: unpaid payslips up to the
+  // last working day, net of advances and fines
+  // ?lastDay=YYYY-MM-DD (default: the day before termination, or today);
+  // ?from=YYYY-MM (default: as settled at termination, see computeSettlement())
+  router.get("/guards/:id/settlement", verifyToken, requirePermission("payroll:read"), async (req, res) => {
+    try {
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+
+      let lastDay;
+      if (req.query.lastDay) {
+        lastDay = parseDay(req.query.lastDay);
+        if (!lastDay) {
+          return sendValidationError(res, [{ field: "lastDay", message: "lastDay must be in YYYY-MM-DD format" }]);
+        }
+      } else if (employmentStatus(guard) === "terminated") {
+        lastDay = new Date(localDay(guard.employment.effectiveFrom).getTime() - DAY_MS);
+      } else {
+        lastDay = localDay(new Date());
+      }
+
+      const from = req.query.from || guard.employment?.settlement?.from || null;
+      if (req.query.from && !parseMonth(req.query.from)) {
+        return sendValidationError(res, [{ field: "from", message: "from must be in YYYY-MM format" }]);
+      }
+
+      const result = await loadSettlement(guard, lastDay, from);
+      if (!result.ok) return sendFailure(res, result);
+
+      res.json({ success: true, data: result.settlement });
+    } catch (err) {
+      console.error("Error computing settlement:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // DELETE /guards/:id - archive a guard. Archived guards are left out of
+  // every list and can be brought back with POST /guards/:id/restore.
+  router.delete("/guards/:id", verifyToken, requirePermission("guards:update"), async (req, res) => {
+    try {
+      const now = new Date();
+      const before = await guardsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), archivedAt: null },
+        { $set: { archivedAt: now, archivedBy: req.user._id, updatedAt: now } }
+      );
+      if (!before) {
+        return sendError(res, 404, "Guard not found or already archived");
+      }
+
+      const archived = await guardsCollection.findOne({ _id: before._id });
+      await audit(req, "guard.archive", { collection: "guards", id: before._id }, before, archived);
+      res.json({ success: true, data: await revealGuard(req, archived) });
+    } catch (err) {
+      console.error("Error archiving guard:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /guards/:id/restore - bring back an archived guard
+  router.post("/guards/:id/restore", verifyToken, requirePermission("guards:update"), async (req, res) => {
+    try {
+      const before = await guardsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), archivedAt: { $ne: null } },
+        { $set: { archivedAt: null, archivedBy: null, updatedAt: new Date() } }
+      );
+      if (!before) {
+        return sendError(res, 404, "Archived guard not found");
+      }
+
+      const restored = await guardsCollection.findOne({ _id: before._id });
+      await audit(req, "guard.restore", { collection: "guards", id: before._id }, before, restored);
+      res.json({ success: true, data: await revealGuard(req, restored) });
+    } catch (err) {
+      console.error("Error restoring guard:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /guards/rehire - re-hire a terminated guard found by NID, keeping
+  // their history and ledger. Body: { nid, siteId, dutyTime,
+  // joinDate?, baseSalary?, phone?, address?, reason? }
+  router.post("/guards/rehire", verifyToken, requirePermission("guards:create"), validateBody(RehireInput), async (req, res) => {
+    try {
+      const { nid, siteId, dutyTime, joinDate, baseSalary, phone, address, reason } = req.body;
+
+      const guard = await guardsCollection.findOne({ nidHash: pii.hash("nid", nid) }, { sort: { createdAt: -1 } });
+      if (!guard) {
+        return sendError(res, 404, "No guard with this NID");
+      }
+      if (employmentStatus(guard) !== "terminated") {
+        return sendError(res, 409, "The guard with this NID is still employed", { guardId: guard._id });
+      }
+      if (!(await sitesCollection.findOne({ _id: siteId }))) {
+        return sendValidationError(res, [{ field: "siteId", message: "Site not found" }]);
+      }
+      const contacts = await checkGuardContacts({ phone }, guard._id);
+      if (!contacts.ok) {
+        return sendError(res, contacts.status, contacts.message, { guardId: contacts.guardId });
+      }
+
+      const now = new Date();
+      const effectiveFrom = localDay(joinDate);
+      const update = {
+        siteId,
+        dutyTime,
+        joinDate,
+        baseSalary,
+        employment: { status: "active", effectiveFrom, reason: reason || "Re-hired", changedAt: now, changedBy: req.user._id },
+        archivedAt: null,
+        archivedBy: null,
+        updatedAt: now,
+      };
+      if (phone) update.phone = phone;
+      if (address) update.address = address;
+
+      await guardsCollection.updateOne(
+        { _id: guard._id },
+        {
+          $set: pii.encryptFields(update),
+          $push: {
+            employmentHistory: employmentChange("terminated", "active", { effectiveFrom, reason: reason || "Re-hired" }, req.user, now),
+          },
+        }
+      );
+      const rehired = await guardsCollection.findOne({ _id: guard._id });
+      await audit(req, "guard.rehire", { collection: "guards", id: guard._id }, pii.decryptFields(guard), pii.decryptFields(rehired));
+
+      res.json({ success: true, data: await revealGuard(req, rehired) });
+    } catch (err) {
+      console.error("Error re-hiring guard:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEmploymentRouter };
@@ -0,0 +1,108 @@
+// Live admin events as server-sent events (see services/events.js).
+
+const crypto = require("crypto");
+const express = require("express");
+const { isActiveAccount, requirePermission } = require("../middleware/permissions");
+const { sendError, sendFailure } = require("../utils/errors");
+const { parseTopics, accepts } = require("../services/events");
+const { UNREAD_MESSAGES } = require("../services/tickets");
+
+// An EventSource cannot send an Authorization header, so a browser first
+// exchanges its token for a short-lived, single-use ticket
+const TICKET_TTL_MS = 60 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+
+function createEventRouter(ctx) {
+  const { usersCollection, usersMessagesCollection, verifyToken, events } = ctx;
+  const router = express.Router();
+
+  const tickets = new Map();
+
+  // verifyToken, or the user of a ?ticket= from POST /events/tickets
+  async function verifyStreamAuth(req, res, next) {
+    const { ticket } = req.query;
+    if (!ticket) return verifyToken(req, res, next);
+
+    const issued = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!issued || issued.expiresAt < Date.now()) {
+      return sendError(res, 401, "Invalid or expired ticket");
+    }
+    try {
+      const user = await usersCollection.findOne({ _id: issued.userId });
+      if (!user || !isActiveAccount(user)) {
+        return sendError(res, 403, "This account can no longer sign in");
+      }
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error("Error resolving ticket user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  }
+
+  // POST /events/tickets - a ticket for opening GET /events from a browser
+  // EventSource; valid once, for one minute
+  router.post("/events/tickets", verifyToken, requirePermission("events:subscribe"), (req, res) => {
+    const now = Date.now();
+    for (const [key, issued] of tickets) {
+      if (issued.expiresAt < now) tickets.delete(key);
+    }
+
+    const ticket = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = now + TICKET_TTL_MS;
+    tickets.set(ticket, { userId: req.user._id, expiresAt });
+    res.status(201).json({ success: true, data: { ticket, expiresAt: new Date(expiresAt) } });
+  });
+
+  // GET /events - stream of live events (text/event-stream)
+  // ?topics=messages,unread,presence,transactions,incidents (default: every
+  // topic the caller may see); ?ticket= instead of the Authorization header.
+  // A client reconnecting with Last-Event-ID gets the recent events it missed.
+  router.get("/events", verifyStreamAuth, requirePermission("events:subscribe"), async (req, res) => {
+    try {
+      const { topics, error } = parseTopics(req.query.topics, req.user);
+      if (error) return sendFailure(res, error);
+
+      const filter = accepts(req.user, topics);
+      const lastEventId = Number(req.get("Last-Event-ID"));
+      const missed = Number.isInteger(lastEventId) && lastEventId > 0 ? events.since(lastEventId, filter) : [];
+      const unread = topics.includes("unread") ? await usersMessagesCollection.countDocuments(UNREAD_MESSAGES) : null;
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Stops nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+
+      const send = (event) =>
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ topic: event.topic, at: event.at, data: event.data })}\n\n`);
+      const unsubscribe = events.subscribe({ topics, filter }, send);
+
+      res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ topics })}\n\n`);
+      missed.forEach(send);
+      if (unread !== null) {
+        res.write(`event: unread.count\ndata: ${JSON.stringify({ topic: "unread", at: new Date(), data: { unreadCount: unread } })}\n\n`);
+      }
+
+      // Comments keep proxies from closing an idle connection
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+      heartbeat.unref();
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (err) {
+      console.error("Error opening event stream:", err);
+      if (!res.headersSent) sendError(res, 500, "Internal server error");
+      else res.end();
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEventRouter };
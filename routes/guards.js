@@ -0,0 +1,238 @@
+// Guard records (staff only, per permission).
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, siteScopeFilter, requirePermission } = require("../middleware/permissions");
+const {
+  parseListQuery,
+  searchFilter,
+  dateRangeFilter,
+  paginatedResponse,
+} = require("../utils/listQuery");
+const { sendError, sendValidationError } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { GuardInput, GuardUpdateInput } = require("../schemas");
+const { guardStatusFilter } = require("../services/employment");
+const { publicEntry } = require("../services/ledger");
+const { hashField } = require("../services/pii");
+
+function createGuardRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    verifyToken,
+    audit,
+    ledger,
+    upsertPresence,
+    auditPresence,
+    checkGuardContacts,
+    revealPii,
+    revealGuard,
+    pii,
+  } = ctx;
+  const router = express.Router();
+
+  // Name search, or an exact phone number or NID by its lookup hash, since
+  // those are stored encrypted
+  function guardSearchFilter(q) {
+    const filter = searchFilter(q, ["name"]);
+    if (!filter.$or) return filter;
+    for (const field of ["phone", "nid"]) {
+      const hash = pii.hash(field, q);
+      if (hash) filter.$or.push({ [hashField(field)]: hash });
+    }
+    return filter;
+  }
+
+  // GET /guards - list guards with their site (supervisors only see their own sites)
+  // ?q= searches name, or matches an exact phone number or NID;
+  // ?siteId=&joinedFrom=&joinedTo= filter;
+  // ?status=active|on-leave|suspended|terminated|all (default: all but
+  // terminated); ?archived=true lists archived guards instead;
+  // ?sort=name|joinDate|createdAt; ?page=&limit=
+  router.get("/guards", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const { siteId } = req.query;
+      const list = parseListQuery(req.query, {
+        sortFields: ["name", "joinDate", "createdAt"],
+        defaultSort: { name: 1, _id: 1 },
+      });
+      if (list.error) {
+        return sendValidationError(res, [list.error]);
+      }
+
+      const joined = dateRangeFilter("joinDate", req.query.joinedFrom, req.query.joinedTo, ["joinedFrom", "joinedTo"]);
+      if (joined.error) {
+        return sendValidationError(res, [joined.error]);
+      }
+
+      const employment = guardStatusFilter(req.query);
+      if (employment.error) {
+        return sendValidationError(res, [employment.error]);
+      }
+
+      const filter = {
+        ...siteScopeFilter(req.user),
+        ...guardSearchFilter(req.query.q),
+        ...joined,
+        ...employment.filter,
+      };
+      if (siteId) {
+        if (!ObjectId.isValid(siteId)) {
+          return sendValidationError(res, [{ field: "siteId", message: "siteId must be a valid id" }]);
+        }
+        if (!canAccessSite(req.user, siteId)) {
+          return sendError(res, 403, "Site is not one of your sites");
+        }
+        filter.siteId = new ObjectId(siteId);
+      }
+
+      const [result] = await guardsCollection.aggregate([
+        { $match: filter },
+        {
+          $facet: {
+            total: [{ $count: "count" }],
+            data: [
+              { $sort: list.sort },
+              { $skip: list.skip },
+              { $limit: list.limit },
+              {
+                $lookup: {
+                  from: "sites",
+                  localField: "siteId",
+                  foreignField: "_id",
+                  as: "site",
+                  pipeline: [{ $project: { name: 1, clientName: 1 } }],
+                },
+              },
+              { $set: { site: { $first: "$site" } } },
+            ],
+          },
+        },
+      ]).toArray();
+
+      res.json(paginatedResponse({
+        data: await revealPii(req, "guards", result.data),
+        total: result.total[0]?.count || 0,
+        page: list.page,
+        limit: list.limit,
+      }));
+    } catch (err) {
+      console.error("Error fetching guards:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /guards - create new guard (requires guards:create)
+  router.post("/guards", verifyToken, requirePermission("guards:create"), validateBody(GuardInput), async (req, res) => {
+    try {
+      const {
+        name,
+        phone,
+        nid,
+        address,
+        joinDate,
+        siteId,
+        dutyTime,
+        baseSalary,
+        initialTransactions,
+        initialPresence,
+      } = req.body;
+
+      if (!(await sitesCollection.findOne({ _id: siteId }))) {
+        return sendValidationError(res, [{ field: "siteId", message: "Site not found" }]);
+      }
+
+      const former = await guardsCollection.findOne(
+        { nidHash: pii.hash("nid", nid), "employment.status": "terminated" },
+        { projection: { _id: 1 } }
+      );
+      if (former) {
+        return sendError(res, 409, "A former guard has this NID; re-hire them with POST /guards/rehire", { guardId: former._id });
+      }
+      const contacts = await checkGuardContacts({ nid, phone });
+      if (!contacts.ok) {
+        return sendError(res, contacts.status, contacts.message, { guardId: contacts.guardId });
+      }
+
+      const newGuard = {
+        name,
+        ...pii.encryptFields({ phone, nid, address }),
+        joinDate,
+        siteId,
+        dutyTime,
+        // Falls back to the site's baseSalary when not set
+        baseSalary,
+        employment: { status: "active", effectiveFrom: joinDate, reason: null },
+        employmentHistory: [],
+        ledger: { balance: 0, entries: 0, updatedAt: null },
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await guardsCollection.insertOne(newGuard);
+      let created = await guardsCollection.findOne({ _id: result.insertedId });
+      await audit(req, "guard.create", { collection: "guards", id: created._id }, null, pii.decryptFields(created));
+
+      for (const transaction of initialTransactions) {
+        const posted = await ledger.post(created, transaction, { actor: req.user });
+        if (posted.ok) {
+          await audit(req, `guard.transaction.${posted.entry.type}`, { collection: "ledger", id: posted.entry._id }, null, publicEntry(posted.entry));
+        }
+      }
+
+      // Later entries for the same day win
+      for (const p of initialPresence) {
+        await auditPresence(req, await upsertPresence(created, p, req.user));
+      }
+
+      if (initialTransactions.length > 0) {
+        created = await guardsCollection.findOne({ _id: created._id });
+      }
+      res.status(201).json({ success: true, data: await revealGuard(req, created) });
+    } catch (err) {
+      console.error("Error creating guard:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PATCH /guards/:id - update static guard info (requires guards:update)
+  // Transactions and attendance have their own routes and are not accepted here
+  router.patch("/guards/:id", verifyToken, requirePermission("guards:update"), validateBody(GuardUpdateInput, { partial: true }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const updateFields = { ...req.body, updatedAt: new Date() };
+
+      if (updateFields.siteId !== undefined && !(await sitesCollection.findOne({ _id: updateFields.siteId }))) {
+        return sendValidationError(res, [{ field: "siteId", message: "Site not found" }]);
+      }
+
+      const contacts = await checkGuardContacts(updateFields, new ObjectId(id));
+      if (!contacts.ok) {
+        return sendError(res, contacts.status, contacts.message, { guardId: contacts.guardId });
+      }
+
+      const before = await guardsCollection.findOne({ _id: new ObjectId(id) });
+      const result = await guardsCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: pii.encryptFields(updateFields) }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "Guard not found");
+      }
+
+      const updatedGuard = await guardsCollection.findOne({ _id: new ObjectId(id) });
+      await audit(req, "guard.update", { collection: "guards", id: updatedGuard._id }, pii.decryptFields(before), pii.decryptFields(updatedGuard));
+      res.json({ success: true, data: await revealGuard(req, updatedGuard) });
+    } catch (err) {
+      console.error("Error updating guard:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGuardRouter };
@@ -0,0 +1,382 @@
+// Helpers shared by several route modules. The ones that need the database
+// are bound to it by createRouteHelpers(ctx) and reach the routes through ctx.
+
+const { ObjectId } = require("mongodb");
+const { canAccessSite, siteScopeFilter, hasPermission } = require("../middleware/permissions");
+const { parseMonth, resolveBaseSalary, computePayslip } = require("../services/payroll");
+const { sendError } = require("../utils/errors");
+const { DAY_MS, dayKey, localDay, expandAssignments } = require("../services/roster");
+const { buildSheet } = require("../services/attendance");
+const multer = require("multer");
+const { employmentStatusOn, employedDuring } = require("../services/employment");
+const {
+  DOCUMENT_MAX_BYTES,
+  checkFile,
+  documentKey,
+  publicDocument,
+} = require("../services/documents");
+const { PII_FIELDS, hashField, maskFields, piiFieldsOf } = require("../services/pii");
+
+// Guard documents are checked in memory before they go to storage
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_BYTES, files: 1 },
+});
+
+// siteId filter from ?siteId= limited to the user's sites, or { error }
+function siteQueryFilter(req) {
+  const filter = { ...siteScopeFilter(req.user) };
+  const { siteId } = req.query;
+  if (siteId) {
+    if (!ObjectId.isValid(siteId)) {
+      return { error: { status: 400, field: "siteId", message: "siteId must be a valid id" } };
+    }
+    if (!canAccessSite(req.user, siteId)) {
+      return { error: { status: 403, message: "Site is not one of your sites" } };
+    }
+    filter.siteId = new ObjectId(siteId);
+  }
+  return { filter };
+}
+
+function createRouteHelpers(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    shiftsCollection,
+    rosterAssignmentsCollection,
+    presenceCollection,
+    guardDocumentsCollection,
+    audit,
+    ledger,
+    events,
+    documentStorage,
+    pii,
+  } = ctx;
+
+  // Whether another guard (not `exceptId`) already has this NID or phone
+  // number, found by its lookup hash. Returns { ok } or
+  // { ok: false, status: 409, message, guardId }.
+  async function checkGuardContacts({ nid, phone }, exceptId = null) {
+    const checks = [["nid", nid, "NID"], ["phone", phone, "phone number"]];
+    for (const [field, value, label] of checks) {
+      if (!value) continue;
+      const other = await guardsCollection.findOne(
+        { [hashField(field)]: pii.hash(field, value), ...(exceptId && { _id: { $ne: exceptId } }) },
+        { projection: { _id: 1 } }
+      );
+      if (other) {
+        return { ok: false, status: 409, message: `Another guard has this ${label}`, guardId: other._id };
+      }
+    }
+    return { ok: true };
+  }
+
+  // `docs` from `collection` as the caller may see them: NIDs, phone numbers
+  // and addresses decrypted, and masked unless the caller has pii:view. Each
+  // unmasked read is recorded in the audit log. `idField` names the field
+  // holding the id of the record the values belong to.
+  async function revealPii(req, collection, docs, { idField = "_id" } = {}) {
+    const decrypted = docs.map(pii.decryptFields);
+    if (!hasPermission(req.user, "pii:view")) return decrypted.map(maskFields);
+
+    const read = decrypted.filter(doc => piiFieldsOf(doc).length > 0);
+    if (read.length > 0) {
+      const ids = read.map(doc => doc[idField]);
+      await audit(req, "pii.read", { collection, id: ids.length === 1 ? ids[0] : null }, null, {
+        ids,
+        fields: PII_FIELDS.filter(field => read.some(doc => piiFieldsOf(doc).includes(field))),
+      });
+    }
+    return decrypted;
+  }
+
+  const revealGuard = async (req, guard) => (await revealPii(req, "guards", [guard]))[0];
+
+  // Shift instances from assignments matching `filter` in [from, to)
+  async function loadInstances(filter, from, to) {
+    const assignments = await rosterAssignmentsCollection.find({
+      ...filter,
+      startDate: { $lt: to },
+      endDate: { $gte: new Date(from.getTime() - DAY_MS) },
+    }).toArray();
+
+    const shiftIds = [...new Set(assignments.map(a => String(a.shiftId)))].map(id => new ObjectId(id));
+    const shifts = await shiftsCollection.find({ _id: { $in: shiftIds } }).toArray();
+    const shiftsById = new Map(shifts.map(s => [String(s._id), s]));
+
+    return expandAssignments(assignments, shiftsById, from, to);
+  }
+
+  // Tell live subscribers about a created or corrected presence record
+  function publishPresence(outcome) {
+    const { record, previous } = outcome;
+    events.publish("presence", "presence.recorded", {
+      id: record._id,
+      guardId: record.guardId,
+      siteId: record.siteId,
+      date: dayKey(record.date),
+      status: record.status,
+      previousStatus: previous?.status || null,
+      result: outcome.result,
+      recordedBy: record.recordedBy,
+    }, { siteId: record.siteId });
+    return outcome;
+  }
+
+  // Create or correct a guard's presence record for the day of `date`,
+  // linked to the shift they were rostered on. Corrections keep the previous
+  // status and who changed it in `history`; re-sending the same status is a
+  // no-op. `leave` ({ requestId, type }) links a `leave` record to the
+  // approved request it comes from; a leave day covers every shift.
+  async function upsertPresence(guard, { date, status, note, shiftId, leave }, actor) {
+    const day = localDay(date);
+    if (employmentStatusOn(guard, day) === "terminated") {
+      return { ok: false, status: 400, message: "Guard was not employed on that day" };
+    }
+    const scheduled = await loadInstances({ guardId: guard._id }, day, new Date(day.getTime() + DAY_MS));
+
+    let instance = null;
+    if (shiftId) {
+      instance = scheduled.find(i => String(i.shiftId) === String(shiftId));
+      if (!instance) {
+        return { ok: false, status: 400, message: "Guard is not rostered on that shift that day" };
+      }
+    } else if (scheduled.length === 1) {
+      instance = scheduled[0];
+    } else if (scheduled.length > 1 && !leave) {
+      return { ok: false, status: 400, message: "Guard has several shifts that day; shiftId is required" };
+    }
+
+    const now = new Date();
+    let current = await presenceCollection.findOne({ guardId: guard._id, date: day });
+
+    // Leave days come from approved leave requests, which check the guard's
+    // balance; by hand a day can only stay on the leave it already has
+    if (status === "leave" && !leave && !current?.leaveRequestId) {
+      return { ok: false, status: 400, message: "Leave is recorded by approving a leave request" };
+    }
+
+    if (!current) {
+      const record = {
+        guardId: guard._id,
+        siteId: instance?.siteId || guard.siteId || null,
+        date: day,
+        status,
+        note: note || null,
+        shiftId: instance?.shiftId || null,
+        assignmentId: instance?.assignmentId || null,
+        leaveRequestId: leave?.requestId || null,
+        leaveType: leave?.type || null,
+        recordedBy: actor._id,
+        history: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      try {
+        const result = await presenceCollection.insertOne(record);
+        return publishPresence({ ok: true, result: "created", record: { _id: result.insertedId, ...record } });
+      } catch (err) {
+        // Recorded concurrently: treat this request as a correction
+        if (err.code !== 11000) throw err;
+        current = await presenceCollection.findOne({ guardId: guard._id, date: day });
+      }
+    }
+
+    const nextNote = note === undefined ? current.note : note || null;
+    const nextShiftId = instance?.shiftId || current.shiftId;
+    // A leave day re-recorded as leave stays linked to its request
+    const nextLeave = leave || (status === "leave" && current.leaveRequestId
+      ? { requestId: current.leaveRequestId, type: current.leaveType }
+      : null);
+    if (
+      current.status === status &&
+      current.note === nextNote &&
+      String(current.shiftId) === String(nextShiftId) &&
+      String(current.leaveRequestId ?? null) === String(nextLeave?.requestId ?? null)
+    ) {
+      return { ok: true, result: "unchanged", record: current };
+    }
+
+    await presenceCollection.updateOne(
+      { _id: current._id },
+      {
+        $set: {
+          status,
+          note: nextNote,
+          shiftId: nextShiftId,
+          assignmentId: instance?.assignmentId || current.assignmentId,
+          leaveRequestId: nextLeave?.requestId || null,
+          leaveType: nextLeave?.type || null,
+          updatedAt: now,
+        },
+        $push: {
+          history: {
+            from: { status: current.status, note: current.note },
+            to: { status, note: nextNote },
+            changedBy: actor._id,
+            changedAt: now,
+          },
+        },
+      }
+    );
+
+    const record = await presenceCollection.findOne({ _id: current._id });
+    return publishPresence({ ok: true, result: "corrected", record, previous: current });
+  }
+
+  // Audit entry for an upsertPresence outcome; unchanged records are skipped
+  async function auditPresence(req, outcome) {
+    if (!outcome.ok || outcome.result === "unchanged") return;
+    await audit(
+      req,
+      outcome.result === "created" ? "presence.create" : "presence.correct",
+      { collection: "presence", id: outcome.record._id },
+      outcome.previous || null,
+      outcome.record
+    );
+  }
+
+  // Attendance grid for ?month=&siteId= as seen by req.user, or { ok: false, ... }
+  async function loadAttendanceSheet(req) {
+    const { siteId } = req.query;
+    const period = parseMonth(req.query.month);
+    if (!period) {
+      return { ok: false, status: 400, field: "month", message: "month query param must be in YYYY-MM format" };
+    }
+
+    const guardFilter = { ...siteScopeFilter(req.user), ...employedDuring(period) };
+    if (siteId) {
+      if (!ObjectId.isValid(siteId)) {
+        return { ok: false, status: 400, field: "siteId", message: "siteId must be a valid id" };
+      }
+      if (!canAccessSite(req.user, siteId)) {
+        return { ok: false, status: 403, message: "Site is not one of your sites" };
+      }
+      guardFilter.siteId = new ObjectId(siteId);
+    }
+
+    const guards = await guardsCollection.find(guardFilter)
+      .project({ name: 1 })
+      .sort({ name: 1 })
+      .toArray();
+    const records = await presenceCollection.find({
+      guardId: { $in: guards.map(g => g._id) },
+      date: { $gte: period.start, $lt: period.end },
+    }).project({ guardId: 1, date: 1, status: 1 }).toArray();
+
+    return { ok: true, sheet: buildSheet(guards, records, period, dayKey) };
+  }
+
+  // Payslip of guard `id` for ?month=, or { ok: false, ... }
+  async function loadPayslip(id, month) {
+    const period = parseMonth(month);
+    if (!period) {
+      return { ok: false, status: 400, field: "month", message: "month query param must be in YYYY-MM format" };
+    }
+
+    const guard = await guardsCollection.findOne({ _id: new ObjectId(id) });
+    if (!guard) {
+      return { ok: false, status: 404, message: "Guard not found" };
+    }
+
+    const sites = await sitesCollection.find({}).toArray();
+    const baseSalary = resolveBaseSalary(guard, sites);
+    if (baseSalary === null) {
+      return { ok: false, status: 400, message: "No base salary configured for this guard or site" };
+    }
+
+    const [presence, entries] = await Promise.all([
+      presenceCollection.find({ guardId: guard._id, date: { $gte: period.start, $lt: period.end } }).toArray(),
+      ledger.activeEntries({
+        guardId: guard._id,
+        $or: [{ date: { $gte: period.start, $lt: period.end } }, { type: "salary", payrollMonth: month }],
+      }),
+    ]);
+
+    return {
+      ok: true,
+      guard,
+      site: sites.find(s => s._id.equals(guard.siteId)) || null,
+      payslip: computePayslip(guard, period, baseSalary, presence, { entries }),
+    };
+  }
+
+  // The guard with `id` if it exists and is on one of the caller's sites
+  const loadGuardForDocuments = async (req, id) => {
+    const guard = await guardsCollection.findOne({ _id: new ObjectId(id) }, { projection: { name: 1, siteId: 1 } });
+    if (!guard) {
+      return { ok: false, status: 404, message: "Guard not found" };
+    }
+    if (!canAccessSite(req.user, guard.siteId)) {
+      return { ok: false, status: 403, message: "Guard is not assigned to one of your sites" };
+    }
+    return { ok: true, guard };
+  };
+
+  // Check `file` (uploaded in form field `field`), put it in storage and
+  // record its metadata
+  const saveDocument = async (req, guard, file, { type, issuedAt = null, expiresAt = null, note = null }, field = "file") => {
+    const checked = checkFile(file, type, field);
+    if (!checked.ok) return checked;
+    if (issuedAt && expiresAt && expiresAt <= issuedAt) {
+      return { ok: false, status: 400, field: "expiresAt", message: "expiresAt must be after issuedAt" };
+    }
+
+    const key = documentKey(guard._id, checked.extension);
+    await documentStorage.put(key, file.buffer, checked.contentType);
+
+    const document = {
+      guardId: guard._id,
+      type,
+      originalName: file.originalname || `${type}${checked.extension}`,
+      contentType: checked.contentType,
+      size: file.size,
+      storage: documentStorage.name,
+      key,
+      issuedAt,
+      expiresAt,
+      note,
+      uploadedBy: req.user._id,
+      uploadedAt: new Date(),
+    };
+    const result = await guardDocumentsCollection.insertOne(document);
+    document._id = result.insertedId;
+    await audit(req, "guard.document.upload", { collection: "guardDocuments", id: document._id }, null, publicDocument(document));
+    return { ok: true, document };
+  };
+
+  // Send a stored document's file
+  const sendDocument = async (res, document, { download = true } = {}) => {
+    let stream;
+    try {
+      stream = await documentStorage.get(document.key);
+    } catch (err) {
+      console.error("Error reading stored document:", err);
+      return sendError(res, 404, "Document file is missing from storage");
+    }
+    res.set("Content-Type", document.contentType);
+    if (download) res.attachment(document.originalName);
+    stream.on("error", (err) => {
+      console.error("Error streaming document:", err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  };
+
+  return {
+    checkGuardContacts,
+    revealPii,
+    revealGuard,
+    loadInstances,
+    upsertPresence,
+    auditPresence,
+    loadAttendanceSheet,
+    loadPayslip,
+    loadGuardForDocuments,
+    saveDocument,
+    sendDocument,
+  };
+}
+
+module.exports = { documentUpload, siteQueryFilter, createRouteHelpers };
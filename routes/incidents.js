@@ -0,0 +1,562 @@
+// Incidents reported from guard posts, with a status workflow, comments,
+// photos and escalation of high-severity incidents.
+
+const express = require("express");
+const multer = require("multer");
+const { ObjectId } = require("mongodb");
+const {
+  ROLES,
+  getRole,
+  canAccessSite,
+  hasPermission,
+  holdersOfPermission,
+  requirePermission,
+} = require("../middleware/permissions");
+const { parseListQuery, dateRangeFilter, paginatedResponse } = require("../utils/listQuery");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { FORMATS, sendSpreadsheet } = require("../utils/spreadsheet");
+const { validateBody } = require("../middleware/validate");
+const {
+  IncidentInput,
+  IncidentUpdateInput,
+  IncidentStatusInput,
+  IncidentCommentInput,
+} = require("../schemas");
+const { UTC_OFFSET_MINUTES } = require("../services/roster");
+const { parseRange, instantRangeMatch } = require("../services/analytics");
+const { DOCUMENT_MAX_BYTES, checkFile } = require("../services/documents");
+const { authorOf } = require("../services/tickets");
+const {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  MAX_PHOTOS,
+  canChangeIncident,
+  needsEscalation,
+  photoKey,
+  publicIncident,
+  clientIncident,
+} = require("../services/incidents");
+const { siteQueryFilter } = require("./helpers");
+
+// Incident photos are checked in memory before they go to storage
+const incidentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_BYTES, files: MAX_PHOTOS },
+}).array("photos", MAX_PHOTOS);
+
+// Reports may be filed a little ahead of the server clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Details PATCH /incidents/:id may correct
+const UPDATABLE_FIELDS = ["category", "severity", "description", "occurredAt"];
+
+// "2026-10-19 21:30" at the sites
+const localTime = (instant) =>
+  new Date(new Date(instant).getTime() + UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 16).replace("T", " ");
+
+function createIncidentRouter(ctx) {
+  const {
+    usersCollection,
+    guardsCollection,
+    sitesCollection,
+    incidentsCollection,
+    verifyToken,
+    audit,
+    mailer,
+    events,
+    documentStorage,
+    sendDocument,
+  } = ctx;
+  const router = express.Router();
+
+  // Summary sent to live subscribers
+  const incidentEvent = (incident) => ({
+    id: incident._id,
+    guardId: incident.guardId,
+    siteId: incident.siteId,
+    category: incident.category,
+    severity: incident.severity,
+    status: incident.status,
+    occurredAt: incident.occurredAt,
+  });
+
+  const isReporter = (req, incident) => req.user._id.equals(incident.reportedBy);
+
+  // Incident :id if the caller may see it: staff with `permission` on its
+  // site, or the user who reported it when `allowReporter` is set
+  async function loadIncident(req, permission, { allowReporter = false } = {}) {
+    if (!ObjectId.isValid(req.params.id)) {
+      return { ok: false, status: 400, field: "id", message: "id must be a valid id" };
+    }
+    const incident = await incidentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!incident) {
+      return { ok: false, status: 404, message: "Incident not found" };
+    }
+    if (allowReporter && isReporter(req, incident)) {
+      return { ok: true, incident };
+    }
+    if (!hasPermission(req.user, permission)) {
+      return { ok: false, status: 403, message: `Permission required: ${permission}` };
+    }
+    if (!canAccessSite(req.user, incident.siteId)) {
+      return { ok: false, status: 403, message: "Incident is not at one of your sites" };
+    }
+    return { ok: true, incident };
+  }
+
+  // Check every uploaded photo, then put them in storage. Returns
+  // { ok, photos } or a validation failure; nothing is stored on failure.
+  async function storePhotos(req, incidentId, files = []) {
+    const checked = [];
+    for (const file of files) {
+      const result = checkFile(file, "photo", "photos");
+      if (!result.ok) return result;
+      checked.push({ file, ...result });
+    }
+
+    const photos = [];
+    for (const { file, contentType, extension } of checked) {
+      const key = photoKey(incidentId, extension);
+      try {
+        await documentStorage.put(key, file.buffer, contentType);
+      } catch (err) {
+        await removePhotos(photos);
+        throw err;
+      }
+      photos.push({
+        _id: new ObjectId(),
+        originalName: file.originalname || `photo${extension}`,
+        contentType,
+        size: file.size,
+        storage: documentStorage.name,
+        key,
+        uploadedBy: req.user._id,
+        uploadedAt: new Date(),
+      });
+    }
+    return { ok: true, photos };
+  }
+
+  // Take stored photos out of storage again when the incident could not be
+  // saved; a photo that cannot be removed is only logged
+  async function removePhotos(photos) {
+    await Promise.all(photos.map(photo => documentStorage.remove(photo.key).catch(err => {
+      console.error("Error removing incident photo:", err);
+    })));
+  }
+
+  // Email admins about a high-severity incident, once
+  async function escalate(incident) {
+    if (!needsEscalation(incident)) return incident;
+
+    const holders = await usersCollection.find(holdersOfPermission("incidents:manage"))
+      .project({ email: 1, role: 1, isAdmin: 1 })
+      .toArray();
+    const admins = holders.filter(u => ROLES[getRole(u)].isAdmin);
+    const escalated = await incidentsCollection.findOneAndUpdate(
+      { _id: incident._id, escalatedAt: null },
+      { $set: { escalatedAt: new Date(), escalatedTo: admins.map(u => u._id) } },
+      { returnDocument: "after" }
+    );
+    // Escalated concurrently
+    if (!escalated) return incident;
+
+    const [site, guard] = await Promise.all([
+      sitesCollection.findOne({ _id: incident.siteId }, { projection: { name: 1 } }),
+      guardsCollection.findOne({ _id: incident.guardId }, { projection: { name: 1 } }),
+    ]);
+    await mailer.enqueue("incident-escalation", admins.map(u => u.email), {
+      category: incident.category,
+      severity: incident.severity,
+      siteName: site?.name,
+      guardName: guard?.name,
+      description: incident.description,
+      occurredAt: incident.occurredAt,
+      incidentId: incident._id,
+    });
+    events.publish("incidents", "incident.escalated", incidentEvent(escalated), { siteId: escalated.siteId });
+    return escalated;
+  }
+
+  // POST /incidents - report an incident (JSON, or multipart with up to
+  // MAX_PHOTOS JPEG/PNG files in "photos"). Body: { category, severity,
+  // description, occurredAt?, guardId?, siteId? }. A guard reports for
+  // themselves at their own site; staff with incidents:manage name the guard.
+  router.post("/incidents", verifyToken, requirePermission("incidents:report"), incidentUpload, validateBody(IncidentInput), async (req, res) => {
+    try {
+      const { category, severity, description, occurredAt } = req.body;
+      const isStaff = hasPermission(req.user, "incidents:manage");
+
+      const guardId = req.body.guardId || req.user.guardId;
+      if (!guardId) {
+        return sendValidationError(res, [{ field: "guardId", message: "guardId is required" }]);
+      }
+      if (!isStaff && !(req.user.guardId && req.user.guardId.equals(guardId))) {
+        return sendError(res, 403, "You can only report incidents as yourself");
+      }
+      if (occurredAt > new Date(Date.now() + CLOCK_SKEW_MS)) {
+        return sendValidationError(res, [{ field: "occurredAt", message: "occurredAt cannot be in the future" }]);
+      }
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(guardId) }, { projection: { name: 1, siteId: 1 } });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+
+      const siteId = req.body.siteId || guard.siteId;
+      if (!siteId) {
+        return sendValidationError(res, [{ field: "siteId", message: "siteId is required for a guard without a site" }]);
+      }
+      if (!isStaff && !guard.siteId?.equals(siteId)) {
+        return sendError(res, 403, "You can only report incidents at your own site");
+      }
+      if (!canAccessSite(req.user, siteId)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+      const site = await sitesCollection.findOne({ _id: new ObjectId(siteId) }, { projection: { name: 1 } });
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      const _id = new ObjectId();
+      const stored = await storePhotos(req, _id, req.files);
+      if (!stored.ok) return sendFailure(res, stored);
+
+      const now = new Date();
+      const incident = {
+        _id,
+        guardId: guard._id,
+        siteId: site._id,
+        category,
+        severity,
+        description,
+        occurredAt,
+        status: "reported",
+        statusHistory: [],
+        comments: [],
+        photos: stored.photos,
+        reportedBy: req.user._id,
+        escalatedAt: null,
+        escalatedTo: [],
+        acknowledgedAt: null,
+        closedAt: null,
+        resolution: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      try {
+        await incidentsCollection.insertOne(incident);
+      } catch (err) {
+        await removePhotos(stored.photos);
+        throw err;
+      }
+      await audit(req, "incident.report", { collection: "incidents", id: _id }, null, publicIncident(incident));
+      events.publish("incidents", "incident.reported", incidentEvent(incident), { siteId: incident.siteId });
+
+      const saved = await escalate(incident);
+      res.status(201).json({ success: true, data: publicIncident(saved) });
+    } catch (err) {
+      console.error("Error reporting incident:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /incidents - incidents, newest first (supervisors: own sites only)
+  // ?siteId=&guardId=&status=&severity=&category=; ?from=&to= occurredAt;
+  // ?sort=occurredAt|createdAt; ?page=&limit=
+  router.get("/incidents", verifyToken, requirePermission("incidents:read"), async (req, res) => {
+    try {
+      const { guardId, status, severity, category } = req.query;
+      const errors = [];
+      const oneOf = (field, value, values) => {
+        if (value !== undefined && !values.includes(value)) {
+          errors.push({ field, message: `${field} must be one of: ${values.join(", ")}` });
+        }
+      };
+      oneOf("status", status, INCIDENT_STATUSES);
+      oneOf("severity", severity, INCIDENT_SEVERITIES);
+      oneOf("category", category, INCIDENT_CATEGORIES);
+      if (guardId !== undefined && !ObjectId.isValid(guardId)) {
+        errors.push({ field: "guardId", message: "guardId must be a valid id" });
+      }
+      const list = parseListQuery(req.query, { sortFields: ["occurredAt", "createdAt"], defaultSort: { occurredAt: -1 } });
+      if (list.error) errors.push(list.error);
+      const range = dateRangeFilter("occurredAt", req.query.from, req.query.to);
+      if (range.error) errors.push(range.error);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const scope = siteQueryFilter(req);
+      if (scope.error) return sendFailure(res, scope.error);
+
+      const filter = { ...range, ...scope.filter };
+      if (guardId) filter.guardId = new ObjectId(guardId);
+      if (status) filter.status = status;
+      if (severity) filter.severity = severity;
+      if (category) filter.category = category;
+
+      const [incidents, total] = await Promise.all([
+        incidentsCollection.find(filter)
+          .project({ comments: 0, statusHistory: 0 })
+          .sort(list.sort)
+          .skip(list.skip)
+          .limit(list.limit)
+          .toArray(),
+        incidentsCollection.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse({ data: incidents.map(publicIncident), total, page: list.page, limit: list.limit }));
+    } catch (err) {
+      console.error("Error fetching incidents:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /incidents/:id - one incident with its comments and status history
+  // (staff, or the user who reported it)
+  router.get("/incidents/:id", verifyToken, async (req, res) => {
+    try {
+      const loaded = await loadIncident(req, "incidents:read", { allowReporter: true });
+      if (!loaded.ok) return sendFailure(res, loaded);
+
+      res.json({ success: true, data: publicIncident(loaded.incident) });
+    } catch (err) {
+      console.error("Error fetching incident:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PATCH /incidents/:id - correct category, severity, description or
+  // occurredAt. Raising the severity to high escalates the incident.
+  router.patch("/incidents/:id", verifyToken, requirePermission("incidents:manage"), validateBody(IncidentUpdateInput, { partial: true }), async (req, res) => {
+    try {
+      const loaded = await loadIncident(req, "incidents:manage");
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { incident } = loaded;
+
+      // Only the fields the caller sent are changed
+      const changes = Object.fromEntries(
+        UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+      );
+      if (Object.keys(changes).length === 0) {
+        return sendValidationError(res, [{ field: "body", message: "Nothing to update" }]);
+      }
+      if (changes.occurredAt && changes.occurredAt > new Date(Date.now() + CLOCK_SKEW_MS)) {
+        return sendValidationError(res, [{ field: "occurredAt", message: "occurredAt cannot be in the future" }]);
+      }
+
+      const updated = await incidentsCollection.findOneAndUpdate(
+        { _id: incident._id },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      await audit(req, "incident.update", { collection: "incidents", id: incident._id }, publicIncident(incident), publicIncident(updated));
+      events.publish("incidents", "incident.updated", incidentEvent(updated), { siteId: updated.siteId });
+
+      const saved = await escalate(updated);
+      res.json({ success: true, data: publicIncident(saved) });
+    } catch (err) {
+      console.error("Error updating incident:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /incidents/:id/status - move an incident through reported →
+  // acknowledged → investigating → closed. Body: { status, note? }; closing
+  // needs the resolution as `note`, and a closed incident can be reopened
+  // for investigation.
+  router.post("/incidents/:id/status", verifyToken, requirePermission("incidents:manage"), validateBody(IncidentStatusInput), async (req, res) => {
+    try {
+      const loaded = await loadIncident(req, "incidents:manage");
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { incident } = loaded;
+      const { status, note } = req.body;
+
+      if (incident.status === status) {
+        return sendError(res, 400, `Incident is already ${status}`);
+      }
+      if (!canChangeIncident(incident.status, status)) {
+        return sendError(res, 400, `Cannot change incident status from ${incident.status} to ${status}`);
+      }
+
+      const now = new Date();
+      const set = { status, updatedAt: now };
+      if (status === "acknowledged" || (status === "investigating" && !incident.acknowledgedAt)) {
+        set.acknowledgedAt = now;
+        set.acknowledgedBy = req.user._id;
+      }
+      if (status === "closed") {
+        Object.assign(set, { closedAt: now, closedBy: req.user._id, resolution: note });
+      } else if (incident.status === "closed") {
+        Object.assign(set, { closedAt: null, closedBy: null, resolution: null });
+      }
+
+      const updated = await incidentsCollection.findOneAndUpdate(
+        { _id: incident._id, status: incident.status },
+        {
+          $set: set,
+          $push: { statusHistory: { from: incident.status, to: status, note, changedBy: req.user._id, changedAt: now } },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updated) {
+        return sendError(res, 409, "Incident status was changed in the meantime");
+      }
+      await audit(req, `incident.status.${status}`, { collection: "incidents", id: incident._id }, publicIncident(incident), publicIncident(updated));
+      events.publish("incidents", "incident.updated", {
+        ...incidentEvent(updated),
+        previousStatus: incident.status,
+      }, { siteId: updated.siteId });
+
+      res.json({ success: true, data: publicIncident(updated) });
+    } catch (err) {
+      console.error("Error changing incident status:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /incidents/:id/comments - add a comment (staff with
+  // incidents:manage, or the user who reported it). Body: { message }
+  router.post("/incidents/:id/comments", verifyToken, validateBody(IncidentCommentInput), async (req, res) => {
+    try {
+      const loaded = await loadIncident(req, "incidents:manage", { allowReporter: true });
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { incident } = loaded;
+
+      const now = new Date();
+      const comment = { _id: new ObjectId(), author: authorOf(req.user), message: req.body.message, createdAt: now };
+      await incidentsCollection.updateOne(
+        { _id: incident._id },
+        { $push: { comments: comment }, $set: { updatedAt: now } }
+      );
+      await audit(req, "incident.comment", { collection: "incidents", id: incident._id }, null, comment);
+
+      res.status(201).json({ success: true, data: comment });
+    } catch (err) {
+      console.error("Error commenting on incident:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /incidents/:id/photos - attach more photos (multipart "photos") to
+  // an open incident (staff with incidents:manage, or the reporter)
+  router.post("/incidents/:id/photos", verifyToken, incidentUpload, async (req, res) => {
+    try {
+      const loaded = await loadIncident(req, "incidents:manage", { allowReporter: true });
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { incident } = loaded;
+
+      if (incident.status === "closed") {
+        return sendError(res, 400, "Incident is closed");
+      }
+      if (!req.files || req.files.length === 0) {
+        return sendValidationError(res, [{ field: "photos", message: "Upload at least one photo in the photos field" }]);
+      }
+      if ((incident.photos || []).length + req.files.length > MAX_PHOTOS) {
+        return sendValidationError(res, [{ field: "photos", message: `An incident can have at most ${MAX_PHOTOS} photos` }]);
+      }
+
+      const stored = await storePhotos(req, incident._id, req.files);
+      if (!stored.ok) return sendFailure(res, stored);
+
+      let updated;
+      try {
+        updated = await incidentsCollection.findOneAndUpdate(
+          { _id: incident._id },
+          { $push: { photos: { $each: stored.photos } }, $set: { updatedAt: new Date() } },
+          { returnDocument: "after" }
+        );
+      } catch (err) {
+        await removePhotos(stored.photos);
+        throw err;
+      }
+      await audit(req, "incident.photos", { collection: "incidents", id: incident._id }, null, publicIncident(updated).photos);
+
+      res.status(201).json({ success: true, data: publicIncident(updated) });
+    } catch (err) {
+      console.error("Error adding incident photos:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /incidents/:id/photos/:photoId - a photo's file
+  router.get("/incidents/:id/photos/:photoId", verifyToken, async (req, res) => {
+    try {
+      const loaded = await loadIncident(req, "incidents:read", { allowReporter: true });
+      if (!loaded.ok) return sendFailure(res, loaded);
+
+      const photo = (loaded.incident.photos || []).find(p => String(p._id) === req.params.photoId);
+      if (!photo) {
+        return sendError(res, 404, "Photo not found");
+      }
+      await sendDocument(res, photo, { download: false });
+    } catch (err) {
+      console.error("Error fetching incident photo:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /sites/:id/incidents - a site's incident history to share with the
+  // client: category, severity, description, status and resolution only.
+  // ?from=&to= YYYY-MM-DD (default: all time); ?format=json|csv|xlsx
+  router.get("/sites/:id/incidents", verifyToken, requirePermission("incidents:read"), async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      if (format !== "json" && !FORMATS.includes(format)) {
+        return sendValidationError(res, [{ field: "format", message: `format must be one of: json, ${FORMATS.join(", ")}` }]);
+      }
+      const range = parseRange(req.query, { defaultDays: null });
+      if (range.error) return sendValidationError(res, [range.error]);
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return sendValidationError(res, [{ field: "id", message: "id must be a valid id" }]);
+      }
+      if (!canAccessSite(req.user, req.params.id)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+      const site = await sitesCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { name: 1, clientName: 1 } });
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      const incidents = await incidentsCollection.find({ siteId: site._id, ...instantRangeMatch("occurredAt", range) })
+        .sort({ occurredAt: -1 })
+        .toArray();
+      const data = incidents.map(clientIncident);
+
+      if (format === "json") {
+        return res.json({
+          success: true,
+          site: { id: site._id, name: site.name, clientName: site.clientName || null },
+          count: data.length,
+          data,
+        });
+      }
+
+      const columns = [
+        { key: "occurredAt", header: "Occurred" },
+        { key: "category", header: "Category" },
+        { key: "severity", header: "Severity" },
+        { key: "status", header: "Status" },
+        { key: "description", header: "Description" },
+        { key: "resolution", header: "Resolution" },
+        { key: "closedAt", header: "Closed" },
+      ];
+      const rows = data.map(i => ({
+        ...i,
+        occurredAt: localTime(i.occurredAt),
+        closedAt: i.closedAt ? localTime(i.closedAt) : "",
+      }));
+      await sendSpreadsheet(res, format, "incidents", columns, rows);
+    } catch (err) {
+      console.error("Error fetching site incidents:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createIncidentRouter };
@@ -0,0 +1,429 @@
+// Guard leave: requests, approvals and yearly balances.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, hasPermission, requirePermission } = require("../middleware/permissions");
+const { parseListQuery, paginatedResponse } = require("../utils/listQuery");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { LeaveRequestInput, LeaveDecisionInput } = require("../schemas");
+const { dayKey, localDay } = require("../services/roster");
+const { employmentStatus, employmentStatusOn } = require("../services/employment");
+const {
+  LEAVE_TYPES,
+  LEAVE_STATUSES,
+  OPEN_STATUSES,
+  leaveDays,
+  daysOf,
+  yearRange,
+  yearsOf,
+  parseYear,
+  leaveBalance,
+  checkBalance,
+  overlapping,
+  presenceBeforeLeave,
+} = require("../services/leave");
+const { siteQueryFilter } = require("./helpers");
+
+// Longest single request; longer absences are an employment status change
+const MAX_REQUEST_DAYS = 180;
+
+// Attendance that approved leave must not overwrite
+const WORKED_STATUSES = ["present", "late", "half-day"];
+
+function createLeaveRouter(ctx) {
+  const {
+    guardsCollection,
+    presenceCollection,
+    leaveRequestsCollection,
+    verifyToken,
+    audit,
+    leavePolicy,
+    upsertPresence,
+    auditPresence,
+  } = ctx;
+  const router = express.Router();
+
+  // Staff holding `permission` on the guard's site may act on a guard's
+  // leave, and so may the guard themselves (leave:self-request) when
+  // `allowSelf` is set
+  function checkGuardAccess(req, guard, permission, { allowSelf = true } = {}) {
+    const self = Boolean(req.user.guardId) && guard._id.equals(req.user.guardId);
+    if (allowSelf && self && hasPermission(req.user, "leave:self-request")) {
+      return { ok: true, self };
+    }
+    if (!hasPermission(req.user, permission)) {
+      return { ok: false, status: 403, message: `Permission required: ${permission}` };
+    }
+    if (!canAccessSite(req.user, guard.siteId)) {
+      return { ok: false, status: 403, message: "Guard is not assigned to one of your sites" };
+    }
+    return { ok: true, self };
+  }
+
+  // The guard with `id`, if the caller may act on their leave
+  async function loadGuard(req, id, permission) {
+    const guard = await guardsCollection.findOne({ _id: new ObjectId(id) });
+    if (!guard) {
+      return { ok: false, status: 404, message: "Guard not found" };
+    }
+    const access = checkGuardAccess(req, guard, permission);
+    return access.ok ? { ok: true, guard } : access;
+  }
+
+  // Leave request :id and its guard, if the caller may act on it
+  async function loadRequest(req, permission, options) {
+    const request = await leaveRequestsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!request) {
+      return { ok: false, status: 404, message: "Leave request not found" };
+    }
+    const guard = await guardsCollection.findOne({ _id: request.guardId });
+    if (!guard) {
+      return { ok: false, status: 404, message: "Guard not found" };
+    }
+    const access = checkGuardAccess(req, guard, permission, options);
+    return access.ok ? { ok: true, request, guard, self: access.self } : access;
+  }
+
+  // The guard's pending and approved requests with days in `years`
+  const openRequests = (guardId, years) => leaveRequestsCollection.find({
+    guardId,
+    status: { $in: OPEN_STATUSES },
+    from: { $lt: yearRange(Math.max(...years)).end },
+    to: { $gte: yearRange(Math.min(...years)).start },
+  }).toArray();
+
+  // GET /leave/policy - leave types and yearly allowances
+  router.get("/leave/policy", verifyToken, (_req, res) => {
+    res.json({ success: true, data: { types: LEAVE_TYPES, ...leavePolicy } });
+  });
+
+  // POST /guards/:id/leave - request leave for a guard (or for yourself as a
+  // guard). Body: { type, from, to, reason? }; `from` and `to` are days and
+  // both included. The request waits for approval.
+  router.post("/guards/:id/leave", verifyToken, validateBody(LeaveRequestInput), async (req, res) => {
+    try {
+      const loaded = await loadGuard(req, req.params.id, "leave:request");
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { guard } = loaded;
+      if (guard.archivedAt || employmentStatus(guard) === "terminated") {
+        return sendError(res, 400, "Guard is no longer employed");
+      }
+
+      const { type, reason } = req.body;
+      const from = localDay(req.body.from);
+      const to = localDay(req.body.to);
+      if (to < from) {
+        return sendValidationError(res, [{ field: "to", message: "to must not be before from" }]);
+      }
+      if (leaveDays(from, to) > MAX_REQUEST_DAYS) {
+        return sendValidationError(res, [{ field: "to", message: `A request can cover at most ${MAX_REQUEST_DAYS} days` }]);
+      }
+      if (guard.joinDate && from < localDay(guard.joinDate)) {
+        return sendValidationError(res, [{ field: "from", message: "Leave cannot start before the guard's join date" }]);
+      }
+
+      const clash = await leaveRequestsCollection.findOne(overlapping(guard._id, { from, to }));
+      if (clash) {
+        return sendError(res, 409, `Overlaps ${clash.status} leave from ${dayKey(clash.from)} to ${dayKey(clash.to)}`, {
+          conflictId: clash._id,
+        });
+      }
+
+      const now = new Date();
+      const request = {
+        guardId: guard._id,
+        siteId: guard.siteId || null,
+        type,
+        from,
+        to,
+        days: leaveDays(from, to),
+        reason,
+        status: "pending",
+        requestedBy: req.user._id,
+        requestedAt: now,
+        decidedBy: null,
+        decidedAt: null,
+        decisionNote: null,
+        updatedAt: now,
+      };
+      const balance = checkBalance(leavePolicy, guard, request, await openRequests(guard._id, yearsOf(request)));
+      if (!balance.ok) return sendFailure(res, balance);
+
+      const result = await leaveRequestsCollection.insertOne(request);
+      request._id = result.insertedId;
+      await audit(req, "leave.request", { collection: "leaveRequests", id: request._id }, null, request);
+
+      res.status(201).json({ success: true, data: request });
+    } catch (err) {
+      console.error("Error requesting leave:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/leave?year=YYYY&status= - a guard's leave requests with
+  // days in the year (default: this year)
+  router.get("/guards/:id/leave", verifyToken, async (req, res) => {
+    try {
+      const { year, error } = parseYear(req.query.year);
+      if (error) return sendValidationError(res, [error]);
+      const { status } = req.query;
+      if (status !== undefined && !LEAVE_STATUSES.includes(status)) {
+        return sendValidationError(res, [{ field: "status", message: `status must be one of: ${LEAVE_STATUSES.join(", ")}` }]);
+      }
+
+      const loaded = await loadGuard(req, req.params.id, "attendance:read");
+      if (!loaded.ok) return sendFailure(res, loaded);
+
+      const { start, end } = yearRange(year);
+      const requests = await leaveRequestsCollection.find({
+        guardId: loaded.guard._id,
+        from: { $lt: end },
+        to: { $gte: start },
+        ...(status ? { status } : {}),
+      }).sort({ from: -1 }).toArray();
+
+      res.json({ success: true, year, count: requests.length, data: requests });
+    } catch (err) {
+      console.error("Error fetching leave requests:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/leave/balance?year=YYYY - allowance, taken, pending and
+  // remaining days per leave type
+  router.get("/guards/:id/leave/balance", verifyToken, async (req, res) => {
+    try {
+      const { year, error } = parseYear(req.query.year);
+      if (error) return sendValidationError(res, [error]);
+
+      const loaded = await loadGuard(req, req.params.id, "attendance:read");
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { guard } = loaded;
+
+      const requests = await openRequests(guard._id, [year]);
+      res.json({
+        success: true,
+        data: { guardId: guard._id, year, balances: leaveBalance(leavePolicy, guard, year, requests) },
+      });
+    } catch (err) {
+      console.error("Error computing leave balance:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /leave?status=pending&type=&siteId= - leave requests to decide, oldest
+  // first (supervisors: own sites only); ?page=&limit=&sort=
+  router.get("/leave", verifyToken, requirePermission("leave:approve"), async (req, res) => {
+    try {
+      const { status = "pending", type } = req.query;
+      const errors = [];
+      if (!LEAVE_STATUSES.includes(status)) {
+        errors.push({ field: "status", message: `status must be one of: ${LEAVE_STATUSES.join(", ")}` });
+      }
+      if (type !== undefined && !LEAVE_TYPES.includes(type)) {
+        errors.push({ field: "type", message: `type must be one of: ${LEAVE_TYPES.join(", ")}` });
+      }
+      const list = parseListQuery(req.query, { sortFields: ["from", "requestedAt"], defaultSort: { requestedAt: 1 } });
+      if (list.error) errors.push(list.error);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const scope = siteQueryFilter(req);
+      if (scope.error) return sendFailure(res, scope.error);
+
+      const filter = { ...scope.filter, status, ...(type ? { type } : {}) };
+      const [requests, total] = await Promise.all([
+        leaveRequestsCollection.find(filter).sort(list.sort).skip(list.skip).limit(list.limit).toArray(),
+        leaveRequestsCollection.countDocuments(filter),
+      ]);
+
+      const guards = await guardsCollection.find({ _id: { $in: requests.map(r => r.guardId) } })
+        .project({ name: 1 })
+        .toArray();
+      const names = new Map(guards.map(g => [String(g._id), g.name]));
+      const data = requests.map(r => ({ ...r, guardName: names.get(String(r.guardId)) || null }));
+
+      res.json(paginatedResponse({ data, total, page: list.page, limit: list.limit }));
+    } catch (err) {
+      console.error("Error fetching leave requests:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /leave/:id/approve - approve a pending request. Body: { note? }.
+  // Each day is recorded as `leave` presence; days already recorded as absent
+  // are corrected to leave.
+  router.post("/leave/:id/approve", verifyToken, requirePermission("leave:approve"), validateBody(LeaveDecisionInput), async (req, res) => {
+    try {
+      const loaded = await loadRequest(req, "leave:approve", { allowSelf: false });
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { request, guard } = loaded;
+      if (request.status !== "pending") {
+        return sendError(res, 409, `Leave request is already ${request.status}`);
+      }
+
+      const days = daysOf(request);
+      const unemployed = days.find(day => employmentStatusOn(guard, day) === "terminated");
+      if (unemployed) {
+        return sendError(res, 400, `Guard is not employed on ${dayKey(unemployed)}`);
+      }
+      const worked = await presenceCollection.find({
+        guardId: guard._id,
+        date: { $gte: request.from, $lte: request.to },
+        status: { $in: WORKED_STATUSES },
+      }).project({ date: 1, status: 1 }).sort({ date: 1 }).toArray();
+      if (worked.length > 0) {
+        return sendError(res, 409, "Guard has attendance recorded on some of these days; correct it first", {
+          days: worked.map(p => ({ date: dayKey(p.date), status: p.status })),
+        });
+      }
+
+      const balance = checkBalance(leavePolicy, guard, request, await openRequests(guard._id, yearsOf(request)));
+      if (!balance.ok) return sendFailure(res, balance);
+
+      const now = new Date();
+      const approved = await leaveRequestsCollection.findOneAndUpdate(
+        { _id: request._id, status: "pending" },
+        { $set: { status: "approved", decidedBy: req.user._id, decidedAt: now, decisionNote: req.body.note, updatedAt: now } },
+        { returnDocument: "after" }
+      );
+      if (!approved) {
+        return sendError(res, 409, "Leave request was decided in the meantime");
+      }
+      await audit(req, "leave.approve", { collection: "leaveRequests", id: request._id }, request, approved);
+
+      const summary = { created: 0, corrected: 0, unchanged: 0 };
+      const failed = [];
+      for (const day of days) {
+        const outcome = await upsertPresence(
+          guard,
+          { date: day, status: "leave", note: `${request.type} leave`, leave: { requestId: request._id, type: request.type } },
+          req.user
+        );
+        if (!outcome.ok) {
+          failed.push({ date: dayKey(day), message: outcome.message });
+          continue;
+        }
+        await auditPresence(req, outcome);
+        summary[outcome.result]++;
+      }
+
+      res.json({ success: true, data: approved, presence: { ...summary, failed } });
+    } catch (err) {
+      console.error("Error approving leave:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /leave/:id/reject - reject a pending request. Body: { note }
+  router.post("/leave/:id/reject", verifyToken, requirePermission("leave:approve"), validateBody(LeaveDecisionInput), async (req, res) => {
+    try {
+      if (!req.body.note) {
+        return sendValidationError(res, [{ field: "note", message: "note is required to reject a leave request" }]);
+      }
+
+      const loaded = await loadRequest(req, "leave:approve", { allowSelf: false });
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { request } = loaded;
+
+      const now = new Date();
+      const rejected = await leaveRequestsCollection.findOneAndUpdate(
+        { _id: request._id, status: "pending" },
+        { $set: { status: "rejected", decidedBy: req.user._id, decidedAt: now, decisionNote: req.body.note, updatedAt: now } },
+        { returnDocument: "after" }
+      );
+      if (!rejected) {
+        return sendError(res, 409, `Leave request is already ${request.status === "pending" ? "decided" : request.status}`);
+      }
+      await audit(req, "leave.reject", { collection: "leaveRequests", id: request._id }, request, rejected);
+
+      res.json({ success: true, data: rejected });
+    } catch (err) {
+      console.error("Error rejecting leave:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /leave/:id/cancel - withdraw a pending request (the guard or staff
+  // with leave:request), or cancel approved leave that has not started yet
+  // (leave:approve). Its presence records are removed, or put back to what
+  // they were when the approval corrected them. Body: { note? }
+  router.post("/leave/:id/cancel", verifyToken, validateBody(LeaveDecisionInput), async (req, res) => {
+    try {
+      const loaded = await loadRequest(req, "leave:request");
+      if (!loaded.ok) return sendFailure(res, loaded);
+      const { request, guard } = loaded;
+
+      if (request.status === "approved") {
+        const access = checkGuardAccess(req, guard, "leave:approve", { allowSelf: false });
+        if (!access.ok) return sendFailure(res, access);
+        if (request.from <= localDay(new Date())) {
+          return sendError(res, 400, "Leave that has started cannot be cancelled; correct the attendance instead");
+        }
+      } else if (request.status !== "pending") {
+        return sendError(res, 409, `Leave request is already ${request.status}`);
+      }
+
+      const now = new Date();
+      const cancelled = await leaveRequestsCollection.findOneAndUpdate(
+        { _id: request._id, status: request.status },
+        {
+          $set: { status: "cancelled", cancelledBy: req.user._id, cancelledAt: now, cancelNote: req.body.note, updatedAt: now },
+        },
+        { returnDocument: "after" }
+      );
+      if (!cancelled) {
+        return sendError(res, 409, "Leave request was changed in the meantime");
+      }
+
+      let removedPresence = 0;
+      let restoredPresence = 0;
+      if (request.status === "approved") {
+        const records = await presenceCollection.find({ leaveRequestId: request._id }).toArray();
+        for (const record of records) {
+          const earlier = presenceBeforeLeave(record);
+          if (!earlier) {
+            await presenceCollection.deleteOne({ _id: record._id });
+            await audit(req, "presence.delete", { collection: "presence", id: record._id }, record, null);
+            removedPresence++;
+            continue;
+          }
+
+          const restored = await presenceCollection.findOneAndUpdate(
+            { _id: record._id },
+            {
+              $set: { status: earlier.status, note: earlier.note, leaveRequestId: null, leaveType: null, updatedAt: now },
+              $push: {
+                history: {
+                  from: { status: record.status, note: record.note },
+                  to: { status: earlier.status, note: earlier.note },
+                  changedBy: req.user._id,
+                  changedAt: now,
+                },
+              },
+            },
+            { returnDocument: "after" }
+          );
+          await audit(req, "presence.restore", { collection: "presence", id: record._id }, record, restored);
+          restoredPresence++;
+        }
+      }
+      await audit(req, "leave.cancel", { collection: "leaveRequests", id: request._id }, request, {
+        ...cancelled,
+        removedPresence,
+        restoredPresence,
+      });
+
+      res.json({ success: true, data: cancelled, removedPresence, restoredPresence });
+    } catch (err) {
+      console.error("Error cancelling leave:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLeaveRouter };
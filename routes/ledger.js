@@ -0,0 +1,184 @@
+// Guard money transactions, kept in the ledger (see services/ledger.js).
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, requirePermission } = require("../middleware/permissions");
+const { round2 } = require("../services/payroll");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { TransactionInput, ReversalInput } = require("../schemas");
+const { DAY_MS, dayKey } = require("../services/roster");
+const { parseRange, instantRangeMatch } = require("../services/analytics");
+const {
+  publicEntry,
+  parseIdempotencyKey,
+  requestHash,
+  statementPipeline,
+  balancesPipeline,
+} = require("../services/ledger");
+const { siteQueryFilter } = require("./helpers");
+
+function createLedgerRouter(ctx) {
+  const { guardsCollection, ledgerCollection, verifyToken, audit, ledger } = ctx;
+  const router = express.Router();
+
+  // Send the result of ledger.post() or ledger.reverse(); a retried request
+  // gets the original entry with 200 and an Idempotent-Replayed header
+  function sendLedgerResult(res, result) {
+    if (!result.ok) return sendFailure(res, result);
+    if (!result.created) res.set("Idempotent-Replayed", "true");
+    res.status(result.created ? 201 : 200).json({ success: true, data: publicEntry(result.entry) });
+  }
+
+  // Keep the body as the client sent it, before validateBody() fills in
+  // defaults such as the date, so a retry of the same request hashes the same
+  const keepSentBody = (req, _res, next) => {
+    req.sentBody = req.body;
+    next();
+  };
+
+  // POST /guards/:id/transactions - post a transaction to the guard's ledger
+  // (requires transactions:create). Send an Idempotency-Key header to make
+  // retries safe.
+  router.post("/guards/:id/transactions", verifyToken, requirePermission("transactions:create"), keepSentBody, validateBody(TransactionInput), async (req, res) => {
+    try {
+      const { key, error } = parseIdempotencyKey(req.get("Idempotency-Key"));
+      if (error) return sendValidationError(res, [error]);
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { siteId: 1 } });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+
+      const result = await ledger.post(guard, req.body, {
+        actor: req.user,
+        idempotencyKey: key,
+        hash: requestHash(req.path, req.sentBody),
+      });
+      if (result.ok && result.created) {
+        await audit(req, `guard.transaction.${result.entry.type}`, { collection: "ledger", id: result.entry._id }, null, publicEntry(result.entry));
+      }
+      sendLedgerResult(res, result);
+    } catch (err) {
+      console.error("Error adding transaction:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /guards/:id/transactions/:entryId/reverse - cancel an entry with a
+  // reversal entry. Body: { reason }. Accepts an Idempotency-Key header.
+  router.post("/guards/:id/transactions/:entryId/reverse", verifyToken, requirePermission("transactions:create"), keepSentBody, validateBody(ReversalInput), async (req, res) => {
+    try {
+      const { key, error } = parseIdempotencyKey(req.get("Idempotency-Key"));
+      if (error) return sendValidationError(res, [error]);
+
+      const original = await ledgerCollection.findOne({
+        _id: new ObjectId(req.params.entryId),
+        guardId: new ObjectId(req.params.id),
+      });
+      if (!original) {
+        return sendError(res, 404, "Transaction not found");
+      }
+
+      const result = await ledger.reverse(original, {
+        reason: req.body.reason,
+        actor: req.user,
+        idempotencyKey: key,
+        hash: requestHash(req.path, req.sentBody),
+      });
+      if (result.ok && result.created) {
+        await audit(req, "guard.transaction.reversal", { collection: "ledger", id: result.entry._id }, null, publicEntry(result.entry));
+      }
+      sendLedgerResult(res, result);
+    } catch (err) {
+      console.error("Error reversing transaction:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/statement - the guard's ledger entries with the balance
+  // after each, plus opening and closing balances
+  // ?from=&to= (YYYY-MM-DD, default: all time)
+  router.get("/guards/:id/statement", verifyToken, requirePermission("payroll:read"), async (req, res) => {
+    try {
+      const range = parseRange(req.query, { defaultDays: null });
+      if (range.error) {
+        return sendValidationError(res, [range.error]);
+      }
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { name: 1, siteId: 1, ledger: 1 } });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (!canAccessSite(req.user, guard.siteId)) {
+        return sendError(res, 403, "Guard is not assigned to one of your sites");
+      }
+
+      const { date } = instantRangeMatch("date", range) || {};
+      const [before] = date?.$gte
+        ? await ledgerCollection.aggregate([
+          { $match: { guardId: guard._id, date: { $lt: date.$gte } } },
+          { $group: { _id: null, balance: { $sum: "$effect" } } },
+        ]).toArray()
+        : [];
+      const opening = round2(before?.balance || 0);
+
+      const rows = await ledgerCollection.aggregate(
+        statementPipeline(guard._id, { from: date?.$gte || null, to: date?.$lt || null })
+      ).toArray();
+      const entries = rows.map(({ runningEffect, ...entry }) => ({ ...entry, balance: round2(opening + runningEffect) }));
+
+      res.json({
+        success: true,
+        data: {
+          guardId: guard._id,
+          name: guard.name,
+          from: range.from && dayKey(range.from),
+          to: range.to && dayKey(new Date(range.to.getTime() - DAY_MS)),
+          openingBalance: opening,
+          closingBalance: entries.length > 0 ? entries[entries.length - 1].balance : opening,
+          currentBalance: round2(guard.ledger?.balance || 0),
+          count: entries.length,
+          entries,
+        },
+      });
+    } catch (err) {
+      console.error("Error building statement:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /ledger/balances - every guard's opening balance, increases,
+  // decreases and closing balance over a date range
+  // ?from=&to= (YYYY-MM-DD, default: all time); ?siteId=
+  router.get("/ledger/balances", verifyToken, requirePermission("payroll:read"), async (req, res) => {
+    try {
+      const range = parseRange(req.query, { defaultDays: null });
+      if (range.error) {
+        return sendValidationError(res, [range.error]);
+      }
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      const { date } = instantRangeMatch("date", range) || {};
+      const data = await ledgerCollection.aggregate(
+        balancesPipeline({ from: date?.$gte || null, to: date?.$lt || null }, filter)
+      ).toArray();
+
+      res.json({
+        success: true,
+        from: range.from && dayKey(range.from),
+        to: range.to && dayKey(new Date(range.to.getTime() - DAY_MS)),
+        count: data.length,
+        data,
+      });
+    } catch (err) {
+      console.error("Error fetching ledger balances:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLedgerRouter };
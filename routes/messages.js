@@ -0,0 +1,455 @@
+// Contact-form messages and the staff ticket workflow around them.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  hasPermission,
+  holdersOfPermission,
+  requirePermission,
+  isSelfOrPermitted,
+} = require("../middleware/permissions");
+const {
+  parseListQuery,
+  searchFilter,
+  dateRangeFilter,
+  parseBoolean,
+  paginatedResponse,
+} = require("../utils/listQuery");
+const { sendError, sendValidationError } = require("../utils/errors");
+const { requestLanguage, localize } = require("../utils/i18n");
+const { validateBody } = require("../middleware/validate");
+const {
+  MessageInput,
+  MessageUpdateInput,
+  MessageReplyInput,
+  MessageNoteInput,
+} = require("../schemas");
+const { EMAIL_REGEX, MESSAGE_STATUSES } = require("../schemas/message");
+const {
+  UNREAD_MESSAGES,
+  canTransition,
+  statusChange,
+  statusAfterReply,
+  authorOf,
+  senderView,
+} = require("../services/tickets");
+const { botCheck } = require("../middleware/botCheck");
+const {
+  DUPLICATE_WINDOW_HOURS,
+  scoreMessage,
+  contentHash,
+  findDuplicate,
+} = require("../services/spam");
+
+function createMessageRouter(ctx) {
+  const {
+    usersCollection,
+    usersMessagesCollection,
+    verifyToken,
+    optionalToken,
+    audit,
+    mailer,
+    events,
+    contactLimiters,
+    revealPii,
+  } = ctx;
+  const router = express.Router();
+
+  // What live subscribers see of a message (see services/events.js)
+  const messageEvent = (message) => ({
+    id: message._id,
+    name: message.name,
+    email: message.email,
+    preview: message.message.slice(0, 200),
+    status: message.status,
+    isRead: message.isRead,
+    assignedTo: message.assignedTo || null,
+    createdAt: message.createdAt,
+  });
+
+  // Push the unread count to live subscribers
+  async function publishUnread() {
+    if (!events.hasSubscribers("unread")) return;
+    const unreadCount = await usersMessagesCollection.countDocuments(UNREAD_MESSAGES);
+    events.publish("unread", "unread.count", { unreadCount });
+  }
+
+  // Acknowledge a new (or released) message to its sender and alert staff
+  async function notifyNewMessage(messageDoc) {
+    const { _id, name, email, phone, message, language } = messageDoc;
+    await mailer.enqueue("message-acknowledgement", email, { name, message, language });
+
+    const staff = await usersCollection.find(holdersOfPermission("messages:update"))
+      .project({ email: 1 })
+      .toArray();
+    await mailer.enqueue("new-message-alert", staff.map(u => u.email), {
+      name,
+      email,
+      phone,
+      message,
+      messageId: _id,
+    });
+  }
+
+  // POST /users-message - Save user message from contact form
+  // Rate limited per IP and per email. Repeats of the sender's recent
+  // messages are refused, and likely spam is stored with status "spam".
+  // With a bearer token the message joins the signed-in user's thread;
+  // a userEmail in the body is ignored.
+  router.post("/users-message", contactLimiters[0], botCheck, optionalToken, validateBody(MessageInput), contactLimiters[1], async (req, res) => {
+    try {
+      const { name, email, phone, message, userId } = req.body;
+
+      const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+      const recent = await usersMessagesCollection.find({
+        createdAt: { $gte: since },
+        $or: [{ email }, { ip: req.ip }],
+      })
+        .project({ message: 1 })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .toArray();
+      if (findDuplicate(message, recent)) {
+        return sendError(res, 409, "You have already sent us this message. We'll get back to you soon.");
+      }
+
+      // The same text from other senders points to a spam run
+      const hash = contentHash(message);
+      const signals = [...req.botSignals];
+      if (await usersMessagesCollection.countDocuments({ contentHash: hash, createdAt: { $gte: since } }) >= 2) {
+        signals.push("repeated-content");
+      }
+      const spam = scoreMessage({ name, message }, signals);
+
+      // Create new message document
+      const newMessage = {
+        name,
+        email,
+        phone: phone || null,
+        message,
+        userId: userId || null,
+        // Only a signed-in sender's messages show up in their thread
+        userEmail: req.user?.email || null,
+        status: spam.isSpam ? "spam" : "new", // new, in-progress, resolved, spam
+        spam: { score: spam.score, reasons: spam.reasons },
+        contentHash: hash,
+        ip: req.ip || null,
+        userAgent: req.get("user-agent") || null,
+        // Replies to the sender are emailed in this language
+        language: requestLanguage(req),
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        isRead: false,
+        // Ticket handling (see services/tickets.js)
+        assignedTo: null,
+        thread: [],
+        notes: [],
+        statusHistory: []
+      };
+
+      // Insert into MongoDB
+      const result = await usersMessagesCollection.insertOne(newMessage);
+
+      if (result.acknowledged) {
+        await audit(req, "message.create", { collection: "usersMessages", id: result.insertedId }, null, newMessage);
+
+        if (!spam.isSpam) {
+          await notifyNewMessage({ _id: result.insertedId, ...newMessage });
+          events.publish("messages", "message.created", messageEvent({ _id: result.insertedId, ...newMessage }));
+          await publishUnread();
+        }
+
+        // The sender is never told that their message was held as spam
+        return res.status(201).json({
+          success: true,
+          message: localize(req, "Thank you for your message! We'll get back to you soon."),
+          data: {
+            id: result.insertedId,
+            ...senderView(newMessage)
+          }
+        });
+      } else {
+        throw new Error("Failed to save message");
+      }
+    } catch (err) {
+      console.error("Error saving user message:", err);
+      sendError(res, 500, "Failed to submit your message. Please try again later.");
+    }
+  });
+
+  // GET /all-users-messages - List messages (requires messages:read)
+  // ?q= searches message, name and email; ?status=&isRead=&from=&to= filter;
+  // ?assignedTo=me|none|<userId>; ?sort=createdAt|updatedAt|status; ?page=&limit=
+  router.get("/all-users-messages", verifyToken, requirePermission("messages:read"), async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, { sortFields: ["createdAt", "updatedAt", "status"] });
+      if (list.error) {
+        return sendValidationError(res, [list.error]);
+      }
+
+      const created = dateRangeFilter("createdAt", req.query.from, req.query.to);
+      if (created.error) {
+        return sendValidationError(res, [created.error]);
+      }
+
+      const { status } = req.query;
+      if (status && !MESSAGE_STATUSES.includes(status)) {
+        return sendValidationError(res, [{ field: "status", message: `status must be one of: ${MESSAGE_STATUSES.join(", ")}` }]);
+      }
+
+      const filter = {
+        ...searchFilter(req.query.q, ["message", "name", "email"]),
+        ...created,
+      };
+      // Spam is only listed when asked for with ?status=spam
+      filter.status = status || { $ne: "spam" };
+      const isRead = parseBoolean(req.query.isRead);
+      if (isRead !== undefined) filter.isRead = isRead;
+
+      const { assignedTo } = req.query;
+      if (assignedTo === "me") {
+        filter.assignedTo = req.user._id;
+      } else if (assignedTo === "none") {
+        filter.assignedTo = null;
+      } else if (assignedTo) {
+        if (!ObjectId.isValid(assignedTo)) {
+          return sendValidationError(res, [{ field: "assignedTo", message: "assignedTo must be me, none or a user id" }]);
+        }
+        filter.assignedTo = new ObjectId(assignedTo);
+      }
+
+      const [messages, total, unread, spamCount] = await Promise.all([
+        usersMessagesCollection.find(filter)
+          .sort(list.sort)
+          .skip(list.skip)
+          .limit(list.limit)
+          .toArray(),
+        usersMessagesCollection.countDocuments(filter),
+        usersMessagesCollection.countDocuments(UNREAD_MESSAGES),
+        usersMessagesCollection.countDocuments({ status: "spam" }),
+      ]);
+
+      res.json({
+        ...paginatedResponse({ data: await revealPii(req, "usersMessages", messages), total, page: list.page, limit: list.limit }),
+        unreadCount: unread,
+        spamCount,
+      });
+    } catch (err) {
+      console.error("Error fetching messages:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PATCH /users-messages/:id - Update message status, isRead or assignee (requires messages:update)
+  // Status changes must follow the allowed transitions and are kept in statusHistory
+  router.patch("/users-messages/:id", verifyToken, requirePermission("messages:update"), validateBody(MessageUpdateInput, { partial: true }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, isRead, assignedTo } = req.body;
+
+      // If no fields are provided to update
+      if (status === undefined && isRead === undefined && assignedTo === undefined) {
+        return sendError(res, 400, "No valid update fields provided");
+      }
+
+      const before = await usersMessagesCollection.findOne({ _id: new ObjectId(id) });
+      if (!before) {
+        return sendError(res, 404, "Message not found");
+      }
+
+      // Build dynamic update object
+      const now = new Date();
+      const updateData = {
+        updatedAt: now
+      };
+      const update = { $set: updateData };
+
+      if (status !== undefined && status !== (before.status || "new")) {
+        if (!canTransition(before.status, status)) {
+          return sendValidationError(res, [{ field: "status", message: `status cannot change from ${before.status || "new"} to ${status}` }]);
+        }
+        updateData.status = status;
+        updateData.statusChangedAt = now;
+        update.$push = { statusHistory: statusChange(before.status, status, req.user, now) };
+      }
+      if (isRead !== undefined) updateData.isRead = isRead;
+      if (assignedTo !== undefined) {
+        if (assignedTo !== null) {
+          const assignee = await usersCollection.findOne({ _id: assignedTo });
+          if (!assignee || !hasPermission(assignee, "messages:update")) {
+            return sendValidationError(res, [{ field: "assignedTo", message: "assignedTo must be a staff user who handles messages" }]);
+          }
+        }
+        updateData.assignedTo = assignedTo;
+        updateData.assignedAt = assignedTo ? now : null;
+      }
+
+      await usersMessagesCollection.updateOne({ _id: before._id }, update);
+
+      const updatedMessage = await usersMessagesCollection.findOne({ _id: new ObjectId(id) });
+      await audit(req, "message.update", { collection: "usersMessages", id: updatedMessage._id }, before, updatedMessage);
+
+      // Released from spam: send what was held back
+      if (before.status === "spam" && updatedMessage.status === "new") {
+        await notifyNewMessage(updatedMessage);
+      }
+
+      events.publish("messages", "message.updated", {
+        ...messageEvent(updatedMessage),
+        previousStatus: before.status || "new",
+        changedBy: req.user._id,
+      });
+      await publishUnread();
+
+      res.json({
+        success: true,
+        message: localize(req, "Message updated successfully"),
+        data: (await revealPii(req, "usersMessages", [updatedMessage]))[0]
+      });
+
+    } catch (err) {
+      console.error("Error updating message:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /users-messages/:id/replies - Reply in a message's thread, as staff
+  // (messages:update) or as the user who sent the message
+  router.post("/users-messages/:id/replies", verifyToken, validateBody(MessageReplyInput), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const ticket = await usersMessagesCollection.findOne({ _id: new ObjectId(id) });
+      if (!ticket) {
+        return sendError(res, 404, "Message not found");
+      }
+
+      const isStaff = hasPermission(req.user, "messages:update");
+      if (!isStaff && req.user.email !== ticket.userEmail) {
+        return sendError(res, 403, "Cannot reply to another user's message");
+      }
+
+      const from = isStaff ? "staff" : "user";
+      const now = new Date();
+      const reply = {
+        _id: new ObjectId(),
+        from,
+        author: authorOf(req.user),
+        message: req.body.message,
+        createdAt: now,
+      };
+
+      const update = {
+        $push: { thread: reply },
+        $set: { updatedAt: now, lastReplyAt: now, lastReplyFrom: from },
+      };
+      if (from === "staff" && !ticket.firstResponseAt) {
+        update.$set.firstResponseAt = now;
+      }
+      // A user's reply needs staff attention again
+      if (from === "user") {
+        update.$set.isRead = false;
+      }
+      const nextStatus = statusAfterReply(ticket.status, from);
+      if (nextStatus) {
+        update.$set.status = nextStatus;
+        update.$set.statusChangedAt = now;
+        update.$push.statusHistory = statusChange(ticket.status, nextStatus, req.user, now);
+      }
+
+      await usersMessagesCollection.updateOne({ _id: ticket._id }, update);
+      await audit(req, "message.reply", { collection: "usersMessages", id: ticket._id }, null, reply);
+
+      if (from === "staff") {
+        await mailer.enqueue("ticket-reply", ticket.userEmail || ticket.email, {
+          name: ticket.name,
+          reply: reply.message,
+          originalMessage: ticket.message,
+          language: ticket.language,
+        });
+      }
+
+      const updated = await usersMessagesCollection.findOne({ _id: ticket._id });
+      events.publish("messages", "message.replied", {
+        ...messageEvent(updated),
+        previousStatus: ticket.status || "new",
+        from,
+      });
+      await publishUnread();
+      // Staff see the sender's phone number masked unless they have pii:view
+      const data = isStaff ? (await revealPii(req, "usersMessages", [updated]))[0] : senderView(updated);
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      console.error("Error replying to message:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /users-messages/:id/notes - Add an internal staff note (requires messages:update)
+  router.post("/users-messages/:id/notes", verifyToken, requirePermission("messages:update"), validateBody(MessageNoteInput), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const now = new Date();
+      const note = {
+        _id: new ObjectId(),
+        author: authorOf(req.user),
+        note: req.body.note,
+        createdAt: now,
+      };
+
+      const result = await usersMessagesCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $push: { notes: note }, $set: { updatedAt: now } }
+      );
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "Message not found");
+      }
+      await audit(req, "message.note", { collection: "usersMessages", id: new ObjectId(id) }, null, note);
+
+      const updated = await usersMessagesCollection.findOne({ _id: new ObjectId(id) });
+      res.status(201).json({ success: true, data: (await revealPii(req, "usersMessages", [updated]))[0] });
+    } catch (err) {
+      console.error("Error adding message note:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  //Need users message by user email:: (self or admin)
+  // Returns each message with its reply thread; internal notes only for staff
+  router.get("/users-messages/:userEmail", verifyToken, async (req, res) => {
+    try {
+      const { userEmail } = req.params;
+
+      // Validate email format
+      if (!EMAIL_REGEX.test(userEmail)) {
+        return sendValidationError(res, [{ field: "userEmail", message: "Please provide a valid email address" }]);
+      }
+
+      if (!isSelfOrPermitted(req, userEmail, "messages:read")) {
+        return sendError(res, 403, "Cannot view another user's messages");
+      }
+
+      // Find messages by user email
+      const messages = await usersMessagesCollection.find({ userEmail })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      // Senders see their own phone number and none of the spam checks;
+      // staff see the phone number masked
+      let data;
+      if (!hasPermission(req.user, "messages:read")) {
+        data = messages.map(senderView);
+      } else {
+        data = req.user.email === userEmail ? messages : await revealPii(req, "usersMessages", messages);
+      }
+      res.json({ success: true, count: messages.length, data });
+    } catch (err) {
+      console.error("Error fetching user messages:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMessageRouter };
@@ -0,0 +1,179 @@
+// Payroll: base salary rates, payslips and the monthly run.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { requirePermission } = require("../middleware/permissions");
+const {
+  parseMonth,
+  resolveBaseSalary,
+  isPaidForMonth,
+  computePayslip,
+  round2,
+} = require("../services/payroll");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { employmentStatus, employedDuring } = require("../services/employment");
+const { publicEntry } = require("../services/ledger");
+const { isBdtAmount } = require("../utils/bangladesh");
+
+function createPayrollRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    presenceCollection,
+    verifyToken,
+    audit,
+    ledger,
+    loadPayslip,
+  } = ctx;
+  const router = express.Router();
+
+  // GET /payroll/rates - monthly base salary per site
+  router.get("/payroll/rates", verifyToken, requirePermission("payroll:read"), async (_req, res) => {
+    try {
+      const rates = await sitesCollection.find({})
+        .project({ name: 1, clientName: 1, baseSalary: 1 })
+        .sort({ name: 1 })
+        .toArray();
+      res.json({ success: true, count: rates.length, data: rates });
+    } catch (err) {
+      console.error("Error fetching payroll rates:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PUT /payroll/rates/:siteId - set the base salary for guards at a site
+  router.put("/payroll/rates/:siteId", verifyToken, requirePermission("payroll:manage-rates"), async (req, res) => {
+    try {
+      const { siteId } = req.params;
+      const { baseSalary } = req.body;
+
+      if (!ObjectId.isValid(siteId)) {
+        return sendValidationError(res, [{ field: "siteId", message: "siteId must be a valid id" }]);
+      }
+      if (typeof baseSalary !== "number" || baseSalary < 0) {
+        return sendValidationError(res, [{ field: "baseSalary", message: "baseSalary must be a non-negative number" }]);
+      }
+      if (!isBdtAmount(baseSalary)) {
+        return sendValidationError(res, [{ field: "baseSalary", message: "baseSalary must have at most 2 decimal places" }]);
+      }
+
+      const before = await sitesCollection.findOne({ _id: new ObjectId(siteId) });
+      const result = await sitesCollection.updateOne(
+        { _id: new ObjectId(siteId) },
+        { $set: { baseSalary, updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      const site = await sitesCollection.findOne({ _id: new ObjectId(siteId) });
+      await audit(req, "payroll.rate.update", { collection: "sites", id: site._id }, before, site);
+      res.json({ success: true, data: site });
+    } catch (err) {
+      console.error("Error saving payroll rate:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/payroll?month=YYYY-MM - payslip for one guard
+  router.get("/guards/:id/payroll", verifyToken, requirePermission("payroll:read"), async (req, res) => {
+    try {
+      const result = await loadPayslip(req.params.id, req.query.month);
+      if (!result.ok) return sendFailure(res, result);
+
+      res.json({ success: true, data: result.payslip });
+    } catch (err) {
+      console.error("Error computing payslip:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /payroll/run - compute every guard's payslip for a month and record
+  // the net pay as a salary entry in the ledger. Guards already paid are skipped, so
+  // the run can be repeated safely. Guards terminated that month are skipped
+  // too; their final settlement covers it.
+  router.post("/payroll/run", verifyToken, requirePermission("payroll:run"), async (req, res) => {
+    try {
+      const { month } = req.body;
+      const period = parseMonth(month);
+      if (!period) {
+        return sendValidationError(res, [{ field: "month", message: "month must be in YYYY-MM format" }]);
+      }
+
+      const [guards, sites, presence, monthEntries] = await Promise.all([
+        guardsCollection.find(employedDuring(period)).toArray(),
+        sitesCollection.find({}).toArray(),
+        presenceCollection.find({ date: { $gte: period.start, $lt: period.end } }).toArray(),
+        ledger.activeEntries({
+          $or: [{ date: { $gte: period.start, $lt: period.end } }, { type: "salary", payrollMonth: month }],
+        }),
+      ]);
+
+      const paid = [];
+      const skipped = [];
+
+      for (const guard of guards) {
+        const entries = monthEntries.filter(t => t.guardId.equals(guard._id));
+        if (isPaidForMonth(entries, month)) {
+          skipped.push({ guardId: guard._id, name: guard.name, reason: "Already paid" });
+          continue;
+        }
+        // Their last month is paid through the final settlement
+        if (employmentStatus(guard) === "terminated") {
+          skipped.push({ guardId: guard._id, name: guard.name, reason: "Terminated; see GET /guards/:id/settlement" });
+          continue;
+        }
+
+        const baseSalary = resolveBaseSalary(guard, sites);
+        if (baseSalary === null) {
+          skipped.push({ guardId: guard._id, name: guard.name, reason: "No base salary configured" });
+          continue;
+        }
+
+        const payslip = computePayslip(
+          guard,
+          period,
+          baseSalary,
+          presence.filter(p => p.guardId.equals(guard._id)),
+          { entries }
+        );
+        if (payslip.netPay <= 0) {
+          skipped.push({ guardId: guard._id, name: guard.name, reason: "Deductions exceed earnings" });
+          continue;
+        }
+
+        // The ledger refuses a second salary for the month, so a concurrent
+        // run cannot pay it twice
+        const result = await ledger.post(
+          guard,
+          { type: "salary", amount: payslip.netPay, note: `Salary for ${month}`, payrollMonth: month },
+          { actor: req.user }
+        );
+
+        if (result.ok) {
+          await audit(req, "guard.transaction.salary", { collection: "ledger", id: result.entry._id }, null, publicEntry(result.entry));
+          paid.push({ guardId: guard._id, name: guard.name, netPay: payslip.netPay });
+        } else {
+          skipped.push({ guardId: guard._id, name: guard.name, reason: "Already paid" });
+        }
+      }
+
+      res.json({
+        success: true,
+        month,
+        paidCount: paid.length,
+        totalPaid: round2(paid.reduce((sum, p) => sum + p.netPay, 0)),
+        paid,
+        skipped,
+      });
+    } catch (err) {
+      console.error("Error running payroll:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPayrollRouter };
@@ -0,0 +1,195 @@
+// Printable PDFs: payslips, attendance sheets and ID cards.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, requirePermission } = require("../middleware/permissions");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { DAY_MS } = require("../services/roster");
+const { employmentStatus } = require("../services/employment");
+const { renderPayslip, renderAttendanceSheet, renderIdCard } = require("../services/pdf");
+const { readAll } = require("../services/storage");
+const { publicDocument } = require("../services/documents");
+const crypto = require("crypto");
+const { documentUpload } = require("./helpers");
+
+const ID_CARD_VALID_DAYS = Number(process.env.ID_CARD_VALID_DAYS ?? 365);
+
+function createPdfRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    guardDocumentsCollection,
+    verifyToken,
+    audit,
+    documentStorage,
+    loadAttendanceSheet,
+    loadPayslip,
+    loadGuardForDocuments,
+    saveDocument,
+    sendDocument,
+    revealGuard,
+  } = ctx;
+  const router = express.Router();
+
+  const sendPdf = (res, filename, pdf) => {
+    res.set("Content-Type", "application/pdf");
+    res.attachment(`${filename}.pdf`);
+    res.send(pdf);
+  };
+
+  // GET /guards/:id/payroll/pdf?month=YYYY-MM - printable payslip
+  router.get("/guards/:id/payroll/pdf", verifyToken, requirePermission("payroll:read"), async (req, res) => {
+    try {
+      const result = await loadPayslip(req.params.id, req.query.month);
+      if (!result.ok) return sendFailure(res, result);
+
+      const pdf = await renderPayslip({ ...result, guard: await revealGuard(req, result.guard) });
+      sendPdf(res, `payslip-${result.payslip.month}-${result.guard._id}`, pdf);
+    } catch (err) {
+      console.error("Error rendering payslip:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /sites/:id/attendance/pdf?month=YYYY-MM - attendance sheet for client sign-off
+  router.get("/sites/:id/attendance/pdf", verifyToken, requirePermission("attendance:read"), async (req, res) => {
+    try {
+      const site = await sitesCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      req.query.siteId = req.params.id;
+      const result = await loadAttendanceSheet(req);
+      if (!result.ok) return sendFailure(res, result);
+
+      const pdf = await renderAttendanceSheet({ sheet: result.sheet, site });
+      sendPdf(res, `attendance-${result.sheet.month}-${site.name.replace(/[^\w-]+/g, "-")}`, pdf);
+    } catch (err) {
+      console.error("Error rendering attendance sheet:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PUT /guards/:id/photo - upload the guard's ID card photo (field "photo",
+  // JPEG or PNG). Stored as a "photo" document; the newest one is used.
+  router.put("/guards/:id/photo", verifyToken, requirePermission("guards:update"), documentUpload.single("photo"), async (req, res) => {
+    try {
+      const found = await loadGuardForDocuments(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+
+      const saved = await saveDocument(req, found.guard, req.file, { type: "photo" }, "photo");
+      if (!saved.ok) return sendFailure(res, saved);
+
+      res.json({ success: true, data: publicDocument(saved.document) });
+    } catch (err) {
+      console.error("Error saving guard photo:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // The guard's newest photo document, or null
+  const latestPhoto = (guardId) =>
+    guardDocumentsCollection.findOne({ guardId, type: "photo" }, { sort: { uploadedAt: -1 } });
+
+  // GET /guards/:id/photo - the guard's photo
+  router.get("/guards/:id/photo", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const found = await loadGuardForDocuments(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+
+      const photo = await latestPhoto(found.guard._id);
+      if (!photo) {
+        return sendError(res, 404, "Guard has no photo");
+      }
+      await sendDocument(res, photo, { download: false });
+    } catch (err) {
+      console.error("Error fetching guard photo:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/id-card/pdf - printable ID card. The QR code links to
+  // GET /verify/guards/:code; a new code is issued when none is valid.
+  router.get("/guards/:id/id-card/pdf", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return sendValidationError(res, [{ field: "id", message: "id must be a valid id" }]);
+      }
+      let guard = await guardsCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (!canAccessSite(req.user, guard.siteId)) {
+        return sendError(res, 403, "Guard is not assigned to one of your sites");
+      }
+      if (guard.archivedAt || employmentStatus(guard) === "terminated") {
+        return sendError(res, 400, "Guard is no longer employed");
+      }
+
+      if (!guard.idCard || guard.idCard.expiresAt <= new Date()) {
+        const issuedAt = new Date();
+        const idCard = {
+          code: crypto.randomBytes(16).toString("base64url"),
+          issuedAt,
+          expiresAt: new Date(issuedAt.getTime() + ID_CARD_VALID_DAYS * DAY_MS),
+          issuedBy: req.user._id,
+        };
+        await guardsCollection.updateOne({ _id: guard._id }, { $set: { idCard } });
+        await audit(req, "guard.id-card.issue", { collection: "guards", id: guard._id }, guard, { ...guard, idCard });
+        guard = { ...guard, idCard };
+      }
+
+      const [site, photo] = await Promise.all([
+        sitesCollection.findOne({ _id: guard.siteId }),
+        latestPhoto(guard._id),
+      ]);
+      const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+
+      const pdf = await renderIdCard({
+        guard: await revealGuard(req, guard),
+        site,
+        photo: photo ? await readAll(await documentStorage.get(photo.key)) : null,
+        verifyUrl: `${baseUrl.replace(/\/$/, "")}/verify/guards/${guard.idCard.code}`,
+        expiresAt: guard.idCard.expiresAt,
+      });
+      sendPdf(res, `id-card-${guard._id}`, pdf);
+    } catch (err) {
+      console.error("Error rendering ID card:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /verify/guards/:code - public check of the ID card a QR code points to.
+  // Cards of terminated or archived guards are no longer valid.
+  router.get("/verify/guards/:code", async (req, res) => {
+    try {
+      const guard = await guardsCollection.findOne(
+        { "idCard.code": req.params.code },
+        { projection: { name: 1, siteId: 1, idCard: 1, employment: 1, archivedAt: 1 } }
+      );
+      if (!guard) {
+        return sendError(res, 404, "ID card not recognised");
+      }
+
+      const site = await sitesCollection.findOne({ _id: guard.siteId }, { projection: { name: 1 } });
+      res.json({
+        success: true,
+        data: {
+          valid: guard.idCard.expiresAt > new Date() && !guard.archivedAt && employmentStatus(guard) !== "terminated",
+          name: guard.name,
+          site: site?.name || null,
+          issuedAt: guard.idCard.issuedAt,
+          expiresAt: guard.idCard.expiresAt,
+        },
+      });
+    } catch (err) {
+      console.error("Error verifying ID card:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPdfRouter };
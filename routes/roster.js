@@ -0,0 +1,424 @@
+// Shift definitions and the roster of guards on them.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, requirePermission } = require("../middleware/permissions");
+const { sendError, sendValidationError } = require("../utils/errors");
+const { localize } = require("../utils/i18n");
+const {
+  DAY_MS,
+  MAX_RANGE_DAYS,
+  parseDay,
+  dayKey,
+  localDay,
+  weekRange,
+  buildShiftFields,
+  expandAssignment,
+  findConflicts,
+  buildRotation,
+} = require("../services/roster");
+const { employmentStatus } = require("../services/employment");
+
+function createRosterRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    shiftsCollection,
+    rosterAssignmentsCollection,
+    presenceCollection,
+    verifyToken,
+    audit,
+    loadInstances,
+  } = ctx;
+  const router = express.Router();
+
+  // Conflicts that `proposed` assignments (all for one guard) would cause
+  async function findAssignmentConflicts(guardId, proposed, shiftsById) {
+    const from = new Date(Math.min(...proposed.map(a => a.startDate.getTime())) - DAY_MS);
+    const to = new Date(Math.max(...proposed.map(a => a.endDate.getTime())) + 2 * DAY_MS);
+
+    const existing = await loadInstances({ guardId }, from, to);
+    const proposedInstances = proposed.flatMap(a =>
+      expandAssignment(a, shiftsById.get(String(a.shiftId)), a.startDate, new Date(a.endDate.getTime() + DAY_MS))
+    );
+
+    return findConflicts(proposedInstances, existing);
+  }
+
+  // Week of shift instances with each guard's presence for that shift.
+  // A finished shift with no presence entry is reported as "unrecorded".
+  async function buildRoster(filter, date) {
+    const { start, end } = weekRange(date);
+    const instances = await loadInstances(filter, start, end);
+
+    const guardIds = [...new Set(instances.map(i => String(i.guardId)))].map(id => new ObjectId(id));
+    const [guards, records] = await Promise.all([
+      guardsCollection.find({ _id: { $in: guardIds } }).project({ name: 1 }).toArray(),
+      presenceCollection.find({
+        guardId: { $in: guardIds },
+        date: { $gte: start, $lt: end },
+      }).toArray(),
+    ]);
+    const guardsById = new Map(guards.map(g => [String(g._id), g]));
+
+    const now = new Date();
+    const shifts = instances
+      .sort((a, b) => a.start - b.start)
+      .map(instance => {
+        const guard = guardsById.get(String(instance.guardId));
+        const entry = records.find(p =>
+          p.guardId.equals(instance.guardId) &&
+          dayKey(p.date) === instance.date &&
+          (!p.shiftId || String(p.shiftId) === String(instance.shiftId))
+        );
+
+        let presenceStatus = entry?.status || null;
+        if (!presenceStatus) presenceStatus = instance.end < now ? "unrecorded" : "scheduled";
+
+        return { ...instance, guardName: guard?.name || null, presenceStatus };
+      });
+
+    return { weekStart: dayKey(start), weekEnd: dayKey(new Date(end.getTime() - DAY_MS)), shifts };
+  }
+
+  // GET /sites/:id/shifts - shift definitions at a site
+  router.get("/sites/:id/shifts", verifyToken, requirePermission("roster:read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!canAccessSite(req.user, id)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+
+      const shifts = await shiftsCollection.find({ siteId: new ObjectId(id) })
+        .sort({ startTime: 1 })
+        .toArray();
+      res.json({ success: true, count: shifts.length, data: shifts });
+    } catch (err) {
+      console.error("Error fetching shifts:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /sites/:id/shifts - define a shift (day/night/custom hours) at a site
+  router.post("/sites/:id/shifts", verifyToken, requirePermission("roster:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { errors, fields } = buildShiftFields(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const site = await sitesCollection.findOne({ _id: new ObjectId(id) });
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      const newShift = {
+        siteId: site._id,
+        ...fields,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await shiftsCollection.insertOne(newShift);
+      const created = await shiftsCollection.findOne({ _id: result.insertedId });
+      await audit(req, "shift.create", { collection: "shifts", id: created._id }, null, created);
+      res.status(201).json({ success: true, data: created });
+    } catch (err) {
+      console.error("Error creating shift:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PATCH /shifts/:id - rename or retime a shift. Hours cannot change while
+  // guards are rostered on it, since that could break validated rosters.
+  router.patch("/shifts/:id", verifyToken, requirePermission("roster:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { errors, fields } = buildShiftFields(req.body, { partial: true });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      if (fields.startTime || fields.endTime) {
+        const active = await rosterAssignmentsCollection.countDocuments({
+          shiftId: new ObjectId(id),
+          endDate: { $gte: localDay(new Date()) },
+        });
+        if (active > 0) {
+          return sendError(res, 400, "Shift has current or future assignments; create a new shift instead");
+        }
+      }
+
+      const before = await shiftsCollection.findOne({ _id: new ObjectId(id) });
+      const result = await shiftsCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { ...fields, updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "Shift not found");
+      }
+
+      const updatedShift = await shiftsCollection.findOne({ _id: new ObjectId(id) });
+      await audit(req, "shift.update", { collection: "shifts", id: updatedShift._id }, before, updatedShift);
+      res.json({ success: true, data: updatedShift });
+    } catch (err) {
+      console.error("Error updating shift:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // DELETE /shifts/:id - delete a shift nobody was ever rostered on
+  router.delete("/shifts/:id", verifyToken, requirePermission("roster:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const used = await rosterAssignmentsCollection.countDocuments({ shiftId: new ObjectId(id) });
+      if (used > 0) {
+        return sendError(res, 400, "Shift is used by roster assignments");
+      }
+
+      const shift = await shiftsCollection.findOneAndDelete({ _id: new ObjectId(id) });
+      if (!shift) {
+        return sendError(res, 404, "Shift not found");
+      }
+      await audit(req, "shift.delete", { collection: "shifts", id: shift._id }, shift, null);
+
+      res.json({ success: true, message: localize(req, "Shift deleted") });
+    } catch (err) {
+      console.error("Error deleting shift:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /roster/assignments - put a guard on a shift for a date range.
+  // Rejected with 409 when it double-books the guard, overlaps another of
+  // their shifts or leaves less than the minimum rest between shifts.
+  router.post("/roster/assignments", verifyToken, requirePermission("roster:manage"), async (req, res) => {
+    try {
+      const { guardId, shiftId, daysOfWeek } = req.body;
+      const startDate = parseDay(req.body.startDate);
+      const endDate = parseDay(req.body.endDate);
+
+      const missing = [];
+      if (!ObjectId.isValid(guardId)) missing.push({ field: "guardId", message: "guardId is required" });
+      if (!ObjectId.isValid(shiftId)) missing.push({ field: "shiftId", message: "shiftId is required" });
+      if (!startDate) missing.push({ field: "startDate", message: "startDate must be YYYY-MM-DD" });
+      if (!endDate) missing.push({ field: "endDate", message: "endDate must be YYYY-MM-DD" });
+      if (missing.length > 0) {
+        return sendValidationError(res, missing);
+      }
+      if (endDate < startDate) {
+        return sendValidationError(res, [{ field: "endDate", message: "endDate must not be before startDate" }]);
+      }
+      if ((endDate - startDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+        return sendValidationError(res, [{ field: "endDate", message: `The range can be at most ${MAX_RANGE_DAYS} days` }]);
+      }
+      if (daysOfWeek !== undefined &&
+        (!Array.isArray(daysOfWeek) || !daysOfWeek.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        return sendValidationError(res, [{ field: "daysOfWeek", message: "daysOfWeek must be an array of 0 (Sunday) to 6 (Saturday)" }]);
+      }
+
+      const [guard, shift] = await Promise.all([
+        guardsCollection.findOne({ _id: new ObjectId(guardId) }),
+        shiftsCollection.findOne({ _id: new ObjectId(shiftId) }),
+      ]);
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (!shift) {
+        return sendError(res, 404, "Shift not found");
+      }
+      if (guard.archivedAt || employmentStatus(guard) === "terminated") {
+        return sendError(res, 400, "Guard is no longer employed");
+      }
+
+      const assignment = {
+        guardId: guard._id,
+        shiftId: shift._id,
+        siteId: shift.siteId,
+        startDate,
+        endDate,
+        daysOfWeek: daysOfWeek || null,
+      };
+
+      const conflicts = await findAssignmentConflicts(
+        guard._id,
+        [assignment],
+        new Map([[String(shift._id), shift]])
+      );
+      if (conflicts.length > 0) {
+        return sendError(res, 409, "Assignment conflicts with the guard's roster", { conflicts });
+      }
+
+      const newAssignment = {
+        ...assignment,
+        createdBy: req.user._id,
+        createdAt: new Date(),
+      };
+      const result = await rosterAssignmentsCollection.insertOne(newAssignment);
+      const created = await rosterAssignmentsCollection.findOne({ _id: result.insertedId });
+      await audit(req, "roster.assignment.create", { collection: "rosterAssignments", id: created._id }, null, created);
+      res.status(201).json({ success: true, data: created });
+    } catch (err) {
+      console.error("Error creating roster assignment:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // DELETE /roster/assignments/:id - remove an assignment
+  router.delete("/roster/assignments/:id", verifyToken, requirePermission("roster:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const assignment = await rosterAssignmentsCollection.findOneAndDelete({ _id: new ObjectId(id) });
+      if (!assignment) {
+        return sendError(res, 404, "Assignment not found");
+      }
+      await audit(req, "roster.assignment.delete", { collection: "rosterAssignments", id: assignment._id }, assignment, null);
+      res.json({ success: true, message: localize(req, "Assignment deleted") });
+    } catch (err) {
+      console.error("Error deleting roster assignment:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /roster/rotations - rotate guards through shifts every `periodDays`.
+  // All assignments are checked first and nothing is saved if any conflict.
+  router.post("/roster/rotations", verifyToken, requirePermission("roster:manage"), async (req, res) => {
+    try {
+      const { guardIds, shiftIds, periodDays } = req.body;
+      const startDate = parseDay(req.body.startDate);
+      const endDate = parseDay(req.body.endDate);
+
+      if (!Array.isArray(guardIds) || guardIds.length === 0 ||
+        !Array.isArray(shiftIds) || shiftIds.length === 0) {
+        return sendValidationError(res, [{ field: "guardIds", message: "guardIds and shiftIds must be non-empty arrays" }]);
+      }
+      const invalidIds = [];
+      if (!guardIds.every(id => ObjectId.isValid(id))) invalidIds.push({ field: "guardIds", message: "guardIds must be valid ids" });
+      if (!shiftIds.every(id => ObjectId.isValid(id))) invalidIds.push({ field: "shiftIds", message: "shiftIds must be valid ids" });
+      if (invalidIds.length > 0) {
+        return sendValidationError(res, invalidIds);
+      }
+      if (!startDate || !endDate || endDate < startDate) {
+        return sendValidationError(res, [{ field: "startDate", message: "startDate and endDate (YYYY-MM-DD) must form a valid range" }]);
+      }
+      if ((endDate - startDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+        return sendValidationError(res, [{ field: "endDate", message: `The range can be at most ${MAX_RANGE_DAYS} days` }]);
+      }
+      if (!Number.isInteger(periodDays) || periodDays < 1) {
+        return sendValidationError(res, [{ field: "periodDays", message: "periodDays must be a positive integer" }]);
+      }
+
+      const guards = await guardsCollection.find({ _id: { $in: guardIds.map(id => new ObjectId(id)) } })
+        .project({ archivedAt: 1, employment: 1 })
+        .toArray();
+      if (guards.length !== new Set(guardIds.map(String)).size) {
+        return sendError(res, 404, "One or more guards not found");
+      }
+      const departed = guards.filter(g => g.archivedAt || employmentStatus(g) === "terminated");
+      if (departed.length > 0) {
+        return sendError(res, 400, "One or more guards are no longer employed", { guardIds: departed.map(g => g._id) });
+      }
+
+      const shiftDocs = await shiftsCollection.find({ _id: { $in: shiftIds.map(id => new ObjectId(id)) } }).toArray();
+      const shiftsById = new Map(shiftDocs.map(s => [String(s._id), s]));
+      const shifts = shiftIds.map(id => shiftsById.get(String(id)));
+      if (shifts.some(s => !s)) {
+        return sendError(res, 404, "One or more shifts not found");
+      }
+
+      const assignments = buildRotation({
+        guardIds: guardIds.map(id => new ObjectId(id)),
+        shifts,
+        startDate,
+        endDate,
+        periodDays,
+      });
+
+      const conflicts = [];
+      for (const guard of guards) {
+        const own = assignments.filter(a => a.guardId.equals(guard._id));
+        const found = await findAssignmentConflicts(guard._id, own, shiftsById);
+        found.forEach(c => conflicts.push({ guardId: guard._id, ...c }));
+      }
+      if (conflicts.length > 0) {
+        return sendError(res, 409, "Rotation conflicts with existing rosters", { conflicts });
+      }
+
+      const rotationId = new ObjectId();
+      const now = new Date();
+      await rosterAssignmentsCollection.insertMany(assignments.map(a => ({
+        ...a,
+        daysOfWeek: null,
+        rotationId,
+        createdBy: req.user._id,
+        createdAt: now,
+      })));
+      await audit(req, "roster.rotation.create", { collection: "rosterAssignments", id: rotationId }, null, {
+        guardIds: guardIds.map(id => new ObjectId(id)),
+        shiftIds: shifts.map(s => s._id),
+        startDate,
+        endDate,
+        periodDays,
+        count: assignments.length,
+      });
+
+      res.status(201).json({ success: true, rotationId, count: assignments.length });
+    } catch (err) {
+      console.error("Error creating rotation:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /sites/:id/roster?date=YYYY-MM-DD - the site's roster for the week containing date
+  router.get("/sites/:id/roster", verifyToken, requirePermission("roster:read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!canAccessSite(req.user, id)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+
+      const date = req.query.date ? parseDay(req.query.date) : new Date();
+      if (!date) {
+        return sendValidationError(res, [{ field: "date", message: "date must be YYYY-MM-DD" }]);
+      }
+
+      const roster = await buildRoster({ siteId: new ObjectId(id) }, date);
+      res.json({ success: true, data: roster });
+    } catch (err) {
+      console.error("Error fetching site roster:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /guards/:id/roster?date=YYYY-MM-DD - a guard's roster for the week containing date
+  router.get("/guards/:id/roster", verifyToken, requirePermission("roster:read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const date = req.query.date ? parseDay(req.query.date) : new Date();
+      if (!date) {
+        return sendValidationError(res, [{ field: "date", message: "date must be YYYY-MM-DD" }]);
+      }
+
+      const guard = await guardsCollection.findOne({ _id: new ObjectId(id) }, { projection: { siteId: 1 } });
+      if (!guard) {
+        return sendError(res, 404, "Guard not found");
+      }
+      if (!canAccessSite(req.user, guard.siteId)) {
+        return sendError(res, 403, "Guard is not assigned to one of your sites");
+      }
+
+      const roster = await buildRoster({ guardId: guard._id }, date);
+      res.json({ success: true, data: roster });
+    } catch (err) {
+      console.error("Error fetching guard roster:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRosterRouter };
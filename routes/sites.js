@@ -0,0 +1,180 @@
+// Client sites (duty posts).
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canAccessSite, siteScopeFilter, requirePermission } = require("../middleware/permissions");
+const { buildSiteFields, staffingStages } = require("../services/sites");
+const { sendError, sendValidationError } = require("../utils/errors");
+const { localize } = require("../utils/i18n");
+const { guardStatusFilter } = require("../services/employment");
+
+function createSiteRouter(ctx) {
+  const { guardsCollection, sitesCollection, verifyToken, audit, revealPii } = ctx;
+  const router = express.Router();
+
+  // GET /sites - list sites with staffing numbers (supervisors: own sites)
+  router.get("/sites", verifyToken, requirePermission("sites:read"), async (req, res) => {
+    try {
+      const sites = await sitesCollection.aggregate([
+        { $match: siteScopeFilter(req.user, "_id") },
+        ...staffingStages(),
+        { $sort: { name: 1 } },
+      ]).toArray();
+      res.json({ success: true, count: sites.length, data: sites });
+    } catch (err) {
+      console.error("Error fetching sites:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /sites/understaffed - sites with fewer guards than their shifts need
+  router.get("/sites/understaffed", verifyToken, requirePermission("sites:read"), async (req, res) => {
+    try {
+      const sites = await sitesCollection.aggregate([
+        { $match: siteScopeFilter(req.user, "_id") },
+        ...staffingStages(),
+        { $match: { shortfall: { $gt: 0 } } },
+        { $sort: { shortfall: -1, name: 1 } },
+      ]).toArray();
+      res.json({ success: true, count: sites.length, data: sites });
+    } catch (err) {
+      console.error("Error fetching understaffed sites:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /sites/:id - one site with staffing numbers
+  router.get("/sites/:id", verifyToken, requirePermission("sites:read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!canAccessSite(req.user, id)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+
+      const [site] = await sitesCollection.aggregate([
+        { $match: { _id: new ObjectId(id) } },
+        ...staffingStages(),
+      ]).toArray();
+
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      res.json({ success: true, data: site });
+    } catch (err) {
+      console.error("Error fetching site:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /sites/:id/guards - guards assigned to a site
+  // ?status= and ?archived= as for GET /guards
+  router.get("/sites/:id/guards", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!canAccessSite(req.user, id)) {
+        return sendError(res, 403, "Site is not one of your sites");
+      }
+
+      const employment = guardStatusFilter(req.query);
+      if (employment.error) {
+        return sendValidationError(res, [employment.error]);
+      }
+
+      const guards = await guardsCollection.find({ siteId: new ObjectId(id), ...employment.filter })
+        .sort({ name: 1 })
+        .toArray();
+      res.json({ success: true, count: guards.length, data: await revealPii(req, "guards", guards) });
+    } catch (err) {
+      console.error("Error fetching site guards:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /sites - create a site
+  router.post("/sites", verifyToken, requirePermission("sites:create"), async (req, res) => {
+    try {
+      const { errors, fields } = buildSiteFields(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      if (await sitesCollection.findOne({ name: fields.name })) {
+        return sendValidationError(res, [{ field: "name", message: "A site with this name already exists" }]);
+      }
+
+      const newSite = {
+        ...fields,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await sitesCollection.insertOne(newSite);
+      const created = await sitesCollection.findOne({ _id: result.insertedId });
+      await audit(req, "site.create", { collection: "sites", id: created._id }, null, created);
+      res.status(201).json({ success: true, data: created });
+    } catch (err) {
+      console.error("Error creating site:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PATCH /sites/:id - update a site (renaming is safe: guards hold the id)
+  router.patch("/sites/:id", verifyToken, requirePermission("sites:update"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { errors, fields } = buildSiteFields(req.body, { partial: true });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      if (fields.name && await sitesCollection.findOne({ name: fields.name, _id: { $ne: new ObjectId(id) } })) {
+        return sendValidationError(res, [{ field: "name", message: "A site with this name already exists" }]);
+      }
+
+      const before = await sitesCollection.findOne({ _id: new ObjectId(id) });
+      const result = await sitesCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { ...fields, updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "Site not found");
+      }
+
+      const updatedSite = await sitesCollection.findOne({ _id: new ObjectId(id) });
+      await audit(req, "site.update", { collection: "sites", id: updatedSite._id }, before, updatedSite);
+      res.json({ success: true, data: updatedSite });
+    } catch (err) {
+      console.error("Error updating site:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // DELETE /sites/:id - delete a site with no guards assigned
+  router.delete("/sites/:id", verifyToken, requirePermission("sites:delete"), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const assigned = await guardsCollection.countDocuments({ siteId: new ObjectId(id) });
+      if (assigned > 0) {
+        return sendError(res, 400, `Site still has ${assigned} guard(s) assigned`);
+      }
+
+      const site = await sitesCollection.findOneAndDelete({ _id: new ObjectId(id) });
+      if (!site) {
+        return sendError(res, 404, "Site not found");
+      }
+      await audit(req, "site.delete", { collection: "sites", id: site._id }, site, null);
+
+      res.json({ success: true, message: localize(req, "Site deleted") });
+    } catch (err) {
+      console.error("Error deleting site:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSiteRouter };
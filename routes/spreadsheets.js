@@ -0,0 +1,263 @@
+// Spreadsheet import of guards, and CSV/XLSX exports.
+
+const express = require("express");
+const { requirePermission } = require("../middleware/permissions");
+const { dateRangeFilter } = require("../utils/listQuery");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { PRESENCE_STATUSES } = require("../services/attendance");
+const { LEDGER_TYPES } = require("../services/ledger");
+const multer = require("multer");
+const { FORMATS, readSheet, sendSpreadsheet } = require("../utils/spreadsheet");
+const { headerKey, validateImport } = require("../services/guardImport");
+const { employmentStatus, guardStatusFilter } = require("../services/employment");
+const { siteQueryFilter } = require("./helpers");
+
+// Spreadsheet uploads are parsed in memory
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single("file");
+
+function createSpreadsheetRouter(ctx) {
+  const {
+    guardsCollection,
+    sitesCollection,
+    ledgerCollection,
+    verifyToken,
+    audit,
+    loadAttendanceSheet,
+    pii,
+    revealPii,
+  } = ctx;
+  const router = express.Router();
+
+  // POST /guards/import - bulk-create guards from a CSV or XLSX upload (field "file")
+  // Without ?commit=true this only returns the per-row report. With it, the
+  // guards are saved only if every row is valid.
+  router.post("/guards/import", verifyToken, requirePermission("guards:create"), spreadsheetUpload, async (req, res) => {
+    try {
+      if (!req.file) {
+        return sendValidationError(res, [{ field: "file", message: "Upload a CSV or XLSX file in the file field" }]);
+      }
+
+      let rows;
+      try {
+        rows = await readSheet(req.file, headerKey);
+      } catch (err) {
+        return sendValidationError(res, [{ field: "file", message: `Could not read the file: ${err.message}` }]);
+      }
+      if (rows.length === 0) {
+        return sendValidationError(res, [{ field: "file", message: "The file has no data rows" }]);
+      }
+
+      const nidHashes = rows.map(r => pii.hash("nid", r.nid)).filter(Boolean);
+      const phoneHashes = rows.map(r => pii.hash("phone", r.phone)).filter(Boolean);
+      const [sites, matches] = await Promise.all([
+        sitesCollection.find({}).project({ name: 1 }).toArray(),
+        guardsCollection.find({ $or: [{ nidHash: { $in: nidHashes } }, { phoneHash: { $in: phoneHashes } }] })
+          .project({ nid: 1, phone: 1 })
+          .toArray(),
+      ]);
+      const existing = matches.map(pii.decryptFields);
+      const report = validateImport(rows, {
+        sites,
+        existingNids: new Set(existing.map(g => g.nid)),
+        existingPhones: new Set(existing.map(g => g.phone)),
+      });
+
+      const summary = {
+        total: report.rows.length,
+        valid: report.valid,
+        invalid: report.invalid,
+        rows: report.rows.map(r => ({ row: r.row, errors: r.errors, guard: r.value })),
+      };
+
+      if (req.query.commit !== "true") {
+        return res.json({ success: report.invalid === 0, committed: false, ...summary });
+      }
+      if (report.invalid > 0) {
+        return sendError(res, 400, "Some rows are invalid; nothing was imported", summary);
+      }
+
+      const now = new Date();
+      const guards = report.rows.map(r => ({
+        ...pii.encryptFields(r.value),
+        employment: { status: "active", effectiveFrom: r.value.joinDate, reason: null },
+        employmentHistory: [],
+        ledger: { balance: 0, entries: 0, updatedAt: null },
+        createdAt: now,
+        updatedAt: now,
+      }));
+      const result = await guardsCollection.insertMany(guards);
+      for (const [index, id] of Object.entries(result.insertedIds)) {
+        await audit(req, "guard.import", { collection: "guards", id }, null, pii.decryptFields(guards[index]));
+      }
+
+      res.status(201).json({ success: true, committed: true, imported: result.insertedCount, ...summary });
+    } catch (err) {
+      console.error("Error importing guards:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // ?format=csv (default) or xlsx; false after answering 400
+  function exportFormat(req, res) {
+    const format = req.query.format || "csv";
+    if (!FORMATS.includes(format)) {
+      sendValidationError(res, [{ field: "format", message: `format must be one of: ${FORMATS.join(", ")}` }]);
+      return false;
+    }
+    return format;
+  }
+
+  // GET /exports/guards - guard list as CSV/XLSX
+  // ?format=csv|xlsx; ?siteId=; ?joinedFrom=&joinedTo=; ?status=&archived= as for GET /guards
+  router.get("/exports/guards", verifyToken, requirePermission("guards:read"), async (req, res) => {
+    try {
+      const format = exportFormat(req, res);
+      if (!format) return;
+
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      const joined = dateRangeFilter("joinDate", req.query.joinedFrom, req.query.joinedTo, ["joinedFrom", "joinedTo"]);
+      if (joined.error) {
+        return sendValidationError(res, [joined.error]);
+      }
+
+      const employment = guardStatusFilter(req.query);
+      if (employment.error) {
+        return sendValidationError(res, [employment.error]);
+      }
+
+      const [guards, sites] = await Promise.all([
+        guardsCollection.find({ ...filter, ...joined, ...employment.filter }).sort({ name: 1 }).toArray(),
+        sitesCollection.find({}).project({ name: 1 }).toArray(),
+      ]);
+      const siteNames = new Map(sites.map(s => [String(s._id), s.name]));
+
+      const columns = [
+        { key: "name", header: "Name" },
+        { key: "phone", header: "Phone" },
+        { key: "nid", header: "NID" },
+        { key: "address", header: "Address" },
+        { key: "site", header: "Site" },
+        { key: "dutyTime", header: "Duty time" },
+        { key: "joinDate", header: "Join date" },
+        { key: "baseSalary", header: "Base salary" },
+        { key: "status", header: "Status" },
+      ];
+      const rows = (await revealPii(req, "guards", guards))
+        .map(g => ({ ...g, site: siteNames.get(String(g.siteId)) || "", status: employmentStatus(g) }));
+
+      await sendSpreadsheet(res, format, "guards", columns, rows);
+    } catch (err) {
+      console.error("Error exporting guards:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /exports/attendance?month=YYYY-MM - a month's attendance grid as CSV/XLSX
+  // ?format=csv|xlsx; ?siteId=
+  router.get("/exports/attendance", verifyToken, requirePermission("attendance:read"), async (req, res) => {
+    try {
+      const format = exportFormat(req, res);
+      if (!format) return;
+
+      const result = await loadAttendanceSheet(req);
+      if (!result.ok) return sendFailure(res, result);
+
+      const { sheet } = result;
+      const columns = [
+        { key: "name", header: "Name" },
+        ...sheet.days.map(day => ({ key: day, header: day.slice(8) })),
+        ...[...PRESENCE_STATUSES, "unrecorded"].map(status => ({ key: `total:${status}`, header: status })),
+      ];
+      const rows = sheet.guards.map(g => ({
+        name: g.name,
+        ...g.days,
+        ...Object.fromEntries(Object.entries(g.totals).map(([status, count]) => [`total:${status}`, count])),
+      }));
+
+      await sendSpreadsheet(res, format, `attendance-${sheet.month}`, columns, rows);
+    } catch (err) {
+      console.error("Error exporting attendance:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /exports/transactions - ledger entries as CSV/XLSX, oldest first
+  // ?format=csv|xlsx; ?siteId=; ?from=&to= entry date; ?type=
+  router.get("/exports/transactions", verifyToken, requirePermission("payroll:read"), async (req, res) => {
+    try {
+      const format = exportFormat(req, res);
+      if (!format) return;
+
+      const { filter, error } = siteQueryFilter(req);
+      if (error) return sendFailure(res, error);
+
+      const dated = dateRangeFilter("date", req.query.from, req.query.to);
+      if (dated.error) {
+        return sendValidationError(res, [dated.error]);
+      }
+      const { type } = req.query;
+      if (type && !LEDGER_TYPES.includes(type)) {
+        return sendValidationError(res, [{ field: "type", message: `type must be one of: ${LEDGER_TYPES.join(", ")}` }]);
+      }
+      const entryFilter = { ...filter, ...dated };
+      if (type) entryFilter.type = type;
+
+      const entries = await ledgerCollection.aggregate([
+        { $match: entryFilter },
+        { $sort: { date: 1, sequence: 1 } },
+        { $lookup: { from: "guards", localField: "guardId", foreignField: "_id", as: "guard", pipeline: [{ $project: { name: 1, nid: 1 } }] } },
+        { $lookup: { from: "sites", localField: "siteId", foreignField: "_id", as: "site", pipeline: [{ $project: { name: 1 } }] } },
+        {
+          $project: {
+            _id: 0,
+            id: { $toString: "$_id" },
+            guardId: 1,
+            date: 1,
+            guard: { $ifNull: [{ $first: "$guard.name" }, ""] },
+            nid: { $ifNull: [{ $first: "$guard.nid" }, ""] },
+            site: { $ifNull: [{ $first: "$site.name" }, ""] },
+            type: 1,
+            amount: 1,
+            effect: 1,
+            balance: 1,
+            note: 1,
+            payrollMonth: 1,
+            reverses: { $toString: "$reverses" },
+            reversed: { $cond: [{ $ifNull: ["$reversedBy", false] }, "yes", ""] },
+          },
+        },
+      ]).toArray();
+
+      const columns = [
+        { key: "date", header: "Date" },
+        { key: "guard", header: "Guard" },
+        { key: "nid", header: "NID" },
+        { key: "site", header: "Site" },
+        { key: "id", header: "Entry" },
+        { key: "type", header: "Type" },
+        { key: "amount", header: "Amount" },
+        { key: "effect", header: "Balance change" },
+        { key: "balance", header: "Balance" },
+        { key: "note", header: "Note" },
+        { key: "payrollMonth", header: "Payroll month" },
+        { key: "reverses", header: "Reverses" },
+        { key: "reversed", header: "Reversed" },
+      ];
+
+      const rows = await revealPii(req, "guards", entries, { idField: "guardId" });
+      await sendSpreadsheet(res, format, "transactions", columns, rows);
+    } catch (err) {
+      console.error("Error exporting transactions:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSpreadsheetRouter };
@@ -0,0 +1,439 @@
+// User accounts: profiles, roles and account status.
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  ROLES,
+  ACTIVE_ACCOUNT,
+  getRole,
+  isActiveAccount,
+  requirePermission,
+  isSelfOrPermitted,
+} = require("../middleware/permissions");
+const {
+  parseListQuery,
+  searchFilter,
+  parseBoolean,
+  paginatedResponse,
+} = require("../utils/listQuery");
+const { sendError, sendValidationError, sendFailure } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { UserInput, UserUpdateInput } = require("../schemas");
+const { botCheck } = require("../middleware/botCheck");
+const { SPAM_SCORE_THRESHOLD, signalScore } = require("../services/spam");
+
+function createUserRouter(ctx) {
+  const {
+    usersCollection,
+    guardsCollection,
+    sitesCollection,
+    verifyFirebaseToken,
+    verifyToken,
+    audit,
+    mailer,
+    signupLimiters,
+  } = ctx;
+  const router = express.Router();
+
+  // GET /users - List users (requires users:read)
+  // ?q= searches name and email; ?role= filters; ?active=true|false filters on
+  // deactivation; ?deleted=true lists deleted accounts instead;
+  // ?sort=name|email|createdAt; ?page=&limit=
+  router.get("/users", verifyToken, requirePermission("users:read"), async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, { sortFields: ["name", "email", "createdAt"] });
+      if (list.error) {
+        return sendValidationError(res, [list.error]);
+      }
+
+      const filter = {
+        ...searchFilter(req.query.q, ["name", "email"]),
+        deletedAt: parseBoolean(req.query.deleted) ? { $ne: null } : null,
+      };
+      const active = parseBoolean(req.query.active);
+      if (active !== undefined) {
+        filter.deactivatedAt = active ? null : { $ne: null };
+      }
+      if (req.query.role) {
+        if (!ROLES[req.query.role]) {
+          return sendValidationError(res, [{ field: "role", message: `role must be one of: ${Object.keys(ROLES).join(", ")}` }]);
+        }
+        filter.role = req.query.role;
+      }
+
+      // Exclude sensitive fields
+      const [users, total] = await Promise.all([
+        usersCollection.find(filter)
+          .project({ password: 0, firebaseUID: 0 })
+          .sort(list.sort)
+          .skip(list.skip)
+          .limit(list.limit)
+          .toArray(),
+        usersCollection.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse({ data: users, total, page: list.page, limit: list.limit }));
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /users/:email - Get specific user by email (self or admin)
+  router.get("/users/:email", verifyToken, async (req, res) => {
+    try {
+      const { email } = req.params;
+
+      if (!isSelfOrPermitted(req, email, "users:read")) {
+        return sendError(res, 403, "Cannot view another user's profile");
+      }
+
+      const user = await usersCollection.findOne({ email });
+
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      // Remove sensitive fields before sending
+      const { password, firebaseUID, ...userData } = user;
+      res.json(userData);
+    } catch (err) {
+      console.error("Error fetching user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /users - Create new user for the signed-in Firebase account
+  // Rate limited per IP and per account email; bots are refused
+  router.post("/users", signupLimiters[0], verifyFirebaseToken, signupLimiters[1], botCheck, validateBody(UserInput), async (req, res) => {
+    try {
+      if (signalScore(req.botSignals) >= SPAM_SCORE_THRESHOLD) {
+        return sendError(res, 400, "Signup could not be completed");
+      }
+
+      const { email: _email, firebaseUID: _uid, ...profile } = req.body;
+      const { uid, email } = req.auth;
+
+      if (!email) {
+        return sendError(res, 400, "Firebase account has no email");
+      }
+
+      const existingUser = await usersCollection.findOne({
+        $or: [{ email }, { firebaseUID: uid }],
+      });
+      if (existingUser) {
+        return sendError(res, 400, "User already exists");
+      }
+
+      // Identity comes from the verified token, never from the body
+      const newUser = {
+        ...profile,
+        email,
+        firebaseUID: uid,
+        isAdmin: false,
+        emailVerified: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        lastLogin: new Date()
+      };
+
+      const result = await usersCollection.insertOne(newUser);
+      const createdUser = await usersCollection.findOne({ _id: result.insertedId });
+      await audit(req, "user.create", { collection: "users", id: createdUser._id }, null, createdUser);
+
+      // Remove sensitive fields before sending
+      const { password, firebaseUID, ...userData } = createdUser;
+      res.status(201).json(userData);
+    } catch (err) {
+      console.error("Error creating user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // PATCH /users/:email - Update user data (self or admin)
+  // Email, role and identity are not in the schema, so they cannot change here
+  router.patch("/users/:email", verifyToken, validateBody(UserUpdateInput, { partial: true }), async (req, res) => {
+    try {
+      const { email } = req.params;
+      const updateData = req.body;
+
+      if (!isSelfOrPermitted(req, email, "users:manage-roles")) {
+        return sendError(res, 403, "Cannot update another user's profile");
+      }
+
+      const before = await usersCollection.findOne({ email });
+      const result = await usersCollection.updateOne(
+        { email },
+        {
+          $set: {
+            ...updateData,
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "User not found");
+      }
+
+      const updatedUser = await usersCollection.findOne({ email });
+      await audit(req, "user.update", { collection: "users", id: updatedUser._id }, before, updatedUser);
+
+      // Remove sensitive fields before sending
+      const { password, firebaseUID, ...userData } = updatedUser;
+      res.json(userData);
+    } catch (err) {
+      console.error("Error updating user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /roles - List roles and their permissions
+  router.get("/roles", verifyToken, requirePermission("users:manage-roles"), (_req, res) => {
+    const roles = Object.entries(ROLES).map(([name, role]) => ({ name, ...role }));
+    res.json({ success: true, count: roles.length, data: roles });
+  });
+
+  // PATCH /users/:id/role - Assign a role (and sites for supervisors)
+  router.patch("/users/:id/role", verifyToken, requirePermission("users:manage-roles"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { role, assignedSites, guardId } = req.body;
+
+      if (!ROLES[role]) {
+        return sendValidationError(res, [{ field: "role", message: `role must be one of: ${Object.keys(ROLES).join(", ")}` }]);
+      }
+
+      if (assignedSites !== undefined &&
+        (!Array.isArray(assignedSites) || !assignedSites.every(s => ObjectId.isValid(s)))) {
+        return sendValidationError(res, [{ field: "assignedSites", message: "assignedSites must be an array of site ids" }]);
+      }
+
+      const siteIds = (assignedSites || []).map(s => new ObjectId(s));
+      if (siteIds.length > 0) {
+        const found = await sitesCollection.countDocuments({ _id: { $in: siteIds } });
+        if (found !== siteIds.length) {
+          return sendValidationError(res, [{ field: "assignedSites", message: "One or more assigned sites do not exist" }]);
+        }
+      }
+
+      const targetUser = await usersCollection.findOne({ _id: new ObjectId(id) });
+      if (!targetUser) {
+        return sendError(res, 404, "User not found");
+      }
+
+      // Only super-admins may grant or take away super-admin
+      const requesterRole = getRole(req.user);
+      const currentRole = getRole(targetUser);
+      if ((role === "super-admin" || currentRole === "super-admin") && requesterRole !== "super-admin") {
+        return sendError(res, 403, "Only a super-admin can change super-admin access");
+      }
+
+      // Never leave the system without a super-admin
+      if (currentRole === "super-admin" && role !== "super-admin" && await isLastSuperAdmin(targetUser)) {
+        return sendError(res, 400, "Cannot remove the last super-admin");
+      }
+
+      const update = {
+        role,
+        isAdmin: ROLES[role].isAdmin,
+        updatedAt: new Date()
+      };
+      if (ROLES[role].siteScoped) {
+        update.assignedSites = assignedSites ? siteIds : targetUser.assignedSites || [];
+      } else {
+        update.assignedSites = [];
+      }
+
+      // Guard accounts are linked to their guard record for self check-in
+      if (role === "guard") {
+        const linkedId = guardId || targetUser.guardId;
+        if (!linkedId || !ObjectId.isValid(linkedId) ||
+          !(await guardsCollection.findOne({ _id: new ObjectId(linkedId) }))) {
+          return sendValidationError(res, [{ field: "guardId", message: "guardId of an existing guard is required for the guard role" }]);
+        }
+        update.guardId = new ObjectId(linkedId);
+      } else {
+        update.guardId = null;
+      }
+
+      await usersCollection.updateOne({ _id: targetUser._id }, { $set: update });
+      const updatedUser = await usersCollection.findOne({ _id: targetUser._id });
+      await audit(req, "user.role.assign", { collection: "users", id: targetUser._id }, targetUser, updatedUser);
+
+      if (ROLES[role].isAdmin && !ROLES[currentRole].isAdmin) {
+        await mailer.enqueue("admin-granted", updatedUser.email, {
+          name: updatedUser.name,
+          roleLabel: ROLES[role].label,
+          grantedBy: req.user.name || req.user.email,
+        });
+      }
+
+      // Remove sensitive fields before sending
+      const { password, firebaseUID, ...userData } = updatedUser;
+      res.json(userData);
+    } catch (err) {
+      console.error("Error assigning role:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // True when `user` is the only active super-admin
+  async function isLastSuperAdmin(user) {
+    if (getRole(user) !== "super-admin" || !isActiveAccount(user)) return false;
+    const count = await usersCollection.countDocuments({
+      ...ACTIVE_ACCOUNT,
+      $or: [{ role: "super-admin" }, { role: { $exists: false }, isAdmin: true }],
+    });
+    return count <= 1;
+  }
+
+  // Shared checks before deactivating or deleting account `id`: not your own
+  // account, super-admins only by super-admins, and never the last one
+  async function loadAccountToDisable(req, id) {
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+    if (!user) {
+      return { ok: false, status: 404, message: "User not found" };
+    }
+    if (user._id.equals(req.user._id)) {
+      return { ok: false, status: 400, message: "You cannot disable your own account" };
+    }
+    if (getRole(user) === "super-admin" && getRole(req.user) !== "super-admin") {
+      return { ok: false, status: 403, message: "Only a super-admin can change super-admin access" };
+    }
+    if (await isLastSuperAdmin(user)) {
+      return { ok: false, status: 400, message: "Cannot disable the last super-admin" };
+    }
+    return { ok: true, user };
+  }
+
+  // Apply `update` to account `user` and answer with the result
+  async function updateAccount(req, res, user, action, update) {
+    await usersCollection.updateOne({ _id: user._id }, update);
+    const updatedUser = await usersCollection.findOne({ _id: user._id });
+    await audit(req, action, { collection: "users", id: user._id }, user, updatedUser);
+
+    // Remove sensitive fields before sending
+    const { password, firebaseUID, ...userData } = updatedUser;
+    res.json(userData);
+  }
+
+  // POST /users/:id/deactivate - block an account from signing in; body: { reason }
+  router.post("/users/:id/deactivate", verifyToken, requirePermission("users:manage-roles"), async (req, res) => {
+    try {
+      const found = await loadAccountToDisable(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+      if (found.user.deactivatedAt) {
+        return sendError(res, 400, "Account is already deactivated");
+      }
+
+      const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 500) : null;
+      await updateAccount(req, res, found.user, "user.deactivate", {
+        $set: {
+          deactivatedAt: new Date(),
+          deactivatedBy: req.user._id,
+          deactivationReason: reason || null,
+          updatedAt: new Date(),
+        },
+      });
+    } catch (err) {
+      console.error("Error deactivating user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /users/:id/activate - undo a deactivation
+  router.post("/users/:id/activate", verifyToken, requirePermission("users:manage-roles"), async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+      if (!user.deactivatedAt) {
+        return sendError(res, 400, "Account is not deactivated");
+      }
+      if (getRole(user) === "super-admin" && getRole(req.user) !== "super-admin") {
+        return sendError(res, 403, "Only a super-admin can change super-admin access");
+      }
+
+      await updateAccount(req, res, user, "user.activate", {
+        $set: { deactivatedAt: null, deactivatedBy: null, deactivationReason: null, updatedAt: new Date() },
+      });
+    } catch (err) {
+      console.error("Error activating user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // DELETE /users/:id - soft-delete an account. It can no longer sign in and
+  // is left out of GET /users; POST /users/:id/restore brings it back.
+  router.delete("/users/:id", verifyToken, requirePermission("users:manage-roles"), async (req, res) => {
+    try {
+      const found = await loadAccountToDisable(req, req.params.id);
+      if (!found.ok) return sendFailure(res, found);
+      if (found.user.deletedAt) {
+        return sendError(res, 404, "User not found");
+      }
+
+      await updateAccount(req, res, found.user, "user.delete", {
+        $set: { deletedAt: new Date(), deletedBy: req.user._id, updatedAt: new Date() },
+      });
+    } catch (err) {
+      console.error("Error deleting user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // POST /users/:id/restore - undo a soft delete
+  router.post("/users/:id/restore", verifyToken, requirePermission("users:manage-roles"), async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id), deletedAt: { $ne: null } });
+      if (!user) {
+        return sendError(res, 404, "Deleted user not found");
+      }
+      if (getRole(user) === "super-admin" && getRole(req.user) !== "super-admin") {
+        return sendError(res, 403, "Only a super-admin can change super-admin access");
+      }
+
+      await updateAccount(req, res, user, "user.restore", {
+        $set: { deletedAt: null, deletedBy: null, updatedAt: new Date() },
+      });
+    } catch (err) {
+      console.error("Error restoring user:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  // GET /users/role-check/:email - Check user role (self or admin)
+  router.get("/users/role-check/:email", verifyToken, async (req, res) => {
+    try {
+      const { email } = req.params;
+
+      if (!isSelfOrPermitted(req, email, "users:read")) {
+        return sendError(res, 403, "Cannot check another user's role");
+      }
+
+      const user = await usersCollection.findOne({ email });
+
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      const role = getRole(user);
+      res.json({
+        email: user.email,
+        isAdmin: ROLES[role].isAdmin,
+        role,
+        permissions: ROLES[role].permissions,
+        assignedSites: user.assignedSites || []
+      });
+    } catch (err) {
+      console.error("Error checking user role:", err);
+      sendError(res, 500, "Internal server error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUserRouter };
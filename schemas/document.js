@@ -0,0 +1,26 @@
+const { Schema } = require("mongoose");
+
+const DOCUMENT_TYPES = ["nid", "photo", "police-verification", "training-certificate", "other"];
+
+// Metadata sent with a guard document upload (multipart form fields)
+const documentSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "type is required"],
+      enum: { values: DOCUMENT_TYPES, message: `type must be one of: ${DOCUMENT_TYPES.join(", ")}` },
+    },
+    issuedAt: { type: Date, default: null },
+    // Certificates that lapse; null when the document does not expire
+    expiresAt: { type: Date, default: null },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: [500, "note must be at most 500 characters"],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { documentSchema, DOCUMENT_TYPES };
@@ -0,0 +1,88 @@
+const { Schema } = require("mongoose");
+const { transactionSchema } = require("./transaction");
+const { presenceSchema } = require("./presence");
+const { phoneField, nidField, isBdtAmount } = require("../utils/bangladesh");
+
+const guardFields = {
+  name: { type: String, trim: true, required: [true, "name is required"] },
+  // Stored as +8801XXXXXXXXX
+  phone: phoneField({ required: [true, "phone is required"] }),
+  // Stored as digits only
+  nid: nidField({ required: [true, "nid is required"] }),
+  address: { type: String, trim: true, default: null },
+  joinDate: { type: Date, default: () => new Date() },
+  siteId: { type: Schema.Types.ObjectId, required: [true, "siteId is required"] },
+  dutyTime: { type: String, trim: true, required: [true, "dutyTime is required"] },
+  // Falls back to the site's baseSalary when not set
+  baseSalary: {
+    type: Number,
+    min: [0, "baseSalary must not be negative"],
+    default: null,
+    validate: {
+      validator: (v) => v === null || isBdtAmount(v),
+      message: "baseSalary must have at most 2 decimal places",
+    },
+  },
+};
+
+// New guard, optionally with opening transactions and attendance
+const guardSchema = new Schema(
+  {
+    ...guardFields,
+    initialTransactions: { type: [transactionSchema], default: [] },
+    initialPresence: { type: [presenceSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Profile changes. Transactions and attendance have their own routes.
+const guardUpdateSchema = new Schema(guardFields, { _id: false });
+
+const EMPLOYMENT_STATUSES = ["active", "on-leave", "suspended", "terminated"];
+
+// Employment status change; suspensions and terminations need a reason
+const employmentChangeSchema = new Schema(
+  {
+    status: {
+      type: String,
+      required: [true, "status is required"],
+      enum: { values: EMPLOYMENT_STATUSES, message: `status must be one of: ${EMPLOYMENT_STATUSES.join(", ")}` },
+    },
+    effectiveFrom: { type: Date, default: () => new Date() },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: [500, "reason must be at most 500 characters"],
+      required: [
+        function () { return ["suspended", "terminated"].includes(this.status); },
+        "reason is required to suspend or terminate a guard",
+      ],
+    },
+    // First month of a terminated guard's final settlement, for guards paid
+    // outside the ledger before then
+    settleFrom: {
+      type: String,
+      default: null,
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, "settleFrom must be in YYYY-MM format"],
+    },
+  },
+  { _id: false }
+);
+
+// Re-hire of a terminated guard, found by NID
+const rehireSchema = new Schema(
+  {
+    nid: guardFields.nid,
+    joinDate: guardFields.joinDate,
+    siteId: guardFields.siteId,
+    dutyTime: guardFields.dutyTime,
+    baseSalary: guardFields.baseSalary,
+    phone: phoneField(),
+    address: { type: String, trim: true },
+    reason: { type: String, trim: true, default: null, maxlength: [500, "reason must be at most 500 characters"] },
+  },
+  { _id: false }
+);
+
+module.exports = { guardSchema, guardUpdateSchema, employmentChangeSchema, rehireSchema, EMPLOYMENT_STATUSES };
@@ -0,0 +1,71 @@
+const { Schema } = require("mongoose");
+const { INCIDENT_CATEGORIES, INCIDENT_SEVERITIES, INCIDENT_STATUSES } = require("../services/incidents");
+
+const incidentFields = {
+  category: {
+    type: String,
+    required: [true, "category is required"],
+    enum: { values: INCIDENT_CATEGORIES, message: `category must be one of: ${INCIDENT_CATEGORIES.join(", ")}` },
+  },
+  severity: {
+    type: String,
+    required: [true, "severity is required"],
+    enum: { values: INCIDENT_SEVERITIES, message: `severity must be one of: ${INCIDENT_SEVERITIES.join(", ")}` },
+  },
+  description: {
+    type: String,
+    trim: true,
+    required: [true, "description is required"],
+    maxlength: [5000, "description must be at most 5000 characters"],
+  },
+  occurredAt: { type: Date, default: () => new Date() },
+};
+
+// New incident (JSON, or multipart form fields with photos). Staff name the
+// guard; a guard reporting from their post is the guard.
+const incidentSchema = new Schema(
+  {
+    ...incidentFields,
+    guardId: { type: Schema.Types.ObjectId },
+    // Defaults to the guard's site
+    siteId: { type: Schema.Types.ObjectId },
+  },
+  { _id: false }
+);
+
+// Corrections to an incident's details; occurredAt has no default here, so a
+// correction that leaves it out keeps the original time
+const incidentUpdateSchema = new Schema({ ...incidentFields, occurredAt: { type: Date } }, { _id: false });
+
+// Status change; closing needs the resolution
+const incidentStatusSchema = new Schema(
+  {
+    status: {
+      type: String,
+      required: [true, "status is required"],
+      enum: { values: INCIDENT_STATUSES, message: `status must be one of: ${INCIDENT_STATUSES.join(", ")}` },
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: [2000, "note must be at most 2000 characters"],
+      required: [function () { return this.status === "closed"; }, "note is required to close an incident"],
+    },
+  },
+  { _id: false }
+);
+
+const incidentCommentSchema = new Schema(
+  {
+    message: {
+      type: String,
+      trim: true,
+      required: [true, "message is required"],
+      maxlength: [2000, "message must be at most 2000 characters"],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { incidentSchema, incidentUpdateSchema, incidentStatusSchema, incidentCommentSchema };
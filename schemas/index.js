@@ -0,0 +1,58 @@
+// Input schemas for write routes. They are compiled into mongoose models only
+// to validate and cast request bodies (see middleware/validate.js); documents
+// are still stored with the MongoDB driver.
+const mongoose = require("mongoose");
+const { transactionSchema, reversalSchema, TRANSACTION_TYPES } = require("./transaction");
+const { presenceSchema } = require("./presence");
+const {
+  messageSchema,
+  messageUpdateSchema,
+  messageReplySchema,
+  messageNoteSchema,
+  MESSAGE_STATUSES,
+} = require("./message");
+const { userSchema, userUpdateSchema } = require("./user");
+const {
+  guardSchema,
+  guardUpdateSchema,
+  employmentChangeSchema,
+  rehireSchema,
+  EMPLOYMENT_STATUSES,
+} = require("./guard");
+const { documentSchema, DOCUMENT_TYPES } = require("./document");
+const { leaveRequestSchema, leaveDecisionSchema } = require("./leave");
+const {
+  incidentSchema,
+  incidentUpdateSchema,
+  incidentStatusSchema,
+  incidentCommentSchema,
+} = require("./incident");
+
+const model = (name, schema) => mongoose.models[name] || mongoose.model(name, schema);
+
+module.exports = {
+  TRANSACTION_TYPES,
+  MESSAGE_STATUSES,
+  DOCUMENT_TYPES,
+  EMPLOYMENT_STATUSES,
+  TransactionInput: model("TransactionInput", transactionSchema),
+  ReversalInput: model("ReversalInput", reversalSchema),
+  PresenceInput: model("PresenceInput", presenceSchema),
+  MessageInput: model("MessageInput", messageSchema),
+  MessageUpdateInput: model("MessageUpdateInput", messageUpdateSchema),
+  MessageReplyInput: model("MessageReplyInput", messageReplySchema),
+  MessageNoteInput: model("MessageNoteInput", messageNoteSchema),
+  UserInput: model("UserInput", userSchema),
+  UserUpdateInput: model("UserUpdateInput", userUpdateSchema),
+  GuardInput: model("GuardInput", guardSchema),
+  GuardUpdateInput: model("GuardUpdateInput", guardUpdateSchema),
+  EmploymentChangeInput: model("EmploymentChangeInput", employmentChangeSchema),
+  RehireInput: model("RehireInput", rehireSchema),
+  DocumentInput: model("DocumentInput", documentSchema),
+  LeaveRequestInput: model("LeaveRequestInput", leaveRequestSchema),
+  LeaveDecisionInput: model("LeaveDecisionInput", leaveDecisionSchema),
+  IncidentInput: model("IncidentInput", incidentSchema),
+  IncidentUpdateInput: model("IncidentUpdateInput", incidentUpdateSchema),
+  IncidentStatusInput: model("IncidentStatusInput", incidentStatusSchema),
+  IncidentCommentInput: model("IncidentCommentInput", incidentCommentSchema),
+};
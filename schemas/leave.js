@@ -0,0 +1,27 @@
+const { Schema } = require("mongoose");
+const { LEAVE_TYPES } = require("../services/leave");
+
+// A leave request for the days from `from` to `to`, both included
+const leaveRequestSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "type is required"],
+      enum: { values: LEAVE_TYPES, message: `type must be one of: ${LEAVE_TYPES.join(", ")}` },
+    },
+    from: { type: Date, required: [true, "from is required"] },
+    to: { type: Date, required: [true, "to is required"] },
+    reason: { type: String, trim: true, default: null, maxlength: [500, "reason must be at most 500 characters"] },
+  },
+  { _id: false }
+);
+
+// Approval, rejection or cancellation of a leave request
+const leaveDecisionSchema = new Schema(
+  {
+    note: { type: String, trim: true, default: null, maxlength: [500, "note must be at most 500 characters"] },
+  },
+  { _id: false }
+);
+
+module.exports = { leaveRequestSchema, leaveDecisionSchema };
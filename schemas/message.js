@@ -0,0 +1,87 @@
+const { Schema } = require("mongoose");
+
+// "spam" holds messages the spam checks caught until an admin reviews them
+const MESSAGE_STATUSES = ["new", "in-progress", "resolved", "spam"];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Contact form submission
+const messageSchema = new Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      required: [true, "name is required"],
+      maxlength: [100, "name must be at most 100 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      required: [true, "email is required"],
+      match: [EMAIL_REGEX, "Please provide a valid email address"],
+    },
+    phone: { type: String, trim: true, default: null },
+    message: {
+      type: String,
+      trim: true,
+      required: [true, "message is required"],
+      maxlength: [5000, "message must be at most 5000 characters"],
+    },
+    userId: { type: String, default: null },
+    // Accepted from older clients but ignored; the thread is the signed-in user's
+    userEmail: {
+      type: String,
+      trim: true,
+      match: [EMAIL_REGEX, "userEmail must be a valid email address"],
+    },
+  },
+  { _id: false }
+);
+
+// Admin changes to a message
+const messageUpdateSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: { values: MESSAGE_STATUSES, message: `status must be one of: ${MESSAGE_STATUSES.join(", ")}` },
+    },
+    isRead: { type: Boolean },
+    // Admin the ticket is assigned to; null unassigns
+    assignedTo: { type: Schema.Types.ObjectId },
+  },
+  { _id: false }
+);
+
+// Reply in a ticket's thread, from staff or the user who wrote in
+const messageReplySchema = new Schema(
+  {
+    message: {
+      type: String,
+      trim: true,
+      required: [true, "message is required"],
+      maxlength: [5000, "message must be at most 5000 characters"],
+    },
+  },
+  { _id: false }
+);
+
+// Internal note on a ticket, never shown to the user
+const messageNoteSchema = new Schema(
+  {
+    note: {
+      type: String,
+      trim: true,
+      required: [true, "note is required"],
+      maxlength: [2000, "note must be at most 2000 characters"],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = {
+  MESSAGE_STATUSES,
+  EMAIL_REGEX,
+  messageSchema,
+  messageUpdateSchema,
+  messageReplySchema,
+  messageNoteSchema,
+};
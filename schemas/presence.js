@@ -0,0 +1,19 @@
+const { Schema } = require("mongoose");
+const { PRESENCE_STATUSES } = require("../services/attendance");
+
+// A guard's attendance for one day
+const presenceSchema = new Schema(
+  {
+    date: { type: Date, required: [true, "date is required"] },
+    status: {
+      type: String,
+      required: [true, "status is required"],
+      enum: { values: PRESENCE_STATUSES, message: `status must be one of: ${PRESENCE_STATUSES.join(", ")}` },
+    },
+    note: { type: String, trim: true, maxlength: [500, "note must be at most 500 characters"] },
+    shiftId: { type: Schema.Types.ObjectId },
+  },
+  { _id: false }
+);
+
+module.exports = { presenceSchema };
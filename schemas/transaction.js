@@ -0,0 +1,57 @@
+const { Schema } = require("mongoose");
+const { isBdtAmount } = require("../utils/bangladesh");
+
+const TRANSACTION_TYPES = ["salary", "advance", "bonus", "fine", "repayment"];
+const CURRENCIES = ["BDT"];
+const MAX_AMOUNT = 10000000;
+
+// A money transaction on a guard, posted to the ledger
+const transactionSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "type is required"],
+      enum: { values: TRANSACTION_TYPES, message: `type must be one of: ${TRANSACTION_TYPES.join(", ")}` },
+    },
+    amount: {
+      type: Number,
+      required: [true, "amount is required"],
+      min: [0.01, "amount must be greater than 0"],
+      max: [MAX_AMOUNT, `amount must be at most ${MAX_AMOUNT}`],
+      validate: {
+        validator: isBdtAmount,
+        message: "amount must have at most 2 decimal places",
+      },
+    },
+    currency: {
+      type: String,
+      default: "BDT",
+      enum: { values: CURRENCIES, message: `currency must be one of: ${CURRENCIES.join(", ")}` },
+    },
+    date: { type: Date, default: () => new Date() },
+    note: { type: String, trim: true, maxlength: [500, "note must be at most 500 characters"], default: null },
+    // Month a salary pays, as YYYY-MM; settles that month's advances, fines and bonuses
+    payrollMonth: {
+      type: String,
+      default: null,
+      required: [function () { return this.type === "salary"; }, "payrollMonth is required for salary"],
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, "payrollMonth must be in YYYY-MM format"],
+    },
+  },
+  { _id: false }
+);
+
+// Reversal of a ledger entry
+const reversalSchema = new Schema(
+  {
+    reason: {
+      type: String,
+      trim: true,
+      required: [true, "reason is required"],
+      maxlength: [500, "reason must be at most 500 characters"],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { TRANSACTION_TYPES, CURRENCIES, transactionSchema, reversalSchema };
@@ -0,0 +1,31 @@
+const { Schema } = require("mongoose");
+const { phoneField } = require("../utils/bangladesh");
+
+// Profile fields a user may set. Email and firebaseUID come from the verified
+// token and role/isAdmin only from role assignment, so none are listed here.
+const profileFields = {
+  name: { type: String, trim: true, maxlength: [100, "name must be at most 100 characters"] },
+  photoURL: { type: String, trim: true },
+  phone: phoneField(),
+  address: { type: String, trim: true, maxlength: [300, "address must be at most 300 characters"] },
+};
+
+// Signup. The client may echo its email and uid; both are replaced with the token's.
+const userSchema = new Schema(
+  {
+    ...profileFields,
+    email: { type: String, trim: true, lowercase: true },
+    firebaseUID: { type: String },
+  },
+  { _id: false }
+);
+
+const userUpdateSchema = new Schema(
+  {
+    ...profileFields,
+    lastLogin: { type: Date },
+  },
+  { _id: false }
+);
+
+module.exports = { userSchema, userUpdateSchema };
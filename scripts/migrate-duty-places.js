@@ -0,0 +1,83 @@
+// One-off migration: turn free-text guard `dutyPlace` strings into `sites`
+// records and point each guard at its site by `siteId`.
+//
+// Also carries over per-duty-post salaries from the old `payrollRates`
+// collection and converts supervisors' `assignedSites` from duty place names
+// to site ids. Safe to run more than once.
+//
+//   npm run migrate:sites            # apply
+//   npm run migrate:sites -- --dry   # report only
+
+require("dotenv").config();
+const { connectDb, closeDb } = require("../db");
+
+const dryRun = process.argv.includes("--dry");
+
+async function migrate() {
+  const db = await connectDb();
+  const guards = db.collection("guards");
+  const sites = db.collection("sites");
+  const users = db.collection("users");
+  const payrollRates = db.collection("payrollRates");
+
+  const dutyPlaces = (await guards.distinct("dutyPlace", { siteId: { $exists: false } }))
+    .filter(place => typeof place === "string" && place.trim());
+  const rates = await payrollRates.find({}).toArray();
+
+  console.log(`Found ${dutyPlaces.length} duty place(s) to migrate`);
+
+  for (const place of dutyPlaces) {
+    const name = place.trim();
+    const rate = rates.find(r => r.dutyPlace === place);
+
+    if (dryRun) {
+      console.log(`  would create site "${name}"`);
+      continue;
+    }
+
+    const now = new Date();
+    await sites.updateOne(
+      { name },
+      {
+        $setOnInsert: {
+          name,
+          // Client details are unknown for migrated sites; fill them in later
+          clientName: name,
+          address: null,
+          guardsPerShift: 1,
+          shiftsPerDay: 1,
+          createdAt: now,
+          ...(rate ? { baseSalary: rate.baseSalary } : {}),
+        },
+        $set: { updatedAt: now },
+      },
+      { upsert: true }
+    );
+    const site = await sites.findOne({ name });
+
+    const result = await guards.updateMany(
+      { dutyPlace: place, siteId: { $exists: false } },
+      { $set: { siteId: site._id, updatedAt: now }, $unset: { dutyPlace: "" } }
+    );
+    console.log(`  "${name}": ${result.modifiedCount} guard(s) linked`);
+  }
+
+  const supervisors = await users.find({ "assignedSites.0": { $type: "string" } }).toArray();
+  for (const user of supervisors) {
+    if (dryRun) {
+      console.log(`  would convert assignedSites for ${user.email}`);
+      continue;
+    }
+    const matched = await sites.find({ name: { $in: user.assignedSites.map(s => s.trim()) } }).toArray();
+    const ids = matched.map(site => site._id);
+    await users.updateOne({ _id: user._id }, { $set: { assignedSites: ids, updatedAt: new Date() } });
+  }
+  console.log(`Converted assignedSites for ${supervisors.length} user(s)`);
+}
+
+migrate()
+  .catch(err => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -0,0 +1,102 @@
+// Migration for guards' personal data: store phone numbers as +8801XXXXXXXXX
+// and NIDs as digits only, encrypt them and addresses with the current PII
+// key, fill in the lookup hashes and make NIDs and phone numbers unique (see
+// services/pii.js).
+//
+// Values encrypted with an older key are re-encrypted, so after adding a new
+// key to the front of PII_ENCRYPTION_KEYS, run this and then remove the old
+// key. Values that are not a valid Bangladeshi mobile number or NID are
+// reported and encrypted as they are. Duplicates (after normalizing) are
+// reported too, and the unique indexes are only created once there are none,
+// so fix those guards and run it again. Safe to run more than once.
+//
+//   npm run migrate:guard-contacts            # apply
+//   npm run migrate:guard-contacts -- --dry   # report only
+
+require("dotenv").config();
+const { loadConfig } = require("../config");
+const { connectDb, closeDb } = require("../db");
+const { PII_FIELDS, HASHED_FIELDS, hashField, createPiiCipher } = require("../services/pii");
+
+const dryRun = process.argv.includes("--dry");
+
+// Indexes from before the values were encrypted
+const PLAINTEXT_INDEXES = ["nid_1", "phone_1"];
+
+async function migrate() {
+  const config = loadConfig();
+  const pii = createPiiCipher(config.pii);
+  const db = await connectDb(config);
+  const guards = db.collection("guards");
+
+  let updated = 0;
+  const invalid = [];
+  const seen = Object.fromEntries(Object.keys(HASHED_FIELDS).map(field => [field, new Map()]));
+  const duplicates = [];
+
+  const projection = Object.fromEntries(["name", ...PII_FIELDS, ...Object.keys(HASHED_FIELDS).map(hashField)].map(f => [f, 1]));
+  for await (const guard of guards.find({}).project(projection)) {
+    const values = {};
+    let stale = false;
+    for (const field of PII_FIELDS) {
+      const stored = guard[field];
+      if (stored === null || stored === undefined || stored === "") continue;
+
+      const plain = pii.decrypt(stored);
+      let value = plain;
+      const normalize = HASHED_FIELDS[field];
+      if (normalize) {
+        const normalized = normalize(value);
+        if (!normalized) {
+          invalid.push({ guardId: guard._id, name: guard.name, field, value });
+        } else {
+          value = normalized;
+          const other = seen[field].get(value);
+          if (other) {
+            duplicates.push({ field, value, guardIds: [other, guard._id] });
+          } else {
+            seen[field].set(value, guard._id);
+          }
+        }
+        if ((guard[hashField(field)] ?? null) !== pii.hash(field, value)) stale = true;
+      }
+      if (value !== plain || !pii.isCurrent(stored)) stale = true;
+      values[field] = value;
+    }
+
+    if (stale) {
+      if (!dryRun) await guards.updateOne({ _id: guard._id }, { $set: pii.encryptFields(values) });
+      updated++;
+    }
+  }
+
+  console.log(`${dryRun ? "Would update" : "Updated"} the personal data of ${updated} guard(s) (key ${pii.currentKeyId})`);
+  if (invalid.length > 0) {
+    console.log(`Found ${invalid.length} invalid value(s) for manual review:`);
+    invalid.forEach(i => console.log(`  guard ${i.guardId} (${i.name}): ${i.field}`));
+  }
+  if (duplicates.length > 0) {
+    console.log(`Found ${duplicates.length} duplicate value(s); unique indexes not created:`);
+    duplicates.forEach(d => console.log(`  ${d.field}: guards ${d.guardIds.join(", ")}`));
+    process.exitCode = 1;
+    return;
+  }
+  if (dryRun) return;
+
+  const existing = (await guards.indexes()).map(i => i.name);
+  for (const name of PLAINTEXT_INDEXES.filter(n => existing.includes(n))) {
+    await guards.dropIndex(name);
+  }
+  for (const field of Object.keys(HASHED_FIELDS)) {
+    const key = hashField(field);
+    await guards.createIndex({ [key]: 1 }, { unique: true, partialFilterExpression: { [key]: { $type: "string" } } });
+  }
+  console.log("Created unique indexes on guard nidHash and phoneHash");
+}
+
+migrate()
+  .catch(err => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -0,0 +1,105 @@
+// One-off migration: move the `transactions` array embedded in each guard
+// into the `ledger` collection, oldest first, and set the guard's running
+// balance.
+//
+// Entries are posted with an idempotency key made from the guard and the
+// transaction's position, so an interrupted run can simply be repeated.
+// Transactions that cannot be posted (unknown type, bad amount or date, a
+// second salary for the same month) are reported and left in the guard's
+// `transactions` array for manual review. A salary recorded before
+// payrollMonth existed pays the month it was dated in, so settlements and
+// payroll runs see that month as paid.
+//
+//   npm run migrate:ledger            # apply
+//   npm run migrate:ledger -- --dry   # report only
+
+require("dotenv").config();
+const { connectDb, closeDb } = require("../db");
+const { createLedger } = require("../services/ledger");
+const { TRANSACTION_TYPES } = require("../schemas/transaction");
+const { dayKey } = require("../services/roster");
+
+const dryRun = process.argv.includes("--dry");
+
+async function migrate() {
+  const db = await connectDb();
+  const guards = db.collection("guards");
+  const ledgerCollection = db.collection("ledger");
+
+  await ledgerCollection.createIndex(
+    { idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+  );
+  await ledgerCollection.createIndex(
+    { guardId: 1, paysMonth: 1 },
+    { unique: true, partialFilterExpression: { paysMonth: { $type: "string" } } }
+  );
+  const ledger = createLedger({ ledgerCollection, guardsCollection: guards });
+
+  const cursor = guards.find({ "transactions.0": { $exists: true } });
+  let migratedGuards = 0;
+  let migratedEntries = 0;
+  const skipped = [];
+
+  for await (const guard of cursor) {
+    const unmigrated = [];
+    const transactions = guard.transactions
+      .map((t, index) => ({ ...t, index }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date) || a.index - b.index);
+
+    for (const t of transactions) {
+      const { index, ...transaction } = t;
+      const type = String(transaction.type || "").trim().toLowerCase();
+      const amount = Number(transaction.amount);
+      const date = new Date(transaction.date);
+      if (!TRANSACTION_TYPES.includes(type) || !(amount > 0) || isNaN(date)) {
+        skipped.push({ guardId: guard._id, ...transaction, reason: "unknown type, amount or date" });
+        unmigrated.push(transaction);
+        continue;
+      }
+      if (dryRun) {
+        migratedEntries++;
+        continue;
+      }
+
+      const result = await ledger.post(
+        guard,
+        {
+          type,
+          amount,
+          date,
+          note: transaction.note || null,
+          payrollMonth: transaction.payrollMonth || (type === "salary" ? dayKey(date).slice(0, 7) : null),
+        },
+        { idempotencyKey: `migration:${guard._id}:${index}` }
+      );
+      if (result.ok) {
+        migratedEntries++;
+      } else {
+        skipped.push({ guardId: guard._id, ...transaction, reason: result.message });
+        unmigrated.push(transaction);
+      }
+    }
+
+    if (!dryRun) {
+      await guards.updateOne(
+        { _id: guard._id },
+        unmigrated.length > 0 ? { $set: { transactions: unmigrated } } : { $unset: { transactions: "" } }
+      );
+    }
+    migratedGuards++;
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ${migratedEntries} transaction(s) for ${migratedGuards} guard(s)`);
+  if (skipped.length > 0) {
+    console.log(`Skipped ${skipped.length} transaction(s):`);
+    skipped.forEach(s => console.log(`  guard ${s.guardId}: ${s.date} ${s.type} ${s.amount} (${s.reason})`));
+  }
+}
+
+migrate()
+  .catch(err => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
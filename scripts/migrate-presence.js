@@ -0,0 +1,104 @@
+// One-off migration: move the `presence` array embedded in each guard into
+// the `presence` collection (one record per guard per day).
+//
+// When a day was recorded more than once, the last entry wins and the earlier
+// ones are kept in the record's `history`. Statuses outside the fixed set are
+// reported and left in the guard's `presence` array for manual review. Safe to
+// run more than once.
+//
+//   npm run migrate:presence            # apply
+//   npm run migrate:presence -- --dry   # report only
+
+require("dotenv").config();
+const { connectDb, closeDb } = require("../db");
+const { PRESENCE_STATUSES } = require("../services/attendance");
+const { localDay } = require("../services/roster");
+
+const dryRun = process.argv.includes("--dry");
+
+async function migrate() {
+  const db = await connectDb();
+  const guards = db.collection("guards");
+  const presence = db.collection("presence");
+
+  await presence.createIndex({ guardId: 1, date: 1 }, { unique: true });
+
+  const cursor = guards.find({ "presence.0": { $exists: true } });
+  let migratedGuards = 0;
+  let migratedDays = 0;
+  const skipped = [];
+
+  for await (const guard of cursor) {
+    const byDay = new Map();
+    const unmigrated = [];
+    const entries = [...guard.presence].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    for (const entry of entries) {
+      const status = String(entry.status || "").trim().toLowerCase();
+      const date = new Date(entry.date);
+      if (!PRESENCE_STATUSES.includes(status) || isNaN(date)) {
+        skipped.push({ guardId: guard._id, date: entry.date, status: entry.status });
+        unmigrated.push(entry);
+        continue;
+      }
+
+      const day = localDay(date);
+      const key = day.toISOString();
+      const previous = byDay.get(key);
+      byDay.set(key, {
+        day,
+        status,
+        shiftId: entry.shiftId || null,
+        assignmentId: entry.assignmentId || null,
+        history: previous
+          ? [...previous.history, { from: { status: previous.status }, to: { status }, changedBy: null, changedAt: null }]
+          : [],
+      });
+    }
+
+    if (!dryRun) {
+      const now = new Date();
+      for (const record of byDay.values()) {
+        await presence.updateOne(
+          { guardId: guard._id, date: record.day },
+          {
+            $setOnInsert: {
+              guardId: guard._id,
+              siteId: guard.siteId || null,
+              date: record.day,
+              status: record.status,
+              note: null,
+              shiftId: record.shiftId,
+              assignmentId: record.assignmentId,
+              recordedBy: null,
+              history: record.history,
+              createdAt: now,
+              updatedAt: now,
+            },
+          },
+          { upsert: true }
+        );
+      }
+      await guards.updateOne(
+        { _id: guard._id },
+        unmigrated.length > 0 ? { $set: { presence: unmigrated } } : { $unset: { presence: "" } }
+      );
+    }
+
+    migratedGuards++;
+    migratedDays += byDay.size;
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ${migratedDays} day(s) for ${migratedGuards} guard(s)`);
+  if (skipped.length > 0) {
+    console.log(`Skipped ${skipped.length} entr(ies) with an unknown status or date:`);
+    skipped.forEach(s => console.log(`  guard ${s.guardId}: ${s.date} "${s.status}"`));
+  }
+}
+
+migrate()
+  .catch(err => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -0,0 +1,357 @@
+// Dashboard numbers. Each builder returns one aggregation pipeline; the
+// routes run them and cache the results briefly.
+
+const { DAY_MS, UTC_OFFSET_MINUTES, parseDay, localDay } = require("./roster");
+
+const GROUP_BY = ["day", "week", "month"];
+const DATE_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+
+// Sites' UTC offset as "+06:00", so instants are counted on their local day
+const TIMEZONE = (() => {
+  const minutes = Math.abs(UTC_OFFSET_MINUTES);
+  const sign = UTC_OFFSET_MINUTES < 0 ? "-" : "+";
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+})();
+
+const MAX_RANGE_DAYS = 731;
+
+// Days from ?from=&to= (YYYY-MM-DD, both included). Without them the range is
+// the `defaultDays` days up to today, or everything when `defaultDays` is
+// null. Returns { from, to } as local days with `to` exclusive (either may be
+// null), or { error }.
+function parseRange(query, { defaultDays = 30, now = new Date() } = {}) {
+  for (const key of ["from", "to"]) {
+    if (query[key] !== undefined && !parseDay(query[key])) {
+      return { error: { field: key, message: `${key} must be in YYYY-MM-DD format` } };
+    }
+  }
+
+  const today = localDay(now);
+  const to = query.to ? new Date(parseDay(query.to).getTime() + DAY_MS)
+    : (query.from || defaultDays !== null ? new Date(today.getTime() + DAY_MS) : null);
+  const from = query.from ? parseDay(query.from)
+    : (defaultDays !== null ? new Date(to.getTime() - defaultDays * DAY_MS) : null);
+
+  if (from && to && from >= to) {
+    return { error: { field: "to", message: "to must not be before from" } };
+  }
+  if (from && to && (to - from) / DAY_MS > MAX_RANGE_DAYS) {
+    return { error: { field: "from", message: `The range can be at most ${MAX_RANGE_DAYS} days` } };
+  }
+  return { from, to };
+}
+
+// ?groupBy= checked against `allowed`, or { error }
+function parseGroupBy(value, allowed, fallback) {
+  const groupBy = value || fallback;
+  if (!allowed.includes(groupBy)) {
+    return { error: { field: "groupBy", message: `groupBy must be one of: ${allowed.join(", ")}` } };
+  }
+  return { groupBy };
+}
+
+// Match on a field holding local days (stored as UTC midnight)
+function dayRangeMatch(field, { from, to }) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+  return Object.keys(range).length > 0 ? { [field]: range } : {};
+}
+
+// Match on a field holding instants, for the same local days
+function instantRangeMatch(field, { from, to }) {
+  const shift = (day) => day && new Date(day.getTime() - UTC_OFFSET_MINUTES * 60000);
+  return dayRangeMatch(field, { from: shift(from), to: shift(to) });
+}
+
+const periodOf = (field, groupBy, timezone = TIMEZONE) =>
+  ({ $dateToString: { format: DATE_FORMATS[groupBy], date: field, timezone } });
+
+const siteLookup = (localField = "_id") => [
+  {
+    $lookup: {
+      from: "sites",
+      localField,
+      foreignField: "_id",
+      as: "site",
+      pipeline: [{ $project: { name: 1, guardsPerShift: 1, shiftsPerDay: 1 } }],
+    },
+  },
+  { $set: { site: { $first: "$site" } } },
+];
+
+const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Guards on the books per site and employment status. `match` limits the
+// guards (site scope, current guards).
+function headcountPipeline(match) {
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: { siteId: "$siteId", status: { $ifNull: ["$employment.status", "active"] } },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.siteId",
+        total: { $sum: "$count" },
+        byStatus: { $push: { k: "$_id.status", v: "$count" } },
+      },
+    },
+    ...siteLookup(),
+    {
+      $project: {
+        _id: 0,
+        siteId: "$_id",
+        site: "$site.name",
+        total: 1,
+        byStatus: { $arrayToObject: "$byStatus" },
+        requiredGuards: {
+          $multiply: [{ $ifNull: ["$site.guardsPerShift", 0] }, { $ifNull: ["$site.shiftsPerDay", 1] }],
+        },
+      },
+    },
+    { $sort: { site: 1 } },
+  ];
+}
+
+// Attendance rate over presence records, per site or per period. Leave days
+// are left out; late counts as attended and a half-day as half.
+function attendancePipeline(match, groupBy) {
+  const key = groupBy === "site" ? "$siteId" : periodOf("$date", groupBy, "UTC");
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: key,
+        records: { $sum: 1 },
+        present: count({ $eq: ["$status", "present"] }),
+        late: count({ $eq: ["$status", "late"] }),
+        halfDay: count({ $eq: ["$status", "half-day"] }),
+        absent: count({ $eq: ["$status", "absent"] }),
+        leave: count({ $eq: ["$status", "leave"] }),
+      },
+    },
+    { $set: { workingDays: { $subtract: ["$records", "$leave"] } } },
+    {
+      $set: {
+        rate: {
+          $cond: [
+            { $gt: ["$workingDays", 0] },
+            {
+              $round: [
+                { $divide: [{ $add: ["$present", "$late", { $multiply: ["$halfDay", 0.5] }] }, "$workingDays"] },
+                4,
+              ],
+            },
+            null,
+          ],
+        },
+      },
+    },
+    ...(groupBy === "site"
+      ? [...siteLookup(), { $set: { siteId: "$_id", site: "$site.name" } }, { $sort: { site: 1 } }]
+      : [{ $set: { period: "$_id" } }, { $sort: { period: 1 } }]),
+    { $project: { _id: 0, workingDays: 0 } },
+  ];
+}
+
+// What guards owe (positive ledger balance), per guard, from the ledger
+// entries dated in `dateMatch` (reversals included, so reversed entries
+// cancel out). `guardMatch` limits the guards (site scope, current guards).
+function outstandingAdvancesPipeline(guardMatch, dateMatch = {}) {
+  const active = { $and: [{ $ne: ["$type", "reversal"] }, { $eq: [{ $ifNull: ["$reversedBy", null] }, null] }] };
+  const amountIf = (type) => ({ $sum: { $cond: [{ $and: [active, { $eq: ["$type", type] }] }, "$amount", 0] } });
+  return [
+    { $match: dateMatch },
+    {
+      $group: {
+        _id: "$guardId",
+        balance: { $sum: "$effect" },
+        advances: amountIf("advance"),
+        fines: amountIf("fine"),
+        repayments: amountIf("repayment"),
+      },
+    },
+    { $set: { outstanding: { $round: ["$balance", 2] } } },
+    { $match: { outstanding: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: "guards",
+        localField: "_id",
+        foreignField: "_id",
+        as: "guard",
+        pipeline: [{ $project: { name: 1, siteId: 1, archivedAt: 1 } }],
+      },
+    },
+    { $set: { guard: { $first: "$guard" } } },
+    ...Object.entries(guardMatch).map(([field, value]) => ({ $match: { [`guard.${field}`]: value } })),
+    { $set: { guardId: "$_id", name: "$guard.name", siteId: "$guard.siteId" } },
+    ...siteLookup("siteId"),
+    { $set: { site: "$site.name" } },
+    { $project: { _id: 0, guard: 0, balance: 0 } },
+    {
+      $facet: {
+        guards: [{ $sort: { outstanding: -1, name: 1 } }],
+        total: [{ $group: { _id: null, outstanding: { $sum: "$outstanding" }, guards: { $sum: 1 } } }],
+      },
+    },
+  ];
+}
+
+// Salary recorded per payroll month ("YYYY-MM", both included), over the
+// ledger. `match` limits the entries (site scope on the entry's siteId).
+function payrollCostPipeline(match, { fromMonth, toMonth }) {
+  return [
+    {
+      $match: {
+        ...match,
+        type: "salary",
+        reversedBy: null,
+        payrollMonth: { $gte: fromMonth, $lte: toMonth },
+      },
+    },
+    {
+      $group: {
+        _id: "$payrollMonth",
+        total: { $sum: "$amount" },
+        guards: { $addToSet: "$guardId" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        month: "$_id",
+        total: { $round: ["$total", 2] },
+        guardsPaid: { $size: "$guards" },
+        averagePay: { $round: [{ $divide: ["$total", { $size: "$guards" }] }, 2] },
+      },
+    },
+    { $sort: { month: 1 } },
+  ];
+}
+
+// Contact messages received and resolved per period, and how long the first
+// staff reply took (messages received in the range; spam is left out)
+function messageStatsPipeline(range, groupBy) {
+  const created = instantRangeMatch("createdAt", range);
+  const resolvedAt = instantRangeMatch("statusHistory.changedAt", range);
+  const responseMs = {
+    $cond: [{ $ifNull: ["$firstResponseAt", false] }, { $subtract: ["$firstResponseAt", "$createdAt"] }, null],
+  };
+  const hours = (ms) => ({ $round: [{ $divide: [ms, 3600000] }, 2] });
+
+  return [
+    { $match: { status: { $ne: "spam" }, $or: [created, resolvedAt] } },
+    {
+      $facet: {
+        received: [
+          { $match: created },
+          {
+            $group: {
+              _id: periodOf("$createdAt", groupBy),
+              received: { $sum: 1 },
+              responded: count({ $ifNull: ["$firstResponseAt", false] }),
+              responseMs: { $avg: responseMs },
+            },
+          },
+        ],
+        resolved: [
+          { $unwind: "$statusHistory" },
+          { $match: { "statusHistory.to": "resolved", ...resolvedAt } },
+          { $group: { _id: periodOf("$statusHistory.changedAt", groupBy), resolved: { $sum: 1 } } },
+        ],
+        totals: [
+          { $match: created },
+          {
+            $group: {
+              _id: null,
+              received: { $sum: 1 },
+              responded: count({ $ifNull: ["$firstResponseAt", false] }),
+              open: count({ $in: ["$status", ["new", "in-progress"]] }),
+              responseMs: { $avg: responseMs },
+            },
+          },
+        ],
+      },
+    },
+    // One row per period with both counts
+    {
+      $project: {
+        totals: { $first: "$totals" },
+        periods: { $concatArrays: ["$received", "$resolved"] },
+      },
+    },
+    {
+      $project: {
+        totals: {
+          received: { $ifNull: ["$totals.received", 0] },
+          responded: { $ifNull: ["$totals.responded", 0] },
+          open: { $ifNull: ["$totals.open", 0] },
+          averageResponseHours: hours("$totals.responseMs"),
+        },
+        periods: 1,
+      },
+    },
+    { $unwind: { path: "$periods", preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: "$periods._id",
+        totals: { $first: "$totals" },
+        received: { $sum: { $ifNull: ["$periods.received", 0] } },
+        resolved: { $sum: { $ifNull: ["$periods.resolved", 0] } },
+        responded: { $sum: { $ifNull: ["$periods.responded", 0] } },
+        responseMs: { $max: "$periods.responseMs" },
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $group: {
+        _id: null,
+        totals: { $first: "$totals" },
+        periods: {
+          $push: {
+            $cond: [
+              { $eq: ["$_id", null] },
+              "$$REMOVE",
+              {
+                period: "$_id",
+                received: "$received",
+                resolved: "$resolved",
+                responded: "$responded",
+                averageResponseHours: hours("$responseMs"),
+              },
+            ],
+          },
+        },
+      },
+    },
+    { $project: { _id: 0 } },
+  ];
+}
+
+// New guards per period by joinDate
+function joinsPipeline(match, groupBy) {
+  return [
+    { $match: match },
+    { $group: { _id: periodOf("$joinDate", groupBy), joined: { $sum: 1 } } },
+    { $project: { _id: 0, period: "$_id", joined: 1 } },
+    { $sort: { period: 1 } },
+  ];
+}
+
+module.exports = {
+  GROUP_BY,
+  parseRange,
+  parseGroupBy,
+  dayRangeMatch,
+  instantRangeMatch,
+  headcountPipeline,
+  attendancePipeline,
+  outstandingAdvancesPipeline,
+  payrollCostPipeline,
+  messageStatsPipeline,
+  joinsPipeline,
+};
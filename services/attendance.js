@@ -0,0 +1,57 @@
+// Attendance: one `presence` record per guard per local calendar day.
+
+const PRESENCE_STATUSES = ["present", "absent", "late", "leave", "half-day"];
+
+// How much of a day's pay each status forfeits
+const ABSENCE_WEIGHT = {
+  absent: 1,
+  "half-day": 0.5,
+};
+
+// Days of pay lost to absences in `records`
+function absenceDays(records) {
+  return records.reduce((sum, r) => sum + (ABSENCE_WEIGHT[r.status] || 0), 0);
+}
+
+// Leave days in `records` that are not paid. Leave is paid unless it comes
+// from an approved request for unpaid leave (see services/leave.js).
+function unpaidLeaveDays(records) {
+  return records.filter(r => r.status === "leave" && r.leaveType === "unpaid").length;
+}
+
+// Guards-by-days grid for a month. `records` are presence documents in the
+// period; days without a record are null.
+function buildSheet(guards, records, period, dayKey) {
+  const days = [];
+  for (let d = 1; d <= period.daysInMonth; d++) {
+    days.push(`${period.month}-${String(d).padStart(2, "0")}`);
+  }
+
+  const byGuard = new Map();
+  for (const record of records) {
+    const key = String(record.guardId);
+    if (!byGuard.has(key)) byGuard.set(key, new Map());
+    byGuard.get(key).set(dayKey(record.date), record.status);
+  }
+
+  const rows = guards.map(guard => {
+    const statuses = byGuard.get(String(guard._id)) || new Map();
+    const cells = Object.fromEntries(days.map(day => [day, statuses.get(day) || null]));
+    const totals = Object.fromEntries(PRESENCE_STATUSES.map(s => [s, 0]));
+    for (const status of statuses.values()) {
+      if (totals[status] !== undefined) totals[status]++;
+    }
+    totals.unrecorded = days.length - statuses.size;
+
+    return { guardId: guard._id, name: guard.name, days: cells, totals };
+  });
+
+  return { month: period.month, days, guards: rows };
+}
+
+module.exports = {
+  PRESENCE_STATUSES,
+  absenceDays,
+  unpaidLeaveDays,
+  buildSheet,
+};
@@ -0,0 +1,70 @@
+// Audit trail of administrative changes. Entries are only ever inserted into
+// the `auditLog` collection; there is no route to edit or delete them.
+
+const { getRole } = require("../middleware/permissions");
+const { PII_FIELDS, HASHED_FIELDS, hashField } = require("./pii");
+
+// Values never copied into the log; a change is recorded as { changed: true }.
+// Guards' personal data is stored encrypted with a fresh IV on every write, so
+// pass decrypted documents to audit() for it to tell real changes apart (see
+// services/pii.js).
+const REDACTED_FIELDS = [
+  "password",
+  "firebaseUID",
+  ...PII_FIELDS,
+  ...Object.keys(HASHED_FIELDS).map(hashField),
+];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ["updatedAt"];
+
+const serialize = (value) => JSON.stringify(value ?? null);
+
+// Top-level fields that differ between two versions of a document, as
+// { field: { from, to } } or { field: { changed: true } } for REDACTED_FIELDS. `before` is null for creations and `after` is null
+// for deletions.
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (key === "_id" || IGNORED_FIELDS.includes(key)) continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (serialize(from) !== serialize(to)) {
+      changes[key] = REDACTED_FIELDS.includes(key) ? { changed: true } : { from, to };
+    }
+  }
+  return changes;
+}
+
+// Returns `audit(req, action, target, before, after)`, which records who made
+// a change, from where, and what it changed. `target` is { collection, id }.
+// Updates that changed nothing are not recorded. A failed write is logged
+// rather than thrown, because the change itself has already been saved.
+function createAuditLogger(auditLogCollection) {
+  return async function audit(req, action, target, before, after) {
+    const changes = diff(before, after);
+    if (before && after && Object.keys(changes).length === 0) return;
+
+    const entry = {
+      actor: req.user
+        ? { id: req.user._id, email: req.user.email, role: getRole(req.user) }
+        : null,
+      action,
+      target: { collection: target.collection, id: target.id ?? null },
+      changes,
+      at: new Date(),
+      ip: req.ip || null,
+      method: req.method,
+      path: req.originalUrl,
+    };
+
+    try {
+      await auditLogCollection.insertOne(entry);
+    } catch (err) {
+      console.error("Error writing audit log:", err, entry);
+    }
+  };
+}
+
+module.exports = { diff, createAuditLogger };
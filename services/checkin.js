@@ -0,0 +1,73 @@
+// Guard self check-in/check-out rules: the guard must be inside the site's
+// geofence and inside the shift's time window.
+
+const DEFAULT_RADIUS_METERS = Number(process.env.CHECKIN_RADIUS_METERS ?? 150);
+// How early before the shift starts a guard may check in
+const EARLY_MINUTES = Number(process.env.CHECKIN_EARLY_MINUTES ?? 30);
+// Lateness up to this many minutes still counts as present
+const GRACE_MINUTES = Number(process.env.CHECKIN_GRACE_MINUTES ?? 5);
+// How long after the shift ends a guard may still check out
+const CHECKOUT_LATE_MINUTES = Number(process.env.CHECKOUT_LATE_MINUTES ?? 120);
+
+const EARTH_RADIUS_METERS = 6371000;
+const MINUTE_MS = 60 * 1000;
+
+const isCoordinate = (value, limit) => Number.isFinite(value) && Math.abs(value) <= limit;
+
+// Parse `{ lat, lng, accuracy }` from a request body, or null when invalid.
+// Coordinates must be JSON numbers: "" or null would otherwise read as 0.
+function parseLocation(body) {
+  const { lat, lng, accuracy } = body || {};
+  if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) return null;
+  return { lat, lng, accuracy: Number.isFinite(accuracy) ? accuracy : null };
+}
+
+// Great-circle distance between two { lat, lng } points in meters
+function distanceMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Check `location` against the site's geofence. Returns { ok, distance, radius }.
+function checkGeofence(site, location) {
+  if (!site?.location) return { ok: false, reason: "site-has-no-location" };
+
+  const radius = site.geofenceRadius || DEFAULT_RADIUS_METERS;
+  const distance = Math.round(distanceMeters(site.location, location));
+  return distance <= radius
+    ? { ok: true, distance, radius }
+    : { ok: false, reason: "outside-geofence", distance, radius };
+}
+
+// The shift instance a guard may check in to at `now`, if any
+function findCheckInShift(instances, now) {
+  return instances.find(i =>
+    now >= new Date(i.start.getTime() - EARLY_MINUTES * MINUTE_MS) && now < i.end
+  ) || null;
+}
+
+// The shift instance a guard may check out of at `now`, if any
+function findCheckOutShift(instances, now) {
+  return instances.find(i =>
+    now >= i.start && now <= new Date(i.end.getTime() + CHECKOUT_LATE_MINUTES * MINUTE_MS)
+  ) || null;
+}
+
+// Minutes late for `instance` at `now`, and the presence status that implies
+function lateness(instance, now) {
+  const lateMinutes = Math.max(0, Math.floor((now - instance.start) / MINUTE_MS));
+  return { lateMinutes, status: lateMinutes > GRACE_MINUTES ? "late" : "present" };
+}
+
+module.exports = {
+  parseLocation,
+  distanceMeters,
+  checkGeofence,
+  findCheckInShift,
+  findCheckOutShift,
+  lateness,
+};
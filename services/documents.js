@@ -0,0 +1,91 @@
+// Guard documents (NID scans, photos, police verification and training
+// certificates). Files go to the configured storage (services/storage.js);
+// metadata lives in the guardDocuments collection.
+
+const crypto = require("crypto");
+
+const DOCUMENT_MAX_BYTES = Number(process.env.DOCUMENT_MAX_MB ?? 5) * 1024 * 1024;
+
+// Certificates every guard must hold; see expiringDocuments()
+const REQUIRED_DOCUMENT_TYPES = (process.env.REQUIRED_DOCUMENT_TYPES || "police-verification,training-certificate")
+  .split(",")
+  .map(t => t.trim())
+  .filter(Boolean);
+
+const EXPIRY_WARNING_DAYS = 30;
+
+// Accepted formats by their leading bytes; the uploader's Content-Type is not trusted
+const FORMATS = [
+  { contentType: "application/pdf", extension: ".pdf", magic: Buffer.from("%PDF-") },
+  { contentType: "image/jpeg", extension: ".jpg", magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  { contentType: "image/png", extension: ".png", magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+];
+
+// Photos are embedded in ID cards, which only take JPEG and PNG
+const ALLOWED_TYPES = {
+  photo: ["image/jpeg", "image/png"],
+  default: ["application/pdf", "image/jpeg", "image/png"],
+};
+
+const detectFormat = (buffer) =>
+  FORMATS.find(f => buffer.length >= f.magic.length && buffer.subarray(0, f.magic.length).equals(f.magic)) || null;
+
+// Check an uploaded file for a document of `type`; `field` is the form field
+// it came in. Returns { ok: true, contentType, extension } or a validation
+// failure.
+function checkFile(file, type, field = "file") {
+  if (!file) {
+    return { ok: false, status: 400, field, message: `Upload the document in the ${field} field` };
+  }
+  if (file.size === 0) {
+    return { ok: false, status: 400, field, message: "File is empty" };
+  }
+  const format = detectFormat(file.buffer);
+  const allowed = ALLOWED_TYPES[type] || ALLOWED_TYPES.default;
+  if (!format || !allowed.includes(format.contentType)) {
+    const names = allowed.map(t => t.split("/")[1].toUpperCase()).join(", ");
+    return { ok: false, status: 400, field, message: `${type} documents must be one of: ${names}` };
+  }
+  return { ok: true, contentType: format.contentType, extension: format.extension };
+}
+
+const documentKey = (guardId, extension) =>
+  `guards/${guardId}/${crypto.randomBytes(12).toString("hex")}${extension}`;
+
+// Problems with each required document type for one guard, given all their
+// documents: "missing", "expired" or "expiring" (within `until`). A type is
+// fine when any of its documents is valid past `until` or never expires.
+function documentIssues(documents, { required = REQUIRED_DOCUMENT_TYPES, until, now = new Date() }) {
+  const issues = [];
+  for (const type of required) {
+    const ofType = documents.filter(d => d.type === type);
+    if (ofType.length === 0) {
+      issues.push({ type, status: "missing", expiresAt: null, documentId: null });
+      continue;
+    }
+    if (ofType.some(d => !d.expiresAt)) continue;
+
+    const latest = ofType.reduce((a, b) => (b.expiresAt > a.expiresAt ? b : a));
+    if (latest.expiresAt > until) continue;
+    issues.push({
+      type,
+      status: latest.expiresAt <= now ? "expired" : "expiring",
+      expiresAt: latest.expiresAt,
+      documentId: latest._id,
+    });
+  }
+  return issues;
+}
+
+// Metadata as returned by the API (without the storage key)
+const publicDocument = ({ key: _key, ...doc }) => doc;
+
+module.exports = {
+  DOCUMENT_MAX_BYTES,
+  REQUIRED_DOCUMENT_TYPES,
+  EXPIRY_WARNING_DAYS,
+  checkFile,
+  documentKey,
+  documentIssues,
+  publicDocument,
+};
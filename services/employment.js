@@ -0,0 +1,133 @@
+// Guard employment lifecycle: status changes with effective dates, the
+// filters that keep former guards out of day-to-day lists, and the final
+// settlement owed when a guard leaves.
+
+const { round2, parseMonth, computePayslip } = require("./payroll");
+const { dayKey } = require("./roster");
+const { EMPLOYMENT_STATUSES } = require("../schemas/guard");
+
+// Allowed next statuses. Terminated guards only come back through a re-hire.
+const EMPLOYMENT_TRANSITIONS = {
+  active: ["on-leave", "suspended", "terminated"],
+  "on-leave": ["active", "suspended", "terminated"],
+  suspended: ["active", "terminated"],
+  terminated: [],
+};
+
+// Guards from before employment statuses existed are active
+const employmentStatus = (guard) => guard.employment?.status || "active";
+
+const canChangeEmployment = (from, to) => (EMPLOYMENT_TRANSITIONS[from] || []).includes(to);
+
+// Entry for a guard's `employmentHistory`
+const employmentChange = (from, to, { effectiveFrom, reason = null }, actor, at = new Date()) => ({
+  from,
+  to,
+  effectiveFrom,
+  reason,
+  changedBy: actor?._id || null,
+  changedAt: at,
+});
+
+// Status in effect on `date`, from the history of changes
+function employmentStatusOn(guard, date) {
+  const effective = (guard.employmentHistory || [])
+    .filter(c => new Date(c.effectiveFrom) <= date)
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom) || new Date(a.changedAt) - new Date(b.changedAt));
+  return effective.length > 0 ? effective[effective.length - 1].to : "active";
+}
+
+// Mongo filter for guards employed at some point in `period` (from
+// parseMonth): not archived, and still working on its first day
+const employedDuring = (period) => ({
+  archivedAt: null,
+  $nor: [{ "employment.status": "terminated", "employment.effectiveFrom": { $lte: period.start } }],
+});
+
+// Filter for guard lists from ?status= and ?archived=. Terminated and archived
+// guards are left out unless asked for. Returns { filter } or { error }.
+function guardStatusFilter({ status, archived }) {
+  const filter = {};
+  if (archived === "true") {
+    filter.archivedAt = { $ne: null };
+  } else if (archived === undefined || archived === "false") {
+    filter.archivedAt = null;
+  } else {
+    return { error: { field: "archived", message: "archived must be true or false" } };
+  }
+
+  // Archived guards are usually former guards, so show every status
+  const wanted = status || (archived === "true" ? "all" : undefined);
+  if (wanted === undefined) {
+    filter["employment.status"] = { $ne: "terminated" };
+  } else if (wanted === "active") {
+    filter["employment.status"] = { $in: ["active", null] };
+  } else if (EMPLOYMENT_STATUSES.includes(wanted)) {
+    filter["employment.status"] = wanted;
+  } else if (wanted !== "all") {
+    return { error: { field: "status", message: `status must be all or one of: ${EMPLOYMENT_STATUSES.join(", ")}` } };
+  }
+  return { filter };
+}
+
+const monthOf = (date) => dayKey(date).slice(0, 7);
+
+// First month (YYYY-MM) a settlement covers: `from` when given, else the
+// first month with a recorded salary, since salaries paid before the ledger
+// existed are not in it. A guard never paid through the ledger is settled
+// from joining.
+function settlementStart(guard, lastDay, paidMonths, from) {
+  if (from) return from;
+  if (paidMonths.size > 0) return [...paidMonths].sort()[0];
+  return monthOf(guard.joinDate && guard.joinDate < lastDay ? guard.joinDate : lastDay);
+}
+
+// Final settlement for a guard whose last working day is `lastDay`: a payslip
+// for every month from settlementStart() up to then without a recorded
+// salary, the last one cut at `lastDay`. Advances, fines and bonuses in those
+// months are settled through the payslips. `entries` are the guard's active
+// ledger entries. A negative amountDue is owed by the guard.
+function computeSettlement(guard, baseSalary, presence, lastDay, entries = [], from = null) {
+  const paidMonths = new Set(entries.filter(t => t.type === "salary" && t.payrollMonth).map(t => t.payrollMonth));
+  const lastMonth = monthOf(lastDay);
+
+  const start = settlementStart(guard, lastDay, paidMonths, from);
+  const payslips = [];
+  let period = parseMonth(start);
+  while (period.month <= lastMonth) {
+    if (!paidMonths.has(period.month)) {
+      const cut = period.month === lastMonth ? { lastDay } : {};
+      payslips.push(computePayslip(guard, period, baseSalary, presence, { ...cut, entries }));
+    }
+    period = parseMonth(monthOf(period.end));
+  }
+
+  const total = (type) => payslips.reduce(
+    (sum, p) => sum + p.lines.filter(l => l.type === type).reduce((s, l) => s + l.amount, 0),
+    0
+  );
+  return {
+    guardId: guard._id,
+    name: guard.name,
+    lastDay,
+    from: start,
+    unpaidMonths: payslips.map(p => p.month),
+    payslips,
+    advances: round2(-total("advance")),
+    fines: round2(-total("fine")),
+    bonuses: round2(total("bonus")),
+    amountDue: round2(payslips.reduce((sum, p) => sum + p.netPay, 0)),
+  };
+}
+
+module.exports = {
+  EMPLOYMENT_STATUSES,
+  EMPLOYMENT_TRANSITIONS,
+  employmentStatus,
+  canChangeEmployment,
+  employmentChange,
+  employmentStatusOn,
+  employedDuring,
+  guardStatusFilter,
+  computeSettlement,
+};
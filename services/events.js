@@ -0,0 +1,96 @@
+// Live events for the admin panel. Routes publish events to a topic, and
+// every connected client whose subscription covers the topic receives them
+// (routes/events.js streams them as server-sent events).
+//
+// The hub lives in this process. With several server instances a client only
+// hears the events published by the instance it is connected to.
+
+const { hasPermission, canAccessSite } = require("../middleware/permissions");
+
+// Topics and the permission needed to subscribe to each
+const EVENT_TOPICS = {
+  messages: "messages:read",
+  unread: "messages:read",
+  presence: "attendance:read",
+  transactions: "payroll:read",
+  incidents: "incidents:read",
+};
+
+// Recent events kept for clients that reconnect with Last-Event-ID
+const HISTORY_SIZE = 200;
+
+// Topics from ?topics=a,b for `user`: every topic they may see when not
+// given. Returns { topics } or { error } with a status.
+function parseTopics(value, user) {
+  const allowed = Object.keys(EVENT_TOPICS).filter(topic => hasPermission(user, EVENT_TOPICS[topic]));
+  if (value === undefined || value === "") {
+    return allowed.length > 0
+      ? { topics: allowed }
+      : { error: { status: 403, message: "You may not subscribe to any topic" } };
+  }
+
+  const topics = [...new Set(String(value).split(",").map(t => t.trim()).filter(Boolean))];
+  const unknown = topics.filter(topic => !EVENT_TOPICS[topic]);
+  if (unknown.length > 0) {
+    return {
+      error: { status: 400, field: "topics", message: `topics must be among: ${Object.keys(EVENT_TOPICS).join(", ")}` },
+    };
+  }
+  const denied = topics.filter(topic => !allowed.includes(topic));
+  if (denied.length > 0) {
+    return { error: { status: 403, message: `You may not subscribe to: ${denied.join(", ")}` } };
+  }
+  return { topics };
+}
+
+// Whether an event is for a subscriber on `topics`: site-scoped users only
+// get events from their own sites
+const accepts = (user, topics) => (event) =>
+  topics.includes(event.topic) && (!event.siteId || canAccessSite(user, event.siteId));
+
+function createEventHub({ historySize = HISTORY_SIZE } = {}) {
+  const subscribers = new Set();
+  const history = [];
+  let lastId = 0;
+
+  // Send `data` as a `type` event on `topic`. `siteId` limits who sees it.
+  function publish(topic, type, data, { siteId = null } = {}) {
+    const event = { id: ++lastId, topic, type, siteId, at: new Date(), data };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+
+    for (const subscriber of subscribers) {
+      if (!subscriber.accepts(event)) continue;
+      try {
+        subscriber.send(event);
+      } catch (err) {
+        console.error("Error sending event:", err);
+      }
+    }
+    return event;
+  }
+
+  // Call `send(event)` for each published event that `filter` accepts until
+  // the returned function is called. `topics` only feeds hasSubscribers().
+  function subscribe({ topics, filter }, send) {
+    const subscriber = { topics, accepts: filter, send };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  }
+
+  // Events after `id` that are still kept and that `filter` accepts. An id
+  // from before a restart matches nothing.
+  const since = (id, filter) => (id >= lastId ? [] : history.filter(e => e.id > id && filter(e)));
+
+  // Whether anyone listens to `topic`, so callers can skip extra queries
+  const hasSubscribers = (topic) => [...subscribers].some(s => s.topics.includes(topic));
+
+  return { publish, subscribe, since, hasSubscribers };
+}
+
+module.exports = {
+  EVENT_TOPICS,
+  parseTopics,
+  accepts,
+  createEventHub,
+};
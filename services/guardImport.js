@@ -0,0 +1,79 @@
+// Bulk guard import from a spreadsheet. Every row is validated against the
+// GuardInput schema, its site is looked up by name, and NIDs and phone
+// numbers must be unique both within the file and among existing guards.
+// Nothing is saved unless every row is valid.
+
+const { validateInput } = require("../middleware/validate");
+const { GuardInput } = require("../schemas");
+
+// Accepted column headers (lowercased, spaces and underscores removed)
+const HEADER_KEYS = {
+  name: "name",
+  phone: "phone",
+  mobile: "phone",
+  nid: "nid",
+  nidnumber: "nid",
+  address: "address",
+  joindate: "joinDate",
+  site: "site",
+  siteid: "site",
+  dutyplace: "site",
+  dutytime: "dutyTime",
+  basesalary: "baseSalary",
+  salary: "baseSalary",
+};
+
+const headerKey = (header) => HEADER_KEYS[header.toLowerCase().replace(/[\s_-]+/g, "")] || null;
+
+// Validate parsed rows. `sites` are all sites; `existingNids` and
+// `existingPhones` are Sets of the (normalized) values already on file. Returns { rows, valid, invalid } where each row is
+// { row, errors, value } and `value` is ready to insert when errors is empty.
+function validateImport(rows, { sites, existingNids, existingPhones = new Set() }) {
+  const siteByName = new Map(sites.map(s => [s.name.toLowerCase(), s]));
+  const siteById = new Map(sites.map(s => [String(s._id), s]));
+  const firstRowByNid = new Map();
+  const firstRowByPhone = new Map();
+
+  const results = rows.map(({ _row, site, ...fields }) => {
+    const errors = [];
+
+    const match = site && (siteById.get(site) || siteByName.get(site.toLowerCase()));
+    if (!site) {
+      errors.push({ field: "site", message: "site is required" });
+    } else if (!match) {
+      errors.push({ field: "site", message: `Site "${site}" not found` });
+    }
+
+    const input = { ...fields, siteId: match?._id };
+    if (input.baseSalary !== undefined) input.baseSalary = Number(input.baseSalary);
+    const { errors: fieldErrors, value } = validateInput(GuardInput, input);
+    errors.push(...fieldErrors.filter(e => e.field !== "siteId"));
+
+    if (value.nid) {
+      if (existingNids.has(value.nid)) {
+        errors.push({ field: "nid", message: "A guard with this NID already exists" });
+      } else if (firstRowByNid.has(value.nid)) {
+        errors.push({ field: "nid", message: `Duplicate NID, also on row ${firstRowByNid.get(value.nid)}` });
+      } else {
+        firstRowByNid.set(value.nid, _row);
+      }
+    }
+    if (value.phone && !fieldErrors.some(e => e.field === "phone")) {
+      if (existingPhones.has(value.phone)) {
+        errors.push({ field: "phone", message: "A guard with this phone number already exists" });
+      } else if (firstRowByPhone.has(value.phone)) {
+        errors.push({ field: "phone", message: `Duplicate phone number, also on row ${firstRowByPhone.get(value.phone)}` });
+      } else {
+        firstRowByPhone.set(value.phone, _row);
+      }
+    }
+
+    const { initialTransactions: _tx, initialPresence: _presence, ...guard } = value;
+    return { row: _row, errors, value: guard };
+  });
+
+  const invalid = results.filter(r => r.errors.length > 0).length;
+  return { rows: results, valid: results.length - invalid, invalid };
+}
+
+module.exports = { HEADER_KEYS, headerKey, validateImport };
@@ -0,0 +1,62 @@
+// Incidents reported from guard posts: theft, trespass, broken equipment and
+// the like at a client site. An incident moves through a status workflow with
+// a comment thread, and high-severity ones are escalated to admins as soon as
+// they are reported or raised.
+
+const crypto = require("crypto");
+
+const INCIDENT_CATEGORIES = ["theft", "trespass", "vandalism", "fire", "medical", "equipment", "assault", "other"];
+const INCIDENT_SEVERITIES = ["low", "medium", "high", "critical"];
+const INCIDENT_STATUSES = ["reported", "acknowledged", "investigating", "closed"];
+
+// Severities that are escalated to admins
+const ESCALATED_SEVERITIES = ["high", "critical"];
+
+// Allowed next statuses. A closed incident can be reopened for investigation.
+const INCIDENT_TRANSITIONS = {
+  reported: ["acknowledged", "investigating", "closed"],
+  acknowledged: ["investigating", "closed"],
+  investigating: ["closed"],
+  closed: ["investigating"],
+};
+
+const MAX_PHOTOS = 5;
+
+const canChangeIncident = (from, to) => (INCIDENT_TRANSITIONS[from] || []).includes(to);
+
+const needsEscalation = (incident) => ESCALATED_SEVERITIES.includes(incident.severity) && !incident.escalatedAt;
+
+const photoKey = (incidentId, extension) =>
+  `incidents/${incidentId}/${crypto.randomBytes(12).toString("hex")}${extension}`;
+
+// Photo metadata as returned by the API (without the storage key)
+const publicPhoto = ({ key: _key, ...photo }) => photo;
+
+const publicIncident = (incident) => ({ ...incident, photos: (incident.photos || []).map(publicPhoto) });
+
+// What a client may see of an incident at their site: no comments, photos or
+// staff details
+const clientIncident = (incident) => ({
+  id: incident._id,
+  category: incident.category,
+  severity: incident.severity,
+  description: incident.description,
+  occurredAt: incident.occurredAt,
+  status: incident.status,
+  closedAt: incident.closedAt || null,
+  resolution: incident.resolution || null,
+});
+
+module.exports = {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  ESCALATED_SEVERITIES,
+  MAX_PHOTOS,
+  canChangeIncident,
+  needsEscalation,
+  photoKey,
+  publicPhoto,
+  publicIncident,
+  clientIncident,
+};
@@ -0,0 +1,160 @@
+// Guard leave: requests for a range of days that a supervisor or admin
+// approves or rejects, and yearly balances from the leave policy. Approved
+// leave is written to the presence log as `leave` records, so attendance
+// sheets and payroll see it.
+
+const { DAY_MS, localDay } = require("./roster");
+
+const LEAVE_TYPES = ["casual", "sick", "annual", "unpaid"];
+const LEAVE_STATUSES = ["pending", "approved", "rejected", "cancelled"];
+
+// Requests that hold days: they count against the balance and block
+// overlapping requests
+const OPEN_STATUSES = ["pending", "approved"];
+
+const DEFAULT_ALLOWANCES = { casual: 10, sick: 14, annual: 18, unpaid: null };
+
+// Days of each type a guard may take per calendar year (null: no limit).
+// LEAVE_<TYPE>_DAYS overrides a default; an empty value removes the limit.
+// With LEAVE_PRORATE_FIRST_YEAR (default true), a guard who joins during the
+// year gets the share of the allowance for the days left in it.
+function leavePolicyFromEnv(env = process.env) {
+  const allowances = {};
+  for (const type of LEAVE_TYPES) {
+    const name = `LEAVE_${type.toUpperCase()}_DAYS`;
+    const value = env[name];
+    if (value === undefined) {
+      allowances[type] = DEFAULT_ALLOWANCES[type];
+    } else if (value === "") {
+      allowances[type] = null;
+    } else if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      throw new Error(`${name} must be a non-negative number of days`);
+    } else {
+      allowances[type] = Number(value);
+    }
+  }
+  return Object.freeze({ allowances, prorateFirstYear: env.LEAVE_PRORATE_FIRST_YEAR !== "false" });
+}
+
+// Days in the inclusive range of local days [from, to]
+const leaveDays = (from, to) => Math.round((to - from) / DAY_MS) + 1;
+
+// Local days of a request, as UTC midnight Dates
+function daysOf({ from, to }) {
+  const days = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) days.push(new Date(t));
+  return days;
+}
+
+const yearRange = (year) => ({ start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) });
+
+// Days of a request that fall in `year`
+function daysInYear({ from, to }, year) {
+  const { start, end } = yearRange(year);
+  const first = from > start ? from : start;
+  const last = to < end ? to : new Date(end.getTime() - DAY_MS);
+  return first > last ? 0 : leaveDays(first, last);
+}
+
+// Calendar years a request touches
+function yearsOf({ from, to }) {
+  const years = [];
+  for (let y = from.getUTCFullYear(); y <= to.getUTCFullYear(); y++) years.push(y);
+  return years;
+}
+
+// ?year= as a number (default: this year), or { error }
+function parseYear(value, now = new Date()) {
+  if (value === undefined) return { year: localDay(now).getUTCFullYear() };
+  if (!/^\d{4}$/.test(value)) {
+    return { error: { field: "year", message: "year must be in YYYY format" } };
+  }
+  return { year: Number(value) };
+}
+
+// A guard's allowance of `type` for `year`, rounded down to half days, or
+// null when there is no limit
+function allowanceFor(policy, type, guard, year) {
+  const allowance = policy.allowances[type];
+  if (allowance === null || allowance === undefined) return null;
+  if (!policy.prorateFirstYear || !guard.joinDate) return allowance;
+
+  const joined = localDay(guard.joinDate);
+  const { start, end } = yearRange(year);
+  if (joined >= end) return 0;
+  if (joined <= start) return allowance;
+  const share = (end - joined) / (end - start);
+  return Math.floor(allowance * share * 2) / 2;
+}
+
+// Per-type balance of `guard` for `year` from their open `requests`
+function leaveBalance(policy, guard, year, requests) {
+  return Object.fromEntries(LEAVE_TYPES.map(type => {
+    const ofType = requests.filter(r => r.type === type);
+    const count = (status) => ofType.filter(r => r.status === status).reduce((sum, r) => sum + daysInYear(r, year), 0);
+    const allowance = allowanceFor(policy, type, guard, year);
+    const taken = count("approved");
+    const pending = count("pending");
+    return [type, {
+      allowance,
+      taken,
+      pending,
+      remaining: allowance === null ? null : allowance - taken,
+    }];
+  }));
+}
+
+// Whether `request` fits the balance of every year it touches, counting the
+// guard's other open `requests`. Returns { ok } or { ok: false, status, message }.
+function checkBalance(policy, guard, request, requests) {
+  const others = requests.filter(r => !r._id || !request._id || !r._id.equals(request._id));
+  for (const year of yearsOf(request)) {
+    const allowance = allowanceFor(policy, request.type, guard, year);
+    if (allowance === null) continue;
+
+    const used = others
+      .filter(r => r.type === request.type && r.status === "approved")
+      .reduce((sum, r) => sum + daysInYear(r, year), 0);
+    const needed = daysInYear(request, year);
+    if (used + needed > allowance) {
+      const left = Math.max(0, allowance - used);
+      return {
+        ok: false,
+        status: 400,
+        message: `Only ${left} day(s) of ${request.type} leave left in ${year}; this request needs ${needed}`,
+      };
+    }
+  }
+  return { ok: true };
+}
+
+// Mongo filter for a guard's open requests overlapping [from, to]
+const overlapping = (guardId, { from, to }) => ({
+  guardId,
+  status: { $in: OPEN_STATUSES },
+  from: { $lte: to },
+  to: { $gte: from },
+});
+
+// Status and note a leave day's presence record had before the leave was
+// approved over it, or null when the approval created the record
+const presenceBeforeLeave = (record) =>
+  [...(record.history || [])].reverse().find(change => change.from.status !== "leave")?.from || null;
+
+module.exports = {
+  LEAVE_TYPES,
+  LEAVE_STATUSES,
+  OPEN_STATUSES,
+  leavePolicyFromEnv,
+  leaveDays,
+  daysOf,
+  yearRange,
+  daysInYear,
+  yearsOf,
+  parseYear,
+  allowanceFor,
+  leaveBalance,
+  checkBalance,
+  overlapping,
+  presenceBeforeLeave,
+};
@@ -0,0 +1,278 @@
+// Guard money ledger. Every advance, fine, repayment, bonus and salary is an
+// entry in the `ledger` collection; entries are never edited, a mistake is
+// undone with a reversal entry.
+//
+// Each entry has an `effect` on the guard's balance, which is what the guard
+// owes the company (negative: what the company owes the guard):
+//   advance, fine  +amount
+//   repayment      -amount
+//   bonus          -amount
+//   salary         settles the month's advances, fines and bonuses, which the
+//                  payslip already deducted or added
+//   reversal       -effect of the entry it reverses
+// The guard document keeps the current balance in `ledger.balance`, and each
+// entry stores the balance after it was posted.
+
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { round2, parseMonth } = require("./payroll");
+
+const LEDGER_TYPES = ["salary", "advance", "bonus", "fine", "repayment", "reversal"];
+
+const BALANCE_EFFECT = {
+  advance: 1,
+  fine: 1,
+  repayment: -1,
+  bonus: -1,
+};
+
+// Entries that still count: not reversed, and not reversals themselves
+const ACTIVE_ENTRIES = { type: { $ne: "reversal" }, reversedBy: null };
+
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{8,200}$/;
+
+// The Idempotency-Key header, or { error } when it is malformed
+function parseIdempotencyKey(header) {
+  if (header === undefined) return { key: null };
+  if (!IDEMPOTENCY_KEY_REGEX.test(header)) {
+    return { error: { field: "Idempotency-Key", message: "Idempotency-Key must be 8 to 200 visible ASCII characters" } };
+  }
+  return { key: header };
+}
+
+// Entry as returned by the API
+const publicEntry = ({ requestHash: _hash, paysMonth: _paysMonth, ...entry }) => entry;
+
+// Fingerprint of a request, so a key reused for another request is refused
+const requestHash = (...parts) => crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+
+// Balance change of a salary for the month: it settles what the payslip
+// deducted (advances, fines) and added (bonuses). `monthEntries` are the
+// guard's active entries dated in that month.
+const salaryEffect = (monthEntries) =>
+  -round2(monthEntries.reduce((sum, e) => sum + (BALANCE_EFFECT[e.type] ? BALANCE_EFFECT[e.type] * e.amount : 0), 0));
+
+// `onEntry(entry)` is called after each new entry is stored
+function createLedger({ ledgerCollection, guardsCollection, onEntry = null }) {
+  // Insert `entry` and move the guard's balance. Returns the stored entry, or
+  // the existing one when its idempotency key was already used (`replayed`).
+  async function append(entry) {
+    try {
+      await ledgerCollection.insertOne(entry);
+    } catch (err) {
+      if (err.code === 11000 && err.keyPattern?.idempotencyKey) {
+        return { replayed: await ledgerCollection.findOne({ idempotencyKey: entry.idempotencyKey }) };
+      }
+      throw err;
+    }
+
+    const guard = await guardsCollection.findOneAndUpdate(
+      { _id: entry.guardId },
+      { $inc: { "ledger.balance": entry.effect, "ledger.entries": 1 }, $set: { "ledger.updatedAt": entry.createdAt } },
+      { returnDocument: "after", projection: { ledger: 1 } }
+    );
+    const balance = round2(guard.ledger.balance);
+    const sequence = guard.ledger.entries;
+    await ledgerCollection.updateOne({ _id: entry._id }, { $set: { balance, sequence } });
+    const stored = { ...entry, balance, sequence };
+    if (onEntry) onEntry(stored);
+    return { entry: stored };
+  }
+
+  // Result for a key that was already used: the original entry when the
+  // request is the same, an error otherwise
+  function replay(existing, hash) {
+    if (hash && existing.requestHash && existing.requestHash !== hash) {
+      return { ok: false, status: 422, message: "Idempotency-Key was already used for a different request" };
+    }
+    return { ok: true, created: false, entry: existing };
+  }
+
+  // Post a transaction for `guard`. `idempotencyKey` makes retries return the
+  // first entry instead of posting again. Returns { ok, created, entry } or
+  // { ok: false, status, message }.
+  async function post(guard, { type, amount, date = new Date(), note = null, payrollMonth = null, currency = "BDT" }, { actor = null, idempotencyKey = null, hash = null } = {}) {
+    if (idempotencyKey) {
+      const existing = await ledgerCollection.findOne({ idempotencyKey });
+      if (existing) return replay(existing, hash);
+    }
+
+    let effect = (BALANCE_EFFECT[type] || 0) * amount;
+    const period = type === "salary" ? parseMonth(payrollMonth) : null;
+    if (period) {
+      const monthEntries = await ledgerCollection.find({
+        ...ACTIVE_ENTRIES,
+        guardId: guard._id,
+        date: { $gte: period.start, $lt: period.end },
+      }).toArray();
+      effect = salaryEffect(monthEntries);
+    }
+
+    const entry = {
+      _id: new ObjectId(),
+      guardId: guard._id,
+      siteId: guard.siteId || null,
+      type,
+      amount: round2(amount),
+      currency,
+      effect: round2(effect),
+      date,
+      note,
+      payrollMonth: period ? payrollMonth : null,
+      // Unique per guard while the salary stands, so a month is never paid twice
+      paysMonth: period ? payrollMonth : null,
+      reverses: null,
+      reversedBy: null,
+      idempotencyKey,
+      requestHash: hash,
+      balance: null,
+      sequence: null,
+      createdBy: actor?._id || null,
+      createdAt: new Date(),
+    };
+
+    try {
+      const result = await append(entry);
+      if (result.replayed) return replay(result.replayed, hash);
+      return { ok: true, created: true, entry: result.entry };
+    } catch (err) {
+      if (err.code === 11000 && err.keyPattern?.paysMonth) {
+        return { ok: false, status: 409, message: `Salary for ${payrollMonth} is already recorded` };
+      }
+      throw err;
+    }
+  }
+
+  // Reverse `original` with a new entry that cancels its effect
+  async function reverse(original, { reason = null, actor = null, idempotencyKey = null, hash = null } = {}) {
+    if (idempotencyKey) {
+      const existing = await ledgerCollection.findOne({ idempotencyKey });
+      if (existing) return replay(existing, hash);
+    }
+    if (original.type === "reversal") {
+      return { ok: false, status: 400, message: "A reversal cannot be reversed" };
+    }
+
+    const reversalId = new ObjectId();
+    const claimed = await ledgerCollection.findOneAndUpdate(
+      { _id: original._id, reversedBy: null },
+      { $set: { reversedBy: reversalId, paysMonth: null } }
+    );
+    if (!claimed) {
+      return { ok: false, status: 409, message: "Entry is already reversed" };
+    }
+
+    const result = await append({
+      _id: reversalId,
+      guardId: original.guardId,
+      siteId: original.siteId,
+      type: "reversal",
+      amount: original.amount,
+      currency: original.currency,
+      effect: -original.effect,
+      date: new Date(),
+      note: reason,
+      payrollMonth: original.payrollMonth,
+      paysMonth: null,
+      reverses: original._id,
+      reversedType: original.type,
+      reversedBy: null,
+      idempotencyKey,
+      requestHash: hash,
+      balance: null,
+      sequence: null,
+      createdBy: actor?._id || null,
+      createdAt: new Date(),
+    });
+    if (result.replayed) {
+      // Another request with the same key got there first
+      await ledgerCollection.updateOne({ _id: original._id, reversedBy: reversalId }, { $set: { reversedBy: result.replayed._id } });
+      return replay(result.replayed, hash);
+    }
+    return { ok: true, created: true, entry: result.entry };
+  }
+
+  // Active entries matching `filter`, oldest first
+  const activeEntries = (filter) =>
+    ledgerCollection.find({ ...ACTIVE_ENTRIES, ...filter }).sort({ date: 1, sequence: 1 }).toArray();
+
+  return { post, reverse, activeEntries };
+}
+
+// Aggregation for a guard's statement between `from` and `to` (instants,
+// either may be null): the entries in date order, each with the balance after
+// it. The opening balance is added by the caller.
+function statementPipeline(guardId, { from, to }) {
+  const date = {};
+  if (from) date.$gte = from;
+  if (to) date.$lt = to;
+  return [
+    { $match: { guardId, ...(Object.keys(date).length > 0 ? { date } : {}) } },
+    {
+      $setWindowFields: {
+        sortBy: { date: 1, sequence: 1 },
+        output: { runningEffect: { $sum: "$effect", window: { documents: ["unbounded", "current"] } } },
+      },
+    },
+    { $project: { requestHash: 0, paysMonth: 0 } },
+  ];
+}
+
+// Aggregation of every guard's opening balance, increases, decreases and
+// closing balance between `from` and `to` (instants, either may be null).
+// `guardMatch` limits the guards (site scope).
+function balancesPipeline({ from, to }, guardMatch = {}) {
+  const start = from || new Date(0);
+  const inRange = { $gte: ["$date", start] };
+  const sumIf = (condition) => ({ $sum: { $cond: [condition, "$effect", 0] } });
+  return [
+    ...(to ? [{ $match: { date: { $lt: to } } }] : []),
+    {
+      $group: {
+        _id: "$guardId",
+        opening: sumIf({ $lt: ["$date", start] }),
+        increases: sumIf({ $and: [inRange, { $gt: ["$effect", 0] }] }),
+        decreases: sumIf({ $and: [inRange, { $lt: ["$effect", 0] }] }),
+        entries: { $sum: { $cond: [inRange, 1, 0] } },
+      },
+    },
+    {
+      $lookup: {
+        from: "guards",
+        localField: "_id",
+        foreignField: "_id",
+        as: "guard",
+        pipeline: [{ $project: { name: 1, siteId: 1, archivedAt: 1 } }],
+      },
+    },
+    { $set: { guard: { $first: "$guard" } } },
+    ...Object.entries(guardMatch).map(([field, value]) => ({ $match: { [`guard.${field}`]: value } })),
+    {
+      $project: {
+        _id: 0,
+        guardId: "$_id",
+        name: "$guard.name",
+        siteId: "$guard.siteId",
+        opening: { $round: ["$opening", 2] },
+        increases: { $round: ["$increases", 2] },
+        decreases: { $round: ["$decreases", 2] },
+        closing: { $round: [{ $add: ["$opening", "$increases", "$decreases"] }, 2] },
+        entries: 1,
+      },
+    },
+    { $sort: { name: 1 } },
+  ];
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  BALANCE_EFFECT,
+  ACTIVE_ENTRIES,
+  publicEntry,
+  parseIdempotencyKey,
+  requestHash,
+  salaryEffect,
+  createLedger,
+  statementPipeline,
+  balancesPipeline,
+};
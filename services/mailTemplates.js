@@ -0,0 +1,101 @@
+// Email templates. Each takes the data passed to mailer.enqueue() and returns
+// { subject, text }; the HTML body is built from the text.
+
+const APP_NAME = process.env.MAIL_APP_NAME || "NSS Bangladesh";
+// Link to the web app shown in emails, if set
+const CLIENT_URL = process.env.CLIENT_URL || null;
+
+const excerpt = (text, length = 300) =>
+  text && text.length > length ? `${text.slice(0, length)}…` : text || "";
+
+const accountLink = (path) => (CLIENT_URL ? `\n\n${CLIENT_URL.replace(/\/$/, "")}${path}` : "");
+
+const TEMPLATES = {
+  // To the sender of a contact-form message, in the language they wrote in
+  "message-acknowledgement": ({ name, message, language }) => (language === "bn"
+    ? {
+      subject: `আমরা আপনার বার্তা পেয়েছি - ${APP_NAME}`,
+      text:
+        `প্রিয় ${name},\n\n` +
+        "আমাদের সাথে যোগাযোগ করার জন্য ধন্যবাদ। আমরা আপনার বার্তা পেয়েছি এবং শিগগিরই উত্তর দেব।\n\n" +
+        `আপনার বার্তা:\n${excerpt(message)}` +
+        `\n\n${APP_NAME}`,
+    }
+    : {
+      subject: `We received your message - ${APP_NAME}`,
+      text:
+        `Hello ${name},\n\n` +
+        "Thank you for contacting us. We have received your message and will get back to you soon.\n\n" +
+        `Your message:\n${excerpt(message)}` +
+        `\n\n${APP_NAME}`,
+    }),
+
+  // To staff who handle messages
+  "new-message-alert": ({ name, email, phone, message, messageId }) => ({
+    subject: `New message from ${name}`,
+    text:
+      `${name} <${email}>${phone ? `, ${phone}` : ""} sent a message:\n\n` +
+      `${excerpt(message, 1000)}` +
+      accountLink(`/dashboard/messages/${messageId}`),
+  }),
+
+  // To the user when staff reply to their ticket, in the language they wrote in
+  "ticket-reply": ({ name, reply, originalMessage, language }) => (language === "bn"
+    ? {
+      subject: `আপনার বার্তার উত্তর - ${APP_NAME}`,
+      text:
+        `প্রিয় ${name},\n\n` +
+        `${reply}\n\n` +
+        `আপনার বার্তা:\n${excerpt(originalMessage)}` +
+        accountLink("/dashboard/messages") +
+        `\n\n${APP_NAME}`,
+    }
+    : {
+      subject: `Reply to your message - ${APP_NAME}`,
+      text:
+        `Hello ${name},\n\n` +
+        `${reply}\n\n` +
+        `In reply to:\n${excerpt(originalMessage)}` +
+        accountLink("/dashboard/messages") +
+        `\n\n${APP_NAME}`,
+    }),
+
+  // To a user who was given an admin role
+  "admin-granted": ({ name, roleLabel, grantedBy }) => ({
+    subject: `You now have ${roleLabel} access - ${APP_NAME}`,
+    text:
+      `Hello ${name || ""},\n\n` +
+      `${grantedBy || "An administrator"} has given you the ${roleLabel} role. ` +
+      "Sign in again to see the admin dashboard." +
+      accountLink("/dashboard") +
+      `\n\n${APP_NAME}`,
+  }),
+
+  // To admins when a high-severity incident is reported or raised
+  "incident-escalation": ({ category, severity, siteName, guardName, description, occurredAt, incidentId }) => ({
+    subject: `[${severity.toUpperCase()}] ${category} incident at ${siteName || "a site"}`,
+    text:
+      `A ${severity}-severity ${category} incident was reported at ${siteName || "an unknown site"}` +
+      `${guardName ? ` by ${guardName}` : ""}.\n\n` +
+      `Occurred at: ${new Date(occurredAt).toISOString()}\n\n` +
+      `${excerpt(description, 1000)}` +
+      accountLink(`/dashboard/incidents/${incidentId}`),
+  }),
+};
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+function render(template, data) {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  const { subject, text } = build(data);
+  const html = text.split("\n\n")
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+  return { subject, text, html };
+}
+
+module.exports = { TEMPLATES, render };
@@ -0,0 +1,199 @@
+// Outbound email. Emails are rendered from templates (services/mailTemplates.js),
+// stored in the `emails` collection and sent by a background worker through a
+// pluggable transport, with retries. The stored document doubles as the send
+// record: status, attempts and the last error.
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { render } = require("./mailTemplates");
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS ?? 5);
+const POLL_SECONDS = Number(process.env.MAIL_POLL_SECONDS ?? 30);
+// Wait before retry n is RETRY_BASE_SECONDS * 4^(n - 1): 1m, 4m, 16m, ...
+const RETRY_BASE_SECONDS = Number(process.env.MAIL_RETRY_BASE_SECONDS ?? 60);
+
+const EMAIL_STATUSES = ["queued", "sending", "sent", "failed"];
+
+// Transports take { from, to, subject, text, html } and resolve to { messageId }
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    name: "smtp",
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    send: async (mail) => {
+      console.log(`📧 Email to ${mail.to}: ${mail.subject}\n${mail.text}`);
+      return { messageId: null };
+    },
+  };
+}
+
+// Appends each email as one JSON line to `file`
+function createFileTransport(file) {
+  return {
+    name: "file",
+    send: async (mail) => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ ...mail, at: new Date() }) + "\n");
+      return { messageId: null };
+    },
+  };
+}
+
+// MAIL_TRANSPORT=smtp|console|file (default console)
+function transportFromEnv(env = process.env) {
+  switch (env.MAIL_TRANSPORT || "console") {
+    case "smtp":
+      if (!env.SMTP_HOST) {
+        throw new Error("SMTP_HOST must be set when MAIL_TRANSPORT=smtp");
+      }
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport(env.MAIL_FILE || path.join("tmp", "outbox.jsonl"));
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${env.MAIL_TRANSPORT}`);
+  }
+}
+
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * 4 ** (attempts - 1);
+
+// Returns { enqueue, processQueue, start, stop }.
+// enqueue(template, to, data) renders and stores an email; it never throws, so
+// a mail problem cannot fail the request that triggered it.
+function createMailer({ emailsCollection, transport, from = process.env.MAIL_FROM || "no-reply@nssbd.com" }) {
+  let timer = null;
+  let running = false;
+
+  async function enqueue(template, to, data = {}) {
+    const recipients = [].concat(to).filter(Boolean);
+    if (recipients.length === 0) return null;
+
+    try {
+      const { subject, text, html } = render(template, data);
+      const now = new Date();
+      const email = {
+        template,
+        to: recipients,
+        subject,
+        text,
+        html,
+        status: "queued",
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: now,
+        sentAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      const result = await emailsCollection.insertOne(email);
+      // Send right away instead of waiting for the next poll
+      setImmediate(() => processQueue().catch(err => console.error("Error processing email queue:", err)));
+      return result.insertedId;
+    } catch (err) {
+      console.error(`Error queueing ${template} email:`, err);
+      return null;
+    }
+  }
+
+  // Claim one due email so that concurrent workers never send it twice
+  const claimNext = () => emailsCollection.findOneAndUpdate(
+    { status: "queued", nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: "sending", updatedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+  );
+
+  async function deliver(email) {
+    try {
+      const { messageId } = await transport.send({
+        from,
+        to: email.to.join(", "),
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+      });
+      await emailsCollection.updateOne(
+        { _id: email._id },
+        { $set: { status: "sent", transport: transport.name, messageId, sentAt: new Date(), updatedAt: new Date() } }
+      );
+    } catch (err) {
+      const failed = email.attempts >= MAX_ATTEMPTS;
+      await emailsCollection.updateOne(
+        { _id: email._id },
+        {
+          $set: {
+            status: failed ? "failed" : "queued",
+            lastError: err.message,
+            nextAttemptAt: failed ? null : new Date(Date.now() + retryDelayMs(email.attempts)),
+            updatedAt: new Date(),
+          },
+        }
+      );
+      console.error(`Error sending email ${email._id} (attempt ${email.attempts}):`, err.message);
+    }
+  }
+
+  // Send every email that is due; overlapping calls are skipped
+  async function processQueue() {
+    if (running) return;
+    running = true;
+    try {
+      let email;
+      while ((email = await claimNext())) {
+        await deliver(email);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  // Emails left "sending" by a crash are retried on startup
+  async function start() {
+    await emailsCollection.updateMany(
+      { status: "sending" },
+      { $set: { status: "queued", nextAttemptAt: new Date() } }
+    );
+    timer = setInterval(() => {
+      processQueue().catch(err => console.error("Error processing email queue:", err));
+    }, POLL_SECONDS * 1000);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return { enqueue, processQueue, start, stop };
+}
+
+module.exports = {
+  EMAIL_STATUSES,
+  MAX_ATTEMPTS,
+  createSmtpTransport,
+  createConsoleTransport,
+  createFileTransport,
+  transportFromEnv,
+  createMailer,
+};
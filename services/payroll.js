@@ -0,0 +1,142 @@
+// Monthly payroll computation. Pure functions over a guard document, its
+// ledger entries and its presence records so the same numbers back the
+// payslip endpoint and the bulk payroll run.
+
+const { absenceDays, unpaidLeaveDays } = require("./attendance");
+const { DAY_MS, dayKey, localDay } = require("./roster");
+const { roundBdt } = require("../utils/bangladesh");
+
+// Ledger entry types that affect a payslip, and in which direction
+const TRANSACTION_EFFECTS = {
+  bonus: 1,
+  advance: -1,
+  fine: -1,
+};
+
+// Taka amounts are rounded to the poisha
+const round2 = roundBdt;
+
+// "2026-09" -> { month, start, end, daysInMonth } with end exclusive (UTC)
+function parseMonth(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || "");
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  if (monthIndex < 0 || monthIndex > 11) return null;
+
+  const start = new Date(Date.UTC(year, monthIndex, 1));
+  const end = new Date(Date.UTC(year, monthIndex + 1, 1));
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+  return { month, start, end, daysInMonth };
+}
+
+const inPeriod = (date, period) => {
+  const d = new Date(date);
+  return d >= period.start && d < period.end;
+};
+
+// Base salary for a guard: the guard's own salary wins over the site rate
+function resolveBaseSalary(guard, sites = []) {
+  if (typeof guard.baseSalary === "number") return guard.baseSalary;
+  const site = sites.find(s => String(s._id) === String(guard.siteId));
+  return typeof site?.baseSalary === "number" ? site.baseSalary : null;
+}
+
+// True when `entries` (a guard's active ledger entries) include a salary for `month`
+function isPaidForMonth(entries, month) {
+  return entries.some(t => t.type === "salary" && t.payrollMonth === month);
+}
+
+// Build a line-by-line payslip for `guard` in `period` (from parseMonth).
+// `presence` holds the guard's presence records (one per day) and `entries`
+// their active ledger entries. Days before the guard's joinDate are not paid,
+// nor, with `lastDay` (a day inside the period, e.g. a termination date), the
+// days after it.
+function computePayslip(guard, period, baseSalary, presence = [], { lastDay = null, entries = [] } = {}) {
+  const lines = [{ label: "Base salary", type: "base", amount: round2(baseSalary) }];
+
+  const joinDay = guard.joinDate ? localDay(guard.joinDate) : null;
+  const employedFrom = joinDay && joinDay > period.start ? joinDay : period.start;
+  const employedUntil = lastDay ? new Date(lastDay.getTime() + DAY_MS) : period.end;
+  const worked = presence.filter(p =>
+    inPeriod(p.date, period) && new Date(p.date) >= employedFrom && new Date(p.date) < employedUntil
+  );
+  // Half-days count as half an absence; approved leave is not an absence
+  const absentDays = absenceDays(worked);
+  const unpaidLeave = unpaidLeaveDays(worked);
+
+  const dailyRate = baseSalary / period.daysInMonth;
+  if (absentDays > 0) {
+    lines.push({
+      label: `Absent ${absentDays} day(s) at ${round2(dailyRate)}/day`,
+      type: "absence",
+      amount: -round2(dailyRate * absentDays),
+    });
+  }
+  if (unpaidLeave > 0) {
+    lines.push({
+      label: `Unpaid leave ${unpaidLeave} day(s) at ${round2(dailyRate)}/day`,
+      type: "unpaid-leave",
+      amount: -round2(dailyRate * unpaidLeave),
+    });
+  }
+
+  const notJoinedDays = Math.min(period.daysInMonth, Math.round((employedFrom - period.start) / DAY_MS));
+  if (notJoinedDays > 0) {
+    lines.push({
+      label: `Not employed for ${notJoinedDays} day(s) before ${dayKey(joinDay)}`,
+      type: "unemployed",
+      amount: -round2(dailyRate * notJoinedDays),
+    });
+  }
+
+  const unemployedDays = Math.max(0, Math.round((period.end - employedUntil) / DAY_MS));
+  if (unemployedDays > 0) {
+    lines.push({
+      label: `Not employed for ${unemployedDays} day(s) after ${lastDay.toISOString().slice(0, 10)}`,
+      type: "unemployed",
+      amount: -round2(dailyRate * unemployedDays),
+    });
+  }
+
+  entries
+    .filter(t => TRANSACTION_EFFECTS[t.type] && inPeriod(t.date, period))
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(t => {
+      lines.push({
+        label: t.note || t.type,
+        type: t.type,
+        date: t.date,
+        amount: round2(TRANSACTION_EFFECTS[t.type] * Math.abs(t.amount)),
+      });
+    });
+
+  const earnings = round2(lines.filter(l => l.amount > 0).reduce((sum, l) => sum + l.amount, 0));
+  const deductions = round2(-lines.filter(l => l.amount < 0).reduce((sum, l) => sum + l.amount, 0));
+
+  return {
+    guardId: guard._id,
+    name: guard.name,
+    siteId: guard.siteId || null,
+    month: period.month,
+    daysInMonth: period.daysInMonth,
+    absentDays,
+    unpaidLeaveDays: unpaidLeave,
+    baseSalary: round2(baseSalary),
+    lines,
+    earnings,
+    deductions,
+    netPay: round2(earnings - deductions),
+    paid: isPaidForMonth(entries, period.month),
+  };
+}
+
+module.exports = {
+  round2,
+  parseMonth,
+  resolveBaseSalary,
+  isPaidForMonth,
+  computePayslip,
+};
@@ -0,0 +1,233 @@
+// Printable PDFs: payslips, monthly site attendance sheets and guard ID cards.
+// Text is set in the bundled Noto Sans Bengali fonts (assets/fonts), which
+// cover both Bangla and Latin, so nothing is fetched at render time.
+
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+const ORG_NAME = process.env.ORG_NAME || "NSS Bangladesh";
+const FONTS_DIR = path.join(__dirname, "..", "assets", "fonts");
+const FONTS = {
+  regular: path.join(FONTS_DIR, "NotoSansBengali-Regular.ttf"),
+  bold: path.join(FONTS_DIR, "NotoSansBengali-Bold.ttf"),
+};
+
+// Codes used in the attendance grid
+const STATUS_CODES = {
+  present: "P",
+  absent: "A",
+  late: "L",
+  leave: "LV",
+  "half-day": "H",
+};
+
+// ID-1 card size (85.6 x 54 mm) in points
+const CARD_SIZE = [242.65, 153.07];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "-");
+
+const formatMoney = (amount) =>
+  `৳ ${Number(amount).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const monthLabel = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleString("en-GB", { month: "long", year: "numeric", timeZone: "UTC" });
+
+function createDocument(options = {}) {
+  const doc = new PDFDocument({ size: "A4", margin: 40, ...options });
+  doc.registerFont("regular", FONTS.regular);
+  doc.registerFont("bold", FONTS.bold);
+  doc.font("regular");
+  return doc;
+}
+
+// Finish `doc` and collect it into a Buffer
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+function heading(doc, title, subtitle) {
+  doc.font("bold").fontSize(16).text(ORG_NAME, { align: "center" });
+  doc.fontSize(13).text(title, { align: "center" });
+  if (subtitle) doc.font("regular").fontSize(10).text(subtitle, { align: "center" });
+  doc.moveDown();
+}
+
+// Two columns of "label: value" pairs
+function details(doc, pairs) {
+  const left = doc.page.margins.left;
+  const half = (doc.page.width - left - doc.page.margins.right) / 2;
+  for (let i = 0; i < pairs.length; i += 2) {
+    const y = doc.y;
+    pairs.slice(i, i + 2).forEach(([label, value], j) => {
+      doc.font("bold").fontSize(10).text(`${label}: `, left + j * half, y, { continued: true });
+      doc.font("regular").text(String(value ?? "-"));
+    });
+    doc.x = left;
+  }
+  doc.moveDown();
+}
+
+function signatures(doc, labels) {
+  const left = doc.page.margins.left;
+  const width = (doc.page.width - left - doc.page.margins.right) / labels.length;
+  const y = Math.max(doc.y + 40, doc.page.height - doc.page.margins.bottom - 40);
+  labels.forEach((label, i) => {
+    const x = left + i * width + 10;
+    doc.moveTo(x, y).lineTo(x + width - 40, y).stroke();
+    doc.font("regular").fontSize(9).text(label, x, y + 4, { width: width - 40, align: "center" });
+  });
+}
+
+// Payslip from computePayslip()
+async function renderPayslip({ payslip, guard, site }) {
+  const doc = createDocument();
+  heading(doc, `Payslip - ${monthLabel(payslip.month)}`);
+
+  details(doc, [
+    ["Name", guard.name],
+    ["NID", guard.nid],
+    ["Site", site?.name],
+    ["Join date", formatDate(guard.joinDate)],
+    ["Days in month", payslip.daysInMonth],
+    ["Absent days", payslip.absentDays],
+    ["Unpaid leave days", payslip.unpaidLeaveDays ?? 0],
+  ]);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const columns = { description: left, date: left + 300, amount: right - 110 };
+
+  const row = (description, date, amount, font = "regular") => {
+    const y = doc.y;
+    doc.font(font).fontSize(10);
+    doc.text(description, columns.description, y, { width: 290 });
+    doc.text(date, columns.date, y, { width: 100 });
+    doc.text(amount, columns.amount, y, { width: 110, align: "right" });
+    doc.moveDown(0.3);
+  };
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.3);
+  };
+
+  row("Description", "Date", "Amount", "bold");
+  rule();
+  payslip.lines.forEach(line => row(line.label, line.date ? formatDate(line.date) : "", formatMoney(line.amount)));
+  rule();
+  row("Earnings", "", formatMoney(payslip.earnings));
+  row("Deductions", "", formatMoney(-payslip.deductions));
+  row("Net pay", "", formatMoney(payslip.netPay), "bold");
+  doc.moveDown();
+  doc.x = left;
+  doc.font("regular").fontSize(9).text(payslip.paid ? "Salary for this month has been paid." : "Salary for this month is not yet paid.");
+
+  signatures(doc, ["Accounts", "Guard"]);
+  return toBuffer(doc);
+}
+
+// Guards-by-days grid from buildSheet() for one site, for client sign-off
+async function renderAttendanceSheet({ sheet, site }) {
+  const doc = createDocument({ layout: "landscape", margin: 30 });
+  heading(doc, `Attendance sheet - ${monthLabel(sheet.month)}`, `${site.name}${site.clientName ? ` (${site.clientName})` : ""}`);
+
+  const left = doc.page.margins.left;
+  const totals = Object.keys(STATUS_CODES);
+  const nameWidth = 120;
+  const totalWidth = 22;
+  const dayWidth = (doc.page.width - left - doc.page.margins.right - 20 - nameWidth - totals.length * totalWidth) / sheet.days.length;
+  const rowHeight = 15;
+
+  const drawRow = (cells, font) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom - 60) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(7);
+    cells.forEach(({ text, width, align = "center" }) => {
+      doc.rect(x, y, width, rowHeight).stroke();
+      doc.text(text, x + 2, y + 4, { width: width - 4, align, lineBreak: false, ellipsis: true });
+      x += width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow([
+    { text: "#", width: 20 },
+    { text: "Name", width: nameWidth, align: "left" },
+    ...sheet.days.map(day => ({ text: day.slice(8), width: dayWidth })),
+    ...totals.map(status => ({ text: STATUS_CODES[status], width: totalWidth })),
+  ], "bold");
+
+  sheet.guards.forEach((guard, index) => {
+    drawRow([
+      { text: String(index + 1), width: 20 },
+      { text: guard.name, width: nameWidth, align: "left" },
+      ...sheet.days.map(day => ({ text: STATUS_CODES[guard.days[day]] || "", width: dayWidth })),
+      ...totals.map(status => ({ text: String(guard.totals[status] || 0), width: totalWidth })),
+    ], "regular");
+  });
+
+  doc.moveDown();
+  doc.font("regular").fontSize(8).text(
+    Object.entries(STATUS_CODES).map(([status, code]) => `${code} = ${status}`).join("   "),
+    left
+  );
+
+  signatures(doc, ["Site supervisor", "Client representative", "Date"]);
+  return toBuffer(doc);
+}
+
+// ID card with photo (JPEG/PNG Buffer or null) and a QR code linking to
+// `verifyUrl`
+async function renderIdCard({ guard, site, photo, verifyUrl, expiresAt }) {
+  const doc = createDocument({ size: CARD_SIZE, margin: 0 });
+  const [width, height] = CARD_SIZE;
+
+  doc.rect(0, 0, width, 24).fill("#1f3a5f");
+  doc.fillColor("white").font("bold").fontSize(10).text(ORG_NAME, 0, 6, { width, align: "center" });
+  doc.fillColor("black");
+
+  const photoBox = { x: 8, y: 32, width: 56, height: 70 };
+  if (photo) {
+    doc.image(photo, photoBox.x, photoBox.y, { fit: [photoBox.width, photoBox.height], align: "center", valign: "center" });
+  } else {
+    doc.rect(photoBox.x, photoBox.y, photoBox.width, photoBox.height).stroke("#999999");
+    doc.font("regular").fontSize(6).fillColor("#999999")
+      .text("No photo", photoBox.x, photoBox.y + 32, { width: photoBox.width, align: "center" });
+    doc.fillColor("black");
+  }
+
+  const textX = 72;
+  const textWidth = width - textX - 70;
+  doc.font("bold").fontSize(9).text(guard.name, textX, 32, { width: textWidth });
+  doc.font("regular").fontSize(7);
+  doc.text("Security Guard", textX, doc.y, { width: textWidth });
+  doc.moveDown(0.3);
+  doc.text(`Site: ${site?.name || "-"}`, { width: textWidth });
+  doc.text(`NID: ${guard.nid || "-"}`, { width: textWidth });
+  doc.text(`Joined: ${formatDate(guard.joinDate)}`, { width: textWidth });
+  doc.text(`Valid until: ${formatDate(expiresAt)}`, { width: textWidth });
+
+  const qr = await QRCode.toBuffer(verifyUrl, { type: "png", margin: 1, width: 240 });
+  doc.image(qr, width - 66, 34, { width: 58, height: 58 });
+  doc.fontSize(5).text("Scan to verify", width - 66, 94, { width: 58, align: "center" });
+
+  doc.rect(0, height - 10, width, 10).fill("#1f3a5f");
+  return toBuffer(doc);
+}
+
+module.exports = {
+  STATUS_CODES,
+  renderPayslip,
+  renderAttendanceSheet,
+  renderIdCard,
+};
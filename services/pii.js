@@ -0,0 +1,156 @@
+// Personal data of guards (NID, phone number and address), encrypted at rest.
+//
+// Values are encrypted with AES-256-GCM and stored as
+// "enc:<keyId>:<iv>:<tag>:<ciphertext>". Several keys may be configured: the
+// first encrypts, and the others are kept so values written before a key
+// rotation can still be read (`npm run migrate:guard-contacts` re-encrypts
+// them). NID and phone number also get a keyed hash in `nidHash` and
+// `phoneHash`, which stays the same across rotations, so the uniqueness
+// checks and exact-match search work without decrypting.
+//
+// API responses mask these fields unless the caller has pii:view.
+
+const crypto = require("crypto");
+const { normalizeNid, normalizePhone } = require("../utils/bangladesh");
+
+const PII_FIELDS = ["nid", "phone", "address"];
+// Fields with a lookup hash, and how a value is normalized before hashing
+const HASHED_FIELDS = { nid: normalizeNid, phone: normalizePhone };
+
+const hashField = (field) => `${field}Hash`;
+
+const PREFIX = "enc";
+const KEY_ID_REGEX = /^[A-Za-z0-9_-]+$/;
+
+const isEncrypted = (value) => typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+// "v2:<base64 key>,v1:<base64 key>" -> [{ id, key }], newest first
+function parseKeys(value) {
+  const keys = String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (keys.length === 0) throw new Error("PII_ENCRYPTION_KEYS is required to encrypt guards' personal data");
+  return keys.map(entry => {
+    const [id, encoded] = entry.split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!KEY_ID_REGEX.test(id || "") || key.length !== 32) {
+      throw new Error("PII_ENCRYPTION_KEYS must be a comma-separated list of id:key, each key 32 bytes in base64");
+    }
+    return { id, key };
+  });
+}
+
+// PII_HASH_KEY as a Buffer
+function parseHashKey(value) {
+  const key = Buffer.from(value || "", "base64");
+  if (key.length < 32) throw new Error("PII_HASH_KEY must be at least 32 bytes in base64");
+  return key;
+}
+
+// `keys` are [{ id, key }] with the current key first; `hashKey` is a Buffer
+function createPiiCipher({ keys, hashKey }) {
+  if (keys.length === 0) throw new Error("At least one PII encryption key is required");
+  const [current] = keys;
+  const byId = new Map(keys.map(k => [k.id, k.key]));
+
+  function encrypt(value) {
+    if (value === null || value === undefined || value === "") return value ?? null;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", current.key, iv);
+    const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+    return [PREFIX, current.id, iv, cipher.getAuthTag(), data]
+      .map(part => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+      .join(":");
+  }
+
+  // Values that are not encrypted (stored before encryption) come back as they are
+  function decrypt(value) {
+    if (!isEncrypted(value)) return value;
+    const [, id, iv, tag, data] = value.split(":");
+    const key = byId.get(id);
+    if (!key) throw new Error(`No PII key with id "${id}" is configured`);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+  }
+
+  // Whether `value` is missing or already encrypted with the current key
+  const isCurrent = (value) =>
+    value === null || value === undefined || value === "" || value.startsWith(`${PREFIX}:${current.id}:`);
+
+  // Lookup hash of a NID or phone number, or null when `value` is not valid
+  function hash(field, value) {
+    const normalized = HASHED_FIELDS[field](value);
+    return normalized ? crypto.createHmac("sha256", hashKey).update(`${field}:${normalized}`).digest("hex") : null;
+  }
+
+  // Copy of `fields` with the PII fields it has encrypted and hashed, ready
+  // to be written to a guard
+  function encryptFields(fields) {
+    const result = { ...fields };
+    for (const field of PII_FIELDS) {
+      if (!(field in fields)) continue;
+      result[field] = encrypt(fields[field]);
+      if (HASHED_FIELDS[field]) result[hashField(field)] = hash(field, fields[field]);
+    }
+    return result;
+  }
+
+  // Copy of `doc` with its PII fields decrypted and without the lookup hashes
+  function decryptFields(doc) {
+    const result = { ...doc };
+    for (const field of PII_FIELDS) {
+      if (field in result) result[field] = decrypt(result[field]);
+      delete result[hashField(field)];
+    }
+    return result;
+  }
+
+  return { currentKeyId: current.id, encrypt, decrypt, isCurrent, hash, encryptFields, decryptFields };
+}
+
+// PII_ENCRYPTION_KEYS and PII_HASH_KEY are both required; config.js checks
+// them at startup. Generate a key with `openssl rand -base64 32`.
+const piiCipherFromEnv = (env = process.env) =>
+  createPiiCipher({ keys: parseKeys(env.PII_ENCRYPTION_KEYS), hashKey: parseHashKey(env.PII_HASH_KEY) });
+
+// All digits but the last `keep` replaced with *
+function maskDigits(value, keep = 4) {
+  let left = (value.match(/\d/g) || []).length - keep;
+  return value.replace(/\d/g, d => (left-- > 0 ? "*" : d));
+}
+
+const MASKS = {
+  // "******7890"
+  nid: (nid) => maskDigits(nid),
+  // "+880******5678"; the country code is not personal
+  phone: (phone) => (phone.startsWith("+880") ? `+880${maskDigits(phone.slice(4))}` : maskDigits(phone)),
+  // Only the last part, usually the district: "***, Dhaka"
+  address: (address) => {
+    const parts = address.split(",").map(s => s.trim()).filter(Boolean);
+    return parts.length > 1 ? `***, ${parts[parts.length - 1]}` : "***";
+  },
+};
+
+// Copy of a decrypted `doc` with its PII fields masked
+function maskFields(doc) {
+  const result = { ...doc };
+  for (const field of PII_FIELDS) {
+    if (typeof result[field] === "string" && result[field]) result[field] = MASKS[field](result[field]);
+  }
+  return result;
+}
+
+// PII fields `doc` has a value for
+const piiFieldsOf = (doc) => PII_FIELDS.filter(field => doc[field] !== null && doc[field] !== undefined && doc[field] !== "");
+
+module.exports = {
+  PII_FIELDS,
+  HASHED_FIELDS,
+  hashField,
+  isEncrypted,
+  parseKeys,
+  parseHashKey,
+  createPiiCipher,
+  piiCipherFromEnv,
+  maskFields,
+  piiFieldsOf,
+};
@@ -0,0 +1,221 @@
+// Shift rosters. Assignments put a guard on a shift for a date range; they are
+// expanded into concrete shift instances (start/end timestamps) to detect
+// double-booking, overlaps and rest-gap violations.
+
+const SHIFT_TYPES = ["day", "night", "custom"];
+
+// Shift times are wall-clock times at the sites. Bangladesh is UTC+6 with no DST.
+const UTC_OFFSET_MINUTES = Number(process.env.ROSTER_UTC_OFFSET_MINUTES ?? 360);
+const MIN_REST_HOURS = Number(process.env.ROSTER_MIN_REST_HOURS ?? 8);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest date range of an assignment or rotation. Conflict checks expand it
+// into shift instances and compare them pairwise.
+const MAX_RANGE_DAYS = 366;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [, h, m] = TIME_REGEX.exec(time);
+  return Number(h) * 60 + Number(m);
+};
+
+// "2026-10-19" -> Date at UTC midnight, or null
+function parseDay(value) {
+  if (!DATE_REGEX.test(value || "")) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+}
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Local calendar day (UTC midnight Date) of an instant at the sites
+const localDay = (instant) =>
+  parseDay(dayKey(new Date(new Date(instant).getTime() + UTC_OFFSET_MINUTES * 60000)));
+
+// Monday-to-Sunday week containing `date`
+function weekRange(date) {
+  const day = parseDay(dayKey(date));
+  const mondayOffset = (day.getUTCDay() + 6) % 7;
+  const start = new Date(day.getTime() - mondayOffset * DAY_MS);
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+}
+
+// Validate a shift payload and return the fields to store
+function buildShiftFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has("name")) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      errors.push({ field: "name", message: "name must be a non-empty string" });
+    } else {
+      fields.name = body.name.trim();
+    }
+  } else if (!partial) {
+    errors.push({ field: "name", message: "name is required" });
+  }
+
+  if (has("type")) {
+    if (!SHIFT_TYPES.includes(body.type)) {
+      errors.push({ field: "type", message: `type must be one of: ${SHIFT_TYPES.join(", ")}` });
+    } else {
+      fields.type = body.type;
+    }
+  } else if (!partial) {
+    fields.type = "custom";
+  }
+
+  for (const key of ["startTime", "endTime"]) {
+    if (has(key)) {
+      if (!TIME_REGEX.test(body[key] || "")) {
+        errors.push({ field: key, message: `${key} must be HH:mm` });
+      } else {
+        fields[key] = body[key];
+      }
+    } else if (!partial) {
+      errors.push({ field: key, message: `${key} is required` });
+    }
+  }
+  if (fields.startTime && fields.startTime === fields.endTime) {
+    errors.push({ field: "startTime", message: "startTime and endTime must differ" });
+  }
+
+  if (has("guardsRequired")) {
+    if (!Number.isInteger(body.guardsRequired) || body.guardsRequired < 1) {
+      errors.push({ field: "guardsRequired", message: "guardsRequired must be a positive integer" });
+    } else {
+      fields.guardsRequired = body.guardsRequired;
+    }
+  } else if (!partial) {
+    fields.guardsRequired = 1;
+  }
+
+  return { errors, fields };
+}
+
+// Concrete { start, end, date } instances of `shift` on every day of
+// `assignment` that falls in [from, to). A shift ending at or before its start
+// time runs past midnight into the next day.
+function expandAssignment(assignment, shift, from, to) {
+  const instances = [];
+  const startMinutes = toMinutes(shift.startTime);
+  let endMinutes = toMinutes(shift.endTime);
+  if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+  const first = Math.max(new Date(assignment.startDate).getTime(), from.getTime());
+  const last = Math.min(new Date(assignment.endDate).getTime(), to.getTime() - DAY_MS);
+
+  for (let day = first; day <= last; day += DAY_MS) {
+    const date = new Date(day);
+    if (assignment.daysOfWeek?.length && !assignment.daysOfWeek.includes(date.getUTCDay())) continue;
+
+    const base = day - UTC_OFFSET_MINUTES * 60000;
+    instances.push({
+      date: dayKey(date),
+      start: new Date(base + startMinutes * 60000),
+      end: new Date(base + endMinutes * 60000),
+      assignmentId: assignment._id,
+      shiftId: shift._id,
+      siteId: assignment.siteId,
+      guardId: assignment.guardId,
+      shiftName: shift.name,
+    });
+  }
+  return instances;
+}
+
+// Expand many assignments; `shiftsById` maps String(shiftId) -> shift
+function expandAssignments(assignments, shiftsById, from, to) {
+  return assignments.flatMap(a => {
+    const shift = shiftsById.get(String(a.shiftId));
+    return shift ? expandAssignment(a, shift, from, to) : [];
+  });
+}
+
+// Compare proposed instances for one guard with that guard's existing ones.
+// Returns a list of human-readable conflicts; empty means the plan is valid.
+function findConflicts(proposed, existing, minRestHours = MIN_REST_HOURS) {
+  const conflicts = [];
+  const restMs = minRestHours * 60 * 60 * 1000;
+  const all = [...existing.map(i => ({ ...i, existing: true })), ...proposed];
+
+  for (const p of proposed) {
+    for (const other of all) {
+      if (other === p) continue;
+
+      if (String(other.shiftId) === String(p.shiftId) && other.date === p.date) {
+        conflicts.push({ type: "double-booked", date: p.date, shift: p.shiftName });
+      } else if (p.start < other.end && other.start < p.end) {
+        conflicts.push({
+          type: "overlap",
+          date: p.date,
+          shift: p.shiftName,
+          with: `${other.shiftName} on ${other.date}`,
+        });
+      } else {
+        const gap = p.start >= other.end ? p.start - other.end : other.start - p.end;
+        if (gap < restMs) {
+          conflicts.push({
+            type: "rest-gap",
+            date: p.date,
+            shift: p.shiftName,
+            with: `${other.shiftName} on ${other.date}`,
+            restHours: Math.round((gap / 3600000) * 10) / 10,
+            minRestHours,
+          });
+        }
+      }
+    }
+  }
+
+  // Each pair of proposed instances is seen twice; keep one report per pair
+  const seen = new Set();
+  return conflicts.filter(c => {
+    const key = JSON.stringify(c);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Assignments for a rotation: guard i works shift (i + period) mod n during
+// each `periodDays`-long period between startDate and endDate
+function buildRotation({ guardIds, shifts, startDate, endDate, periodDays }) {
+  const assignments = [];
+  for (let periodStart = startDate.getTime(), period = 0;
+    periodStart <= endDate.getTime();
+    periodStart += periodDays * DAY_MS, period++) {
+    const periodEnd = Math.min(periodStart + (periodDays - 1) * DAY_MS, endDate.getTime());
+
+    guardIds.forEach((guardId, i) => {
+      const shift = shifts[(i + period) % shifts.length];
+      assignments.push({
+        guardId,
+        shiftId: shift._id,
+        siteId: shift.siteId,
+        startDate: new Date(periodStart),
+        endDate: new Date(periodEnd),
+      });
+    });
+  }
+  return assignments;
+}
+
+module.exports = {
+  SHIFT_TYPES,
+  UTC_OFFSET_MINUTES,
+  MIN_REST_HOURS,
+  DAY_MS,
+  MAX_RANGE_DAYS,
+  parseDay,
+  dayKey,
+  localDay,
+  weekRange,
+  buildShiftFields,
+  expandAssignment,
+  expandAssignments,
+  findConflicts,
+  buildRotation,
+};
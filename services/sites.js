@@ -0,0 +1,117 @@
+// Client sites (duty posts). Guards reference a site by `siteId`.
+
+const SITE_TEXT_FIELDS = ["name", "clientName", "address"];
+
+// Validate a site payload and return the fields to store. With `partial`, only
+// the fields present in `body` are checked (PATCH).
+function buildSiteFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  for (const key of SITE_TEXT_FIELDS) {
+    if (has(key)) {
+      if (typeof body[key] !== "string" || !body[key].trim()) {
+        errors.push({ field: key, message: `${key} must be a non-empty string` });
+      } else {
+        fields[key] = body[key].trim();
+      }
+    } else if (!partial && key !== "address") {
+      errors.push({ field: key, message: `${key} is required` });
+    }
+  }
+
+  if (has("contactPerson")) {
+    const { name, phone, email } = body.contactPerson || {};
+    if (!name) {
+      errors.push({ field: "contactPerson.name", message: "contactPerson.name is required" });
+    } else {
+      fields.contactPerson = { name, phone: phone || null, email: email || null };
+    }
+  }
+
+  for (const key of ["contractStart", "contractEnd"]) {
+    if (has(key)) {
+      const date = body[key] === null ? null : new Date(body[key]);
+      if (date && isNaN(date)) {
+        errors.push({ field: key, message: `${key} must be a valid date` });
+      } else {
+        fields[key] = date;
+      }
+    }
+  }
+  if (fields.contractStart && fields.contractEnd && fields.contractEnd < fields.contractStart) {
+    errors.push({ field: "contractEnd", message: "contractEnd must be after contractStart" });
+  }
+
+  // Site coordinates and geofence radius (meters) for guard self check-in
+  if (has("location")) {
+    const lat = Number(body.location?.lat);
+    const lng = Number(body.location?.lng);
+    if (body.location === null) {
+      fields.location = null;
+    } else if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      errors.push({ field: "location", message: "location must be { lat, lng }" });
+    } else {
+      fields.location = { lat, lng };
+    }
+  }
+  if (has("geofenceRadius")) {
+    if (typeof body.geofenceRadius !== "number" || body.geofenceRadius <= 0) {
+      errors.push({ field: "geofenceRadius", message: "geofenceRadius must be a positive number of meters" });
+    } else {
+      fields.geofenceRadius = body.geofenceRadius;
+    }
+  }
+
+  for (const key of ["guardsPerShift", "shiftsPerDay"]) {
+    if (has(key)) {
+      if (!Number.isInteger(body[key]) || body[key] < 0) {
+        errors.push({ field: key, message: `${key} must be a non-negative integer` });
+      } else {
+        fields[key] = body[key];
+      }
+    }
+  }
+  if (!partial) {
+    fields.guardsPerShift ??= 1;
+    fields.shiftsPerDay ??= 1;
+  }
+
+  return { errors, fields };
+}
+
+// Aggregation stages that add `assignedGuards`, `requiredGuards` and
+// `shortfall` to each site. Terminated and archived guards do not count.
+function staffingStages() {
+  return [
+    {
+      $lookup: {
+        from: "guards",
+        localField: "_id",
+        foreignField: "siteId",
+        as: "guards",
+        pipeline: [
+          { $match: { archivedAt: null, "employment.status": { $ne: "terminated" } } },
+          { $project: { _id: 1 } },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        assignedGuards: { $size: "$guards" },
+        requiredGuards: {
+          $multiply: [{ $ifNull: ["$guardsPerShift", 0] }, { $ifNull: ["$shiftsPerDay", 1] }],
+        },
+      },
+    },
+    {
+      $addFields: {
+        shortfall: { $max: [0, { $subtract: ["$requiredGuards", "$assignedGuards"] }] },
+      },
+    },
+    { $project: { guards: 0 } },
+  ];
+}
+
+module.exports = { buildSiteFields, staffingStages };
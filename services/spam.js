@@ -0,0 +1,116 @@
+// Spam checks for the public contact form: bot signals from the form itself,
+// duplicate detection and a content score. Messages scoring at or above
+// SPAM_SCORE_THRESHOLD are stored with status "spam" for an admin to review.
+
+const crypto = require("crypto");
+
+// Humans take at least this long to fill in a form
+const MIN_SUBMIT_SECONDS = Number(process.env.FORM_MIN_SUBMIT_SECONDS ?? 3);
+const SPAM_SCORE_THRESHOLD = Number(process.env.SPAM_SCORE_THRESHOLD ?? 5);
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS ?? 24);
+// Share of word triples two messages must have in common to be duplicates
+const DUPLICATE_SIMILARITY = 0.8;
+
+const SIGNAL_WEIGHTS = {
+  honeypot: 10,
+  "submitted-too-fast": 5,
+  "no-form-timestamp": 1,
+  // The same text arrived from other senders recently
+  "repeated-content": 5,
+};
+
+const SPAM_WORDS = [
+  "viagra", "cialis", "casino", "betting", "crypto", "bitcoin", "forex", "loan offer",
+  "seo services", "backlinks", "web traffic", "click here", "free money", "porn", "escort",
+];
+
+const LINK_REGEX = /(https?:\/\/|www\.)\S+/gi;
+
+// Bot signals from the anti-bot form fields: `website` is a honeypot hidden
+// from people, `formStartedAt` is when the form was shown (ms timestamp)
+function formSignals({ website, formStartedAt }, now = Date.now()) {
+  const signals = [];
+  if (typeof website === "string" ? website.trim() : website) {
+    signals.push("honeypot");
+  }
+  if (formStartedAt === undefined || formStartedAt === null) {
+    signals.push("no-form-timestamp");
+  } else {
+    const elapsed = now - Number(formStartedAt);
+    if (!(elapsed >= MIN_SUBMIT_SECONDS * 1000)) signals.push("submitted-too-fast");
+  }
+  return signals;
+}
+
+const signalScore = (signals) => signals.reduce((sum, s) => sum + (SIGNAL_WEIGHTS[s] || 0), 0);
+
+// Score a contact-form message. Returns { score, reasons, isSpam }.
+function scoreMessage({ name, message }, signals = []) {
+  const reasons = [...signals];
+  let score = signalScore(signals);
+
+  const links = (message.match(LINK_REGEX) || []).length;
+  if (links > 0) {
+    score += Math.min(links, 5);
+    reasons.push(`links:${links}`);
+  }
+  if (/https?:\/\/|www\./i.test(name || "")) {
+    score += 3;
+    reasons.push("link-in-name");
+  }
+
+  const lower = message.toLowerCase();
+  for (const word of SPAM_WORDS) {
+    if (lower.includes(word)) {
+      score += 2;
+      reasons.push(`keyword:${word}`);
+    }
+  }
+
+  const letters = message.replace(/[^A-Za-z]/g, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    score += 2;
+    reasons.push("shouting");
+  }
+
+  return { score, reasons, isSpam: score >= SPAM_SCORE_THRESHOLD };
+}
+
+// Lowercase words only, so case, punctuation and spacing do not matter
+const normalizeText = (text) =>
+  (text || "").toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, " ").trim();
+
+const contentHash = (text) => crypto.createHash("sha256").update(normalizeText(text)).digest("hex");
+
+const shingles = (normalized) => {
+  const words = normalized.split(" ");
+  if (words.length < 3) return new Set([normalized]);
+  const set = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) set.add(words.slice(i, i + 3).join(" "));
+  return set;
+};
+
+// Jaccard similarity (0 to 1) of two texts' word triples
+function similarity(a, b) {
+  const setA = shingles(normalizeText(a));
+  const setB = shingles(normalizeText(b));
+  let shared = 0;
+  for (const s of setA) if (setB.has(s)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+// The first of `previous` messages that `message` nearly repeats, or null
+const findDuplicate = (message, previous) =>
+  previous.find(p => similarity(message, p.message) >= DUPLICATE_SIMILARITY) || null;
+
+module.exports = {
+  SPAM_SCORE_THRESHOLD,
+  DUPLICATE_WINDOW_HOURS,
+  formSignals,
+  signalScore,
+  scoreMessage,
+  normalizeText,
+  contentHash,
+  similarity,
+  findDuplicate,
+};
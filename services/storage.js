@@ -0,0 +1,98 @@
+// File storage behind a small interface so uploads can live on local disk
+// (default) or in an S3-compatible bucket. Every store has:
+//   put(key, buffer, contentType)  save a file
+//   get(key)                       Readable stream of the file
+//   remove(key)                    delete the file; missing files are ignored
+// Keys are generated by the server, never taken from a request.
+
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+
+function createLocalStorage(root) {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = resolve(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  // Optional dependency, only needed with STORAGE_DRIVER=s3
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: "s3",
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body instanceof Readable ? Body : Readable.from(Body);
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+// STORAGE_DRIVER=local|s3 (default local)
+function storageFromEnv(env = process.env) {
+  switch (env.STORAGE_DRIVER || "local") {
+    case "local":
+      return createLocalStorage(env.STORAGE_DIR || "uploads");
+    case "s3":
+      if (!env.S3_BUCKET) {
+        throw new Error("S3_BUCKET must be set when STORAGE_DRIVER=s3");
+      }
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || "us-east-1",
+        endpoint: env.S3_ENDPOINT || undefined,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+  }
+}
+
+// Read a stream from get() into a Buffer
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  storageFromEnv,
+  readAll,
+};
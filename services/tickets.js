@@ -0,0 +1,66 @@
+// Contact-form messages are handled as tickets: a thread of replies between
+// staff and the user, internal staff notes, an assignee and a status that
+// only moves along the transitions below.
+
+const { MESSAGE_STATUSES } = require("../schemas/message");
+
+// Allowed next statuses; a resolved ticket can be reopened. Moving a spam
+// message to "new" releases it into the inbox.
+const STATUS_TRANSITIONS = {
+  new: ["in-progress", "resolved", "spam"],
+  "in-progress": ["resolved"],
+  resolved: ["in-progress"],
+  spam: ["new"],
+};
+
+// Messages still waiting for staff; spam is not counted
+const UNREAD_MESSAGES = { isRead: false, status: { $ne: "spam" } };
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from || "new"] || []).includes(to);
+}
+
+// Entry for a ticket's `statusHistory`
+const statusChange = (from, to, actor, at = new Date()) => ({
+  from: from || "new",
+  to,
+  changedBy: actor?._id || null,
+  changedAt: at,
+});
+
+// Status a reply moves the ticket to, or null to leave it alone: staff
+// picking up a new ticket starts work on it, and a user answering a resolved
+// ticket reopens it
+function statusAfterReply(current, from) {
+  if (from === "staff" && (current || "new") === "new") return "in-progress";
+  if (from === "user" && current === "resolved") return "in-progress";
+  return null;
+}
+
+// Who wrote a reply or note, as stored on the ticket
+const authorOf = (user) => ({ id: user._id, email: user.email, name: user.name || null });
+
+// Spam checks and internal notes, only shown to staff
+const STAFF_ONLY_FIELDS = ["spam", "contentHash", "ip", "userAgent", "notes"];
+
+// A message as its sender sees it. The sender is never told that it was held
+// as spam: a held message shows as "new", without its spam status changes.
+function senderView(message) {
+  const view = Object.fromEntries(Object.entries(message).filter(([key]) => !STAFF_ONLY_FIELDS.includes(key)));
+  if (view.status === "spam") view.status = "new";
+  if (view.statusHistory) {
+    view.statusHistory = view.statusHistory.filter(c => c.from !== "spam" && c.to !== "spam");
+  }
+  return view;
+}
+
+module.exports = {
+  MESSAGE_STATUSES,
+  STATUS_TRANSITIONS,
+  UNREAD_MESSAGES,
+  canTransition,
+  statusChange,
+  statusAfterReply,
+  authorOf,
+  senderView,
+};
@@ -0,0 +1,105 @@
+// Bangladesh formats: mobile numbers, national ID (NID) numbers and taka
+// amounts. Input may use Bangla digits (০-৯), which are read as 0-9.
+
+// Mobile operators by the digit after the leading 01
+const MOBILE_OPERATORS = {
+  3: "Grameenphone",
+  4: "Banglalink",
+  5: "Teletalk",
+  6: "Airtel",
+  7: "Grameenphone",
+  8: "Robi",
+  9: "Banglalink",
+};
+
+const PHONE_REGEX = /^\+8801[3-9]\d{8}$/;
+const NID_LENGTHS = [10, 13, 17];
+
+// Taka amounts are kept to the poisha
+const BDT_DECIMALS = 2;
+
+const toAsciiDigits = (text) => text.replace(/[০-৯]/g, d => String(d.charCodeAt(0) - 0x09e6));
+
+// "+8801712345678" from the ways numbers are written locally (01712345678,
+// 8801712345678, +880 1712-345678, 1712345678), or null when the value is
+// not a Bangladeshi mobile number with a known operator prefix
+function normalizePhone(value) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const compact = toAsciiDigits(String(value)).replace(/[\s\-().]/g, "");
+  const match = /^(?:\+880|00880|880|0)?(1[3-9]\d{8})$/.exec(compact);
+  return match ? `+880${match[1]}` : null;
+}
+
+const isNormalizedPhone = (value) => typeof value === "string" && PHONE_REGEX.test(value);
+
+// Operator of a normalized number, e.g. "Grameenphone"
+const phoneOperator = (phone) => (isNormalizedPhone(phone) ? MOBILE_OPERATORS[phone[5]] : null);
+
+// NID digits without spaces or dashes, or null. NIDs have 10 digits (smart
+// cards), 13 (older cards) or 17 (the 13 digits after the holder's birth
+// year).
+function normalizeNid(value, now = new Date()) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const digits = toAsciiDigits(String(value)).replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(digits) || !NID_LENGTHS.includes(digits.length)) return null;
+  if (digits.length === 17) {
+    const year = Number(digits.slice(0, 4));
+    if (year < 1900 || year > now.getUTCFullYear()) return null;
+  }
+  return digits;
+}
+
+const isNormalizedNid = (value) => typeof value === "string" && normalizeNid(value) === value;
+
+// Round to the poisha, half away from zero. Shifting the decimal point in
+// the number's text avoids the binary error of Math.round(n * 100) / 100,
+// so 1.005 rounds to 1.01.
+function roundBdt(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return n;
+  const text = String(Math.abs(n));
+  const scaled = text.includes("e") ? Math.abs(n) * 10 ** BDT_DECIMALS : Number(`${text}e${BDT_DECIMALS}`);
+  return Math.sign(n) * Number(`${Math.round(scaled)}e-${BDT_DECIMALS}`) || 0;
+}
+
+// True when `amount` has no more than two decimal places
+const isBdtAmount = (amount) => typeof amount === "number" && Number.isFinite(amount) && roundBdt(amount) === amount;
+
+// Mongoose field options for a guard or user phone: stored normalized
+const phoneField = (options = {}) => ({
+  type: String,
+  trim: true,
+  set: (v) => normalizePhone(v) ?? v,
+  validate: {
+    validator: (v) => v === null || v === undefined || v === "" || isNormalizedPhone(v),
+    message: "phone must be a Bangladeshi mobile number, e.g. 01712345678",
+  },
+  ...options,
+});
+
+// Mongoose field options for an NID: stored as digits only
+const nidField = (options = {}) => ({
+  type: String,
+  trim: true,
+  set: (v) => normalizeNid(v) ?? v,
+  validate: {
+    validator: (v) => v === null || v === undefined || isNormalizedNid(v),
+    message: "nid must be a 10, 13 or 17 digit national ID number",
+  },
+  ...options,
+});
+
+module.exports = {
+  MOBILE_OPERATORS,
+  BDT_DECIMALS,
+  toAsciiDigits,
+  normalizePhone,
+  isNormalizedPhone,
+  phoneOperator,
+  normalizeNid,
+  isNormalizedNid,
+  roundBdt,
+  isBdtAmount,
+  phoneField,
+  nidField,
+};
@@ -0,0 +1,36 @@
+// Small in-memory cache with a time to live, for results that may be a little
+// stale (dashboard numbers). Each server instance has its own.
+
+function createCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value) {
+    // Map keeps insertion order, so the first key is the oldest
+    if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Cached value for `key`, computing it with `load()` on a miss. Returns
+  // { value, cachedAt } so callers can tell how old the value is.
+  async function wrap(key, load) {
+    const hit = get(key);
+    if (hit) return hit;
+    const value = { value: await load(), cachedAt: new Date() };
+    set(key, value);
+    return value;
+  }
+
+  return { get, set, wrap, clear: () => entries.clear() };
+}
+
+module.exports = { createCache };
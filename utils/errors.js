@@ -0,0 +1,29 @@
+// Every error response has the same shape:
+//   { success: false, message, errors?: [{ field, message }], ...details }
+// Messages are sent in the caller's language (see utils/i18n.js).
+
+const { requestLanguage, translate } = require("./i18n");
+
+function sendError(res, status, message, details = {}) {
+  const language = requestLanguage(res.req);
+  const body = { success: false, message: translate(message, language), ...details };
+  if (Array.isArray(details.errors)) {
+    body.errors = details.errors.map(e => ({ ...e, message: translate(e.message, language) }));
+  }
+  return res.status(status).set("Content-Language", language).json(body);
+}
+
+// 400 listing each field error
+function sendValidationError(res, errors) {
+  return sendError(res, 400, "Validation failed", { errors });
+}
+
+// Failure returned by a helper as { status, field?, message }; one that names
+// a field is sent as a validation error
+function sendFailure(res, { status, field, message }) {
+  return field
+    ? sendValidationError(res, [{ field, message }])
+    : sendError(res, status, message);
+}
+
+module.exports = { sendError, sendValidationError, sendFailure };
@@ -0,0 +1,26 @@
+// Response messages in the caller's language. Messages are written in English
+// in the code; other languages map the English text (see locales/). The
+// language comes from the Accept-Language header, English by default.
+
+const bn = require("../locales/bn");
+
+const DEFAULT_LANGUAGE = "en";
+const CATALOGS = { bn };
+const LANGUAGES = [DEFAULT_LANGUAGE, ...Object.keys(CATALOGS)];
+
+// "bn" for Accept-Language: bn-BD,bn;q=0.9,en;q=0.8, else "en"
+const requestLanguage = (req) => (req && req.acceptsLanguages(...LANGUAGES)) || DEFAULT_LANGUAGE;
+
+// `message` in `language`, or unchanged when there is no translation
+function translate(message, language) {
+  const catalog = CATALOGS[language];
+  if (!catalog || typeof message !== "string") return message;
+  if (Object.hasOwn(catalog.MESSAGES, message)) return catalog.MESSAGES[message];
+  const pattern = catalog.PATTERNS.find(([regex]) => regex.test(message));
+  return pattern ? message.replace(pattern[0], pattern[1]) : message;
+}
+
+// `message` in the language of `req`
+const localize = (req, message) => translate(message, requestLanguage(req));
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGES, requestLanguage, translate, localize };
@@ -0,0 +1,94 @@
+// Shared parsing for list endpoints: page-based pagination, sorting, text
+// search and date ranges, plus the paginated response envelope.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Parse `page`, `limit` and `sort` from a query. `sort` is a field name,
+// prefixed with "-" for descending, and must be one of `sortFields`.
+// Returns { page, limit, skip, sort } or { error: { field, message } }.
+function parseListQuery(query, { sortFields = [], defaultSort = { createdAt: -1 } } = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: { field: "page", message: "page must be a positive integer" } };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: { field: "limit", message: `limit must be an integer from 1 to ${MAX_LIMIT}` } };
+  }
+
+  let sort = defaultSort;
+  if (query.sort) {
+    const descending = query.sort.startsWith("-");
+    const field = descending ? query.sort.slice(1) : query.sort;
+    if (!sortFields.includes(field)) {
+      return {
+        error: { field: "sort", message: `sort must be one of: ${sortFields.join(", ")} (prefix with - for descending)` },
+      };
+    }
+    // _id breaks ties so pages never overlap
+    sort = { [field]: descending ? -1 : 1, _id: 1 };
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive "contains" match of `q` on any of `fields`, or {}
+function searchFilter(q, fields) {
+  if (typeof q !== "string" || !q.trim()) return {};
+  const pattern = escapeRegex(q.trim());
+  return { $or: fields.map(field => ({ [field]: { $regex: pattern, $options: "i" } })) };
+}
+
+// { field: { $gte, $lte } } from optional from/to strings, {} when neither is
+// set, or { error: { field, message } } for an invalid date. `params` names
+// the query parameters in error messages.
+function dateRangeFilter(field, from, to, params = ["from", "to"]) {
+  if (!from && !to) return {};
+
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+    if (isNaN(range.$gte)) return { error: { field: params[0], message: `${params[0]} must be a valid date` } };
+  }
+  if (to) {
+    range.$lte = new Date(to);
+    if (isNaN(range.$lte)) return { error: { field: params[1], message: `${params[1]} must be a valid date` } };
+  }
+  return { [field]: range };
+}
+
+// "true"/"false" query strings to booleans; undefined when absent or invalid
+function parseBoolean(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return undefined;
+}
+
+function paginatedResponse({ data, total, page, limit }) {
+  const totalPages = Math.ceil(total / limit);
+  const hasNextPage = page < totalPages;
+  return {
+    success: true,
+    count: data.length,
+    total,
+    page,
+    limit,
+    totalPages,
+    hasNextPage,
+    nextPage: hasNextPage ? page + 1 : null,
+    data,
+  };
+}
+
+module.exports = {
+  parseListQuery,
+  escapeRegex,
+  searchFilter,
+  dateRangeFilter,
+  parseBoolean,
+  paginatedResponse,
+};
@@ -0,0 +1,137 @@
+// Reading and writing CSV and XLSX files for imports and exports. Rows are
+// plain objects; `columns` are [{ key, header }] in output order.
+
+const ExcelJS = require("exceljs");
+
+const FORMATS = ["csv", "xlsx"];
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and
+// newlines) into an array of rows, each an array of strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  // Excel adds a byte order mark to UTF-8 files
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvCell(row[c.key])).join(","));
+  }
+  // BOM so that Excel opens Bangla text as UTF-8
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+async function toXlsx(sheetName, columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(c => ({ key: c.key, header: c.header, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Header row and data rows of an uploaded CSV or XLSX file as arrays of strings
+async function readRows(file) {
+  const isXlsx = /\.xlsx$/i.test(file.originalname || "") || file.mimetype === CONTENT_TYPES.xlsx;
+  if (!isXlsx) {
+    return parseCsv(file.buffer.toString("utf8"));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let i = 1; i <= sheet.columnCount; i++) {
+      // Cell text as shown in Excel, so that long NIDs are not turned into numbers
+      cells.push(row.getCell(i).text ?? "");
+    }
+    rows.push(cells);
+  });
+  return rows;
+}
+
+// Rows of an uploaded file as objects keyed by `headerKey(header)`; headers
+// that map to nothing are dropped. Each row also gets `_row`, its line number
+// in the file.
+async function readSheet(file, headerKey) {
+  const [header = [], ...data] = await readRows(file);
+  const keys = header.map(h => headerKey(String(h).trim()));
+  return data.map((cells, index) => {
+    const row = { _row: index + 2 };
+    keys.forEach((key, i) => {
+      if (key && cells[i] !== undefined && String(cells[i]).trim() !== "") {
+        row[key] = String(cells[i]).trim();
+      }
+    });
+    return row;
+  });
+}
+
+// Send `rows` as a CSV or XLSX download named `${filename}.${format}`
+async function sendSpreadsheet(res, format, filename, columns, rows) {
+  const body = format === "xlsx"
+    ? await toXlsx(filename.slice(0, 31), columns, rows)
+    : toCsv(columns, rows);
+  res.set("Content-Type", CONTENT_TYPES[format]);
+  res.attachment(`${filename}.${format}`);
+  res.send(body);
+}
+
+module.exports = {
+  FORMATS,
+  parseCsv,
+  toCsv,
+  toXlsx,
+  readSheet,
+  sendSpreadsheet,
+};